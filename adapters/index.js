@@ -0,0 +1,108 @@
+// adapters/index.js - Resort platform adapter registry
+//
+// Each resort in config.json picks an adapter with its `platform` field
+// (defaults to "vail"). An adapter exports:
+//   platform                       - name used in config.json
+//   sourceName / snowSourceName    - what to call the data source in log messages
+//   scrapeTerrain(url, options)    - resolves to normalized terrain data or null
+//   scrapeSnow(url, options)       - resolves to normalized snow data or null
+//   normalizeTerrain(raw, resort)  - pure mapping from the platform payload
+//   normalizeSnow(raw, resort)     - pure mapping from the platform payload
+//   checkUrl(url)                  - problem with a configured http(s) URL, or null
+//                                    (see config-validation.js)
+//
+// Scrape options are { resort, fetchMode, log, warn, capture }; when capture is
+// set, the adapter hands it each page body it loads (see captures.js).
+//
+// Normalized terrain follows FR.TerrainStatusFeed ({ Date, ResortId, GroomingAreas, Lifts })
+// and normalized snow follows { snowReport: FR.snowReportData, forecasts: FR.forecasts },
+// which is what saveResortData, saveSnowData and saveTerrainStatus consume. The
+// contracts are the JSON Schemas in schemas/ (see payload-validation.js).
+
+const vail = require('./vail');
+const mtnpowder = require('./mtnpowder');
+const { ScrapeError, FAILURE_TYPES } = require('../retry');
+const { validatePayload, assertValid } = require('../payload-validation');
+
+const DEFAULT_PLATFORM = 'vail';
+
+const ADAPTERS = [vail, mtnpowder].reduce((acc, adapter) => {
+  acc[adapter.platform] = adapter;
+  return acc;
+}, {});
+
+/**
+ * Get the adapter for a resort's platform
+ */
+function getAdapter(resort) {
+  const platform = resort.platform || DEFAULT_PLATFORM;
+  const adapter = ADAPTERS[platform];
+
+  if (!adapter) {
+    throw new Error(`Unknown platform "${platform}" for ${resort.key}. Available platforms: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  return adapter;
+}
+
+/**
+ * Check normalized terrain data against the contract (schemas/terrain-feed.schema.json)
+ * Returns a list of problems (empty when the shape is valid)
+ */
+function checkTerrainShape(data) {
+  return validatePayload('terrain-feed', data);
+}
+
+/**
+ * Check normalized snow data against the contract (schemas/snow-feed.schema.json)
+ * Returns a list of problems (empty when the shape is valid)
+ */
+function checkSnowShape(data) {
+  return validatePayload('snow-feed', data);
+}
+
+/**
+ * Throw a classified ScrapeError unless terrain data is present, non-empty and well-formed
+ * Returns the data so it can be used inline
+ */
+function assertTerrainPayload(data, adapter) {
+  if (!data) {
+    throw new ScrapeError(FAILURE_TYPES.MISSING_GLOBAL, `${adapter.sourceName} not found`);
+  }
+
+  assertValid('terrain-feed', data, adapter.sourceName);
+
+  // Before opening day areas are listed with no trails, so only a feed with
+  // no areas and no lifts at all counts as empty
+  if (data.GroomingAreas.length === 0 && data.Lifts.length === 0) {
+    throw new ScrapeError(FAILURE_TYPES.EMPTY_PAYLOAD, `${adapter.sourceName} has no areas or lifts`);
+  }
+
+  return data;
+}
+
+/**
+ * Throw a classified ScrapeError unless snow data is present and well-formed
+ * Returns the data so it can be used inline
+ */
+function assertSnowPayload(data, adapter) {
+  if (!data || !data.snowReport) {
+    throw new ScrapeError(FAILURE_TYPES.MISSING_GLOBAL, `${adapter.snowSourceName} not found`);
+  }
+
+  if (Object.keys(data.snowReport).length === 0) {
+    throw new ScrapeError(FAILURE_TYPES.EMPTY_PAYLOAD, `${adapter.snowSourceName} is empty`);
+  }
+
+  return assertValid('snow-feed', data, adapter.snowSourceName);
+}
+
+module.exports = {
+  getAdapter,
+  checkTerrainShape,
+  checkSnowShape,
+  assertTerrainPayload,
+  assertSnowPayload,
+  ADAPTERS,
+  DEFAULT_PLATFORM
+};
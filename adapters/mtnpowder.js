@@ -0,0 +1,223 @@
+// adapters/mtnpowder.js - MtnPowder feed adapter
+// Many Ikon and independent mountains publish a single JSON feed
+// (https://mtnpowder.com/feed?resortId=...) covering trails, lifts and snow.
+// This adapter maps that feed onto the Vail-style normalized shape.
+
+const { formatInTimeZone } = require('date-fns-tz');
+const { fetchPage } = require('../page-fetch');
+
+// MtnPowder difficulty names -> Vail difficulty colors
+const DIFFICULTY_MAP = {
+  'Beginner': 'Green',
+  'Intermediate': 'Blue',
+  'Advanced': 'Black',
+  'Expert': 'DoubleBlack',
+  'Terrain Park': 'TerrainPark'
+};
+
+// MtnPowder lift statuses -> Vail lift statuses
+const LIFT_STATUS_MAP = {
+  'open': 'Open',
+  'closed': 'Closed',
+  'hold': 'OnHold',
+  'expected': 'Scheduled',
+  'scheduled': 'Scheduled'
+};
+
+/**
+ * Fetch the feed as JSON
+ * Local file paths are accepted so fixtures can stand in for the live feed;
+ * with options.capture the body is saved as served (see captures.js)
+ */
+async function fetchFeed(url, options = {}) {
+  const body = await fetchPage(url, { accept: 'application/json' });
+  if (options.capture) {
+    options.capture.page(body, url, 'json');
+  }
+  return JSON.parse(body);
+}
+
+/**
+ * Convert "9:00 AM" style times to "09:00"
+ */
+function to24HourTime(timeStr) {
+  if (!timeStr) return null;
+  const match = String(timeStr).trim().match(/^(\d{1,2}):(\d{2})\s*([AP]M)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2];
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${minutes}`;
+}
+
+/**
+ * Parse a numeric string from the feed, returning null when missing
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Build a Vail-style { Inches, Centimeters } pair from feed fields
+ */
+function toDepth(inches, centimeters) {
+  return {
+    Inches: toNumber(inches),
+    Centimeters: toNumber(centimeters)
+  };
+}
+
+/**
+ * Map the feed onto the normalized terrain shape (FR.TerrainStatusFeed)
+ * Lift hours are listed per weekday, so the resort's local weekday picks the window
+ */
+function normalizeTerrain(feed, resort = {}) {
+  if (!feed || !Array.isArray(feed.MountainAreas)) {
+    return null;
+  }
+
+  const timezone = resort.timezone || 'America/Denver';
+  const weekday = formatInTimeZone(new Date(), timezone, 'EEEE');
+  const lifts = [];
+
+  const groomingAreas = feed.MountainAreas.map((area, areaIndex) => {
+    (area.Lifts || []).forEach(lift => {
+      const hours = (lift.Hours && lift.Hours[weekday]) || {};
+      const status = String(lift.StatusEnglish || lift.Status || '').toLowerCase();
+
+      lifts.push({
+        Name: lift.Name,
+        Status: LIFT_STATUS_MAP[status] || 'Closed',
+        Type: lift.LiftType ? String(lift.LiftType).toLowerCase() : null,
+        SortOrder: lifts.length,
+        Mountain: area.Name,
+        WaitTimeInMinutes: toNumber(lift.WaitTime),
+        Capacity: toNumber(lift.Capacity),
+        OpenTime: to24HourTime(hours.Open),
+        CloseTime: to24HourTime(hours.Close)
+      });
+    });
+
+    return {
+      Id: area.Id,
+      Name: area.Name,
+      Trails: (area.Trails || []).map(trail => ({
+        Id: trail.Id,
+        Name: trail.Name,
+        Difficulty: DIFFICULTY_MAP[trail.Difficulty] || trail.Difficulty || 'Unknown',
+        IsOpen: String(trail.StatusEnglish || trail.Status || '').toLowerCase() === 'open',
+        IsGroomed: String(trail.Grooming || '').toLowerCase() === 'yes',
+        TrailInfo: trail.Description || '',
+        TrailLength: trail.Length ? `${trail.Length} (ft)` : '0 (ft)',
+        TrailType: trail.TrailType || 'Skiing',
+        IsTrailWork: false
+      })),
+      Lifts: [],
+      order: areaIndex
+    };
+  });
+
+  return {
+    Date: feed.LastUpdate || new Date().toISOString(),
+    ResortId: feed.Id,
+    GroomingAreas: groomingAreas,
+    Lifts: lifts,
+    ErrorDetails: null,
+    IsSuccessful: true
+  };
+}
+
+/**
+ * Map the feed onto the normalized snow shape ({ snowReport, forecasts })
+ * using the FR.snowReportData field names that saveSnowData reads
+ */
+function normalizeSnow(feed) {
+  if (!feed || !feed.SnowReport) {
+    return null;
+  }
+
+  const report = feed.SnowReport;
+  const base = report.BaseArea || {};
+  const forecast = feed.Forecast || {};
+
+  const forecastDays = ['OneDay', 'TwoDay', 'ThreeDay', 'FourDay', 'FiveDay']
+    .map(key => forecast[key])
+    .filter(Boolean)
+    .map(day => ({
+      Date: day.date || null,
+      HighTempStandard: day.temp_high_f,
+      HighTempMetric: day.temp_high_c,
+      LowTempStandard: day.temp_low_f,
+      LowTempMetric: day.temp_low_c,
+      WeatherShortDescription: day.conditions || null,
+      SnowFallDayStandard: day.forecasted_snow_day_in,
+      SnowFallNightStandard: day.forecasted_snow_night_in
+    }));
+
+  return {
+    snowReport: {
+      LastUpdatedText: feed.LastUpdate ? `Updated ${feed.LastUpdate}` : null,
+      OverallSnowConditions: report.BaseConditions || null,
+      OvernightSnowfall: toDepth(base.SinceLiftsClosedIn, base.SinceLiftsClosedCm),
+      TwentyFourHourSnowfall: toDepth(base.Last24HoursIn, base.Last24HoursCm),
+      FortyEightHourSnowfall: toDepth(base.Last48HoursIn, base.Last48HoursCm),
+      SevenDaySnowfall: toDepth(base.Last7DaysIn, base.Last7DaysCm),
+      CurrentSeason: toDepth(base.SeasonTotalIn, base.SeasonTotalCm),
+      BaseDepth: toDepth(base.BaseIn, base.BaseCm)
+    },
+    forecasts: forecastDays.length > 0 ? [{
+      Location: feed.Name || 'Unknown',
+      Elevation: null,
+      ForecastData: forecastDays
+    }] : null
+  };
+}
+
+/**
+ * Scrape trail, grooming and lift data from the feed
+ */
+async function scrapeTerrain(url, options = {}) {
+  const feed = await fetchFeed(url, options);
+  return normalizeTerrain(feed, options.resort);
+}
+
+/**
+ * Scrape snow report and forecast data from the feed
+ */
+async function scrapeSnow(url, options = {}) {
+  const feed = await fetchFeed(url, options);
+  return normalizeSnow(feed);
+}
+
+/**
+ * Problem with a configured terrainUrl/snowReportUrl, or null
+ * The live feed needs its resortId; an .aspx page means a Vail resort
+ */
+function checkUrl(url) {
+  const { hostname, pathname, searchParams } = new URL(url);
+  if (pathname.endsWith('.aspx')) {
+    return 'looks like a Vail page, not a MtnPowder feed (wrong "platform"?)';
+  }
+  if (hostname.endsWith('mtnpowder.com') && !searchParams.get('resortId')) {
+    return 'is missing the feed\'s resortId parameter';
+  }
+  return null;
+}
+
+module.exports = {
+  platform: 'mtnpowder',
+  sourceName: 'MtnPowder MountainAreas',
+  snowSourceName: 'MtnPowder SnowReport',
+  scrapeTerrain,
+  scrapeSnow,
+  normalizeTerrain,
+  normalizeSnow,
+  checkUrl
+};
@@ -0,0 +1,189 @@
+// adapters/vail.js - Vail Resorts platform adapter
+// Vail pages expose their data as the FR.TerrainStatusFeed and FR.snowReportData
+// globals, which already match the normalized shape the scrapers save
+
+const { withPage } = require('../browser-pool');
+const { fetchPage, extractFrGlobals, USER_AGENT } = require('../page-fetch');
+const { ScrapeError, classifyError, FAILURE_TYPES } = require('../retry');
+
+/**
+ * Load a page from the shared browser pool and read FR globals after it renders
+ * `required` is the FR property to wait for, `optional` are read if present
+ * If the page never loaded and the data is missing, the load error is thrown
+ */
+async function loadFrGlobalsWithBrowser(url, required, optional, options) {
+  const log = options.log || console.log;
+  const warn = options.warn || log;
+
+  return withPage(async page => {
+    // Set a realistic user agent
+    await page.setUserAgent(USER_AGENT);
+
+    log('Loading page...');
+
+    // Try loading with a more lenient wait strategy
+    let loadError = null;
+    try {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    } catch (e) {
+      warn(`Initial load issue: ${e.message}`);
+      loadError = e;
+      // Try to continue anyway
+    }
+
+    // Give the page extra time to settle
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // Wait for the FR object to be available
+    log('Waiting for data to load...');
+    await page.waitForFunction(
+      name => typeof FR !== 'undefined' && FR[name],
+      { timeout: 45000 },
+      required
+    ).catch(() => warn(`FR.${required} not found via wait`));
+
+    const globals = await page.evaluate(names => {
+      const found = {};
+      if (typeof FR !== 'undefined') {
+        names.forEach(name => {
+          if (FR[name]) found[name] = FR[name];
+        });
+      }
+      return found;
+    }, [required, ...optional]);
+
+    if (options.capture) {
+      await captureRenderedPage(page, url, globals, options.capture);
+    }
+
+    if (!globals[required] && loadError) {
+      const failure = classifyError(loadError);
+      throw new ScrapeError(failure === FAILURE_TYPES.UNKNOWN ? FAILURE_TYPES.NETWORK : failure, loadError.message);
+    }
+
+    return globals;
+  });
+}
+
+/**
+ * Save a rendered page's HTML, FR globals and a screenshot (see captures.js)
+ */
+async function captureRenderedPage(page, url, globals, capture) {
+  try {
+    capture.page(await page.content(), url);
+    capture.screenshot(await page.screenshot({ fullPage: true }));
+  } catch (e) {
+    // The page may have crashed - keep whatever was saved
+  }
+  capture.globals(globals);
+}
+
+/**
+ * Read FR globals from a page according to the fetch mode:
+ *   auto    - parse the served HTML, fall back to the browser if that fails (default)
+ *   http    - parse the served HTML only
+ *   browser - always render in headless Chrome
+ * Progress messages go to options.log, load problems to options.warn; with
+ * options.capture the page and what was read from it are saved
+ */
+async function loadFrGlobals(url, required, optional, options = {}) {
+  const log = options.log || console.log;
+  const warn = options.warn || log;
+  const mode = options.fetchMode || 'auto';
+
+  if (mode !== 'browser') {
+    try {
+      log('Fetching page HTML...');
+      const html = await fetchPage(url);
+      const globals = extractFrGlobals(html, [required, ...optional]);
+      if (options.capture) {
+        options.capture.page(html, url);
+        options.capture.globals(globals);
+      }
+
+      if (globals[required]) {
+        log(`Extracted FR.${required} from HTML`);
+        return globals;
+      }
+      warn(`FR.${required} not found in page HTML`);
+    } catch (e) {
+      // Without a browser to fall back on, let the caller classify and retry
+      if (mode === 'http') throw e;
+      warn(`Direct fetch failed: ${e.message}`);
+    }
+
+    if (mode === 'http') {
+      return null;
+    }
+    log('Falling back to headless browser...');
+  }
+
+  return loadFrGlobalsWithBrowser(url, required, optional, { ...options, log, warn });
+}
+
+/**
+ * FR.TerrainStatusFeed is already in the normalized terrain shape
+ */
+function normalizeTerrain(raw) {
+  return raw || null;
+}
+
+/**
+ * Snow data is kept as the raw FR.snowReportData plus FR.forecasts,
+ * which is what saveSnowData cleans up
+ */
+function normalizeSnow(raw) {
+  if (!raw || !raw.snowReport) {
+    return null;
+  }
+  return {
+    snowReport: raw.snowReport,
+    forecasts: raw.forecasts || null
+  };
+}
+
+/**
+ * Scrape trail, grooming and lift data (includes both trails and lifts)
+ */
+async function scrapeTerrain(url, options = {}) {
+  const globals = await loadFrGlobals(url, 'TerrainStatusFeed', [], options);
+  return normalizeTerrain(globals && globals.TerrainStatusFeed);
+}
+
+/**
+ * Scrape the snow report and forecast data
+ */
+async function scrapeSnow(url, options = {}) {
+  const globals = await loadFrGlobals(url, 'snowReportData', ['forecasts'], options);
+  if (!globals || !globals.snowReportData) {
+    return null;
+  }
+
+  return normalizeSnow({
+    snowReport: globals.snowReportData,
+    forecasts: globals.forecasts || null
+  });
+}
+
+/**
+ * Problem with a configured terrainUrl/snowReportUrl, or null
+ * Vail pages are HTML; a JSON feed URL means the resort is on another platform
+ */
+function checkUrl(url) {
+  const { hostname, pathname } = new URL(url);
+  if (hostname.endsWith('mtnpowder.com') || pathname.endsWith('.json')) {
+    return 'looks like a JSON feed, not a Vail page (missing "platform": "mtnpowder"?)';
+  }
+  return null;
+}
+
+module.exports = {
+  platform: 'vail',
+  sourceName: 'FR.TerrainStatusFeed',
+  snowSourceName: 'FR.snowReportData',
+  scrapeTerrain,
+  scrapeSnow,
+  normalizeTerrain,
+  normalizeSnow,
+  checkUrl
+};
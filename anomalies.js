@@ -0,0 +1,159 @@
+// anomalies.js - Sanity checks of a scrape against the resort's recent history
+//
+// A partial page load can pass the schema checks and still be wrong: most
+// trails missing, every lift Closed mid-season, a base depth that fell two feet
+// overnight. These checks compare a scrape with the resort's previous daily
+// files (config.json `anomalies`) and return the reasons it looks suspect.
+// ski-scraper.js re-scrapes suspect data and keeps it out of the latest files.
+
+const fs = require('fs');
+const path = require('path');
+const { addDays } = require('./dates');
+
+const DAILY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+const DEFAULTS = {
+  enabled: true,
+  // Compare against the daily files of this many days before...
+  historyDays: 7,
+  // ...once there are at least this many (so a new season starts clean)
+  minHistoryDays: 3,
+  // Suspect when the trail or lift count falls this far below the recent median
+  countDropPercent: 50,
+  // Suspect when the share of open trails or lifts falls this far below the
+  // recent median, once at least minOpenPercent were open
+  openDropPercent: 75,
+  minOpenPercent: 20,
+  // Suspect when the base depth falls more than this since the previous report
+  maxBaseDepthDropInches: 12,
+  // Suspect when the season total goes down by more than this (rounding slack)
+  seasonTotalToleranceInches: 1
+};
+
+/**
+ * Anomaly options from config.json `anomalies`, filling in defaults
+ */
+function getAnomalyOptions(overrides = {}) {
+  return { ...DEFAULTS, ...overrides };
+}
+
+/**
+ * Daily files of a data type from the `days` days before `date`, newest first
+ * Returns [{ date, data }]; unreadable files are skipped, and suspect data
+ * ({date}.suspect.json) never counts as history
+ */
+function readRecentDays(resortKey, dataType, date, days, dataDir = 'data') {
+  const since = addDays(date, -days);
+  const dir = path.join(dataDir, resortKey, dataType);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(f => f.match(DAILY_FILE_PATTERN))
+    .filter(match => match && match[1] < date && match[1] >= since)
+    .map(match => match[1])
+    .sort()
+    .reverse()
+    .map(day => {
+      try {
+        return { date: day, data: JSON.parse(fs.readFileSync(path.join(dir, `${day}.json`), 'utf8')) };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Trail and lift counts of terrain data, with the percentage open
+ */
+function summarizeTerrain(data) {
+  const trails = (data.GroomingAreas || []).flatMap(area => area.Trails || []);
+  const lifts = data.Lifts || [];
+  const openTrails = trails.filter(trail => trail.IsOpen).length;
+  const openLifts = lifts.filter(lift => lift.Status === 'Open').length;
+
+  return {
+    trails: trails.length,
+    lifts: lifts.length,
+    openTrailPercent: trails.length > 0 ? (openTrails / trails.length) * 100 : 0,
+    openLiftPercent: lifts.length > 0 ? (openLifts / lifts.length) * 100 : 0
+  };
+}
+
+/**
+ * Reasons terrain data looks wrong next to earlier days' terrain (empty when it looks fine)
+ * `history` is [{ date, data }] of earlier daily files
+ */
+function checkTerrainAnomalies(data, history, options = DEFAULTS) {
+  if (!options.enabled || history.length < options.minHistoryDays) {
+    return [];
+  }
+
+  const current = summarizeTerrain(data);
+  const recent = history.map(day => summarizeTerrain(day.data));
+  const reasons = [];
+
+  [['trails', 'trail'], ['lifts', 'lift']].forEach(([field, label]) => {
+    const usual = median(recent.map(day => day[field]));
+    if (usual > 0 && current[field] < usual * (1 - options.countDropPercent / 100)) {
+      reasons.push(`${label} count ${current[field]}, recent median is ${usual}`);
+    }
+  });
+
+  [['openTrailPercent', 'trails'], ['openLiftPercent', 'lifts']].forEach(([field, label]) => {
+    const usual = median(recent.map(day => day[field]));
+    if (usual >= options.minOpenPercent && current[field] < usual * (1 - options.openDropPercent / 100)) {
+      reasons.push(`${Math.round(current[field])}% of ${label} open, recent median is ${Math.round(usual)}%`);
+    }
+  });
+
+  return reasons;
+}
+
+/**
+ * Reasons a cleaned snow report looks wrong next to the previous one (empty when it looks fine)
+ * `history` is [{ date, data }] of earlier snow reports, newest first
+ */
+function checkSnowAnomalies(report, history, options = DEFAULTS) {
+  if (!options.enabled || history.length === 0) {
+    return [];
+  }
+
+  const previous = history[0].data;
+  const reasons = [];
+
+  // Values a report doesn't have (null) aren't compared
+  const previousBase = previous.baseDepth?.inches;
+  const base = report.baseDepth?.inches;
+  if (typeof previousBase === 'number' && typeof base === 'number' && previousBase - base > options.maxBaseDepthDropInches) {
+    reasons.push(`base depth fell ${previousBase - base}" since ${history[0].date} (${previousBase}" to ${base}")`);
+  }
+
+  const previousTotal = previous.snowfall?.season_total_inches;
+  const total = report.snowfall?.season_total_inches;
+  if (typeof previousTotal === 'number' && typeof total === 'number' && previousTotal - total > options.seasonTotalToleranceInches) {
+    reasons.push(`season total went backwards since ${history[0].date} (${previousTotal}" to ${total}")`);
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  getAnomalyOptions,
+  readRecentDays,
+  summarizeTerrain,
+  checkTerrainAnomalies,
+  checkSnowAnomalies,
+  DEFAULTS
+};
@@ -0,0 +1,74 @@
+// api-format.js - Shape database rows and lift samples for the REST and GraphQL APIs
+
+/**
+ * Parse a stored raw_data column, or null
+ */
+function parseRawData(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A terrain_status trail row (see getTrailStatus / getItemHistory)
+ * Open and groomed flags come from the feed's own booleans when they were stored
+ */
+function formatTrailRow(row) {
+  const raw = parseRawData(row.raw_data) || {};
+  return {
+    id: row.item_id,
+    type: 'trail',
+    slug: row.slug,
+    name: row.item_name,
+    area: row.area_name,
+    status: row.status,
+    isOpen: raw.IsOpen !== undefined ? !!raw.IsOpen : row.status === 'Open',
+    isGroomed: raw.IsGroomed !== undefined ? !!raw.IsGroomed : row.grooming_status === 'Groomed',
+    groomingType: row.grooming_type,
+    difficulty: raw.Difficulty || null
+  };
+}
+
+/**
+ * A lift_status row (see getLiftStatus)
+ */
+function formatLiftRow(row) {
+  return {
+    id: row.item_id,
+    type: 'lift',
+    slug: row.slug,
+    name: row.lift_name,
+    area: row.mountain,
+    status: row.status,
+    liftType: row.lift_type,
+    capacity: row.capacity,
+    waitMinutes: row.wait_minutes,
+    openTime: row.open_time,
+    closeTime: row.close_time
+  };
+}
+
+/**
+ * One lift snapshot from the NDJSON files (see lift-samples.js)
+ */
+function formatLiftSample(sample) {
+  return {
+    timestamp: sample.timestamp,
+    localDate: sample.localDate,
+    localTime: sample.localTime,
+    lift: sample.name,
+    liftId: sample.liftId,
+    status: sample.status,
+    waitMinutes: sample.waitMinutes,
+    mountain: sample.mountain
+  };
+}
+
+module.exports = {
+  parseRawData,
+  formatTrailRow,
+  formatLiftRow,
+  formatLiftSample
+};
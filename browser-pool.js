@@ -0,0 +1,195 @@
+// browser-pool.js - Shared headless Chrome for all scrapes in a run
+// One browser is launched per process and reused; each scrape gets its own
+// incognito browser context so cookies and storage never leak between pages.
+
+const puppeteer = require('puppeteer');
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu'
+  ]
+};
+
+const DEFAULT_OPTIONS = {
+  fetchMode: 'auto',  // How pages are loaded unless a resort sets its own
+  concurrency: 3,     // Pages open at the same time
+  maxRelaunches: 2,   // Times a task is retried after the browser dies under it
+  exitOnSignal: true  // Close the browser and exit on SIGINT/SIGTERM
+};
+
+let options = { ...DEFAULT_OPTIONS };
+let browser = null;
+let launching = null;
+let activePages = 0;
+let closed = false;
+let shutdownHooksInstalled = false;
+const waiting = [];
+
+/**
+ * Override pool settings (usually from config.json `browser`)
+ * Call before the first page is requested
+ */
+function configureBrowserPool(overrides = {}) {
+  options = { ...DEFAULT_OPTIONS, ...overrides };
+}
+
+/**
+ * Get how a resort's pages should be loaded ('auto', 'http' or 'browser')
+ * Resort-level fetchMode overrides the configured browser.fetchMode
+ */
+function getFetchMode(resort) {
+  return resort.fetchMode || options.fetchMode || 'auto';
+}
+
+/**
+ * Close the browser when the process is interrupted so Chromium isn't orphaned
+ */
+function installShutdownHooks() {
+  if (shutdownHooksInstalled || !options.exitOnSignal) return;
+  shutdownHooksInstalled = true;
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, async () => {
+      console.log(`\n🛑 ${signal} received - closing browser`);
+      await closeBrowserPool();
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    });
+  });
+}
+
+/**
+ * Get the shared browser, launching (or relaunching after a crash) as needed
+ */
+async function getBrowser() {
+  if (browser && browser.connected) {
+    return browser;
+  }
+
+  if (!launching) {
+    launching = puppeteer.launch(LAUNCH_OPTIONS)
+      .then(launched => {
+        launched.on('disconnected', () => {
+          if (browser === launched) {
+            browser = null;
+          }
+        });
+        browser = launched;
+        launching = null;
+        installShutdownHooks();
+        return launched;
+      })
+      .catch(error => {
+        launching = null;
+        throw error;
+      });
+  }
+
+  return launching;
+}
+
+/**
+ * Wait for a free page slot
+ */
+function acquireSlot() {
+  if (activePages < options.concurrency) {
+    activePages++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+/**
+ * Hand the slot to the next waiting task, or free it
+ */
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    activePages--;
+  }
+}
+
+/**
+ * Run `task(page)` on a fresh page in its own browser context
+ * At most `concurrency` tasks run at once; the rest queue. If the browser
+ * crashes during the task, it is relaunched and the task retried.
+ */
+async function withPage(task) {
+  if (closed) {
+    throw new Error('Browser pool has been shut down');
+  }
+
+  await acquireSlot();
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const activeBrowser = await getBrowser();
+      let context = null;
+
+      try {
+        context = await activeBrowser.createBrowserContext();
+        const page = await context.newPage();
+        return await task(page);
+      } catch (error) {
+        if (!activeBrowser.connected && !closed && attempt < options.maxRelaunches) {
+          console.log(`  ⚠️  Browser crashed (${error.message}) - relaunching`);
+          continue;
+        }
+        throw error;
+      } finally {
+        if (context && activeBrowser.connected) {
+          await context.close().catch(() => {});
+        }
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Close the shared browser; call once at the end of a run
+ */
+async function closeBrowserPool() {
+  closed = true;
+
+  const pending = launching;
+  if (pending) {
+    await pending.catch(() => {});
+  }
+
+  if (browser) {
+    const current = browser;
+    browser = null;
+    await current.close().catch(() => {});
+  }
+}
+
+/**
+ * Close the shared browser between runs of a long-lived process, once no page
+ * is open; the next withPage() launches a fresh one. Returns whether it closed
+ */
+async function releaseBrowser() {
+  if (activePages > 0 || launching || !browser) {
+    return false;
+  }
+
+  const current = browser;
+  browser = null;
+  await current.close().catch(() => {});
+  return true;
+}
+
+module.exports = {
+  configureBrowserPool,
+  getFetchMode,
+  withPage,
+  releaseBrowser,
+  closeBrowserPool
+};
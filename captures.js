@@ -0,0 +1,139 @@
+// captures.js - Raw page capture and offline replay for the scrapers
+//
+// With --capture (or SCRAPE_CAPTURE=1) the adapters save every page they load
+// to captures/{date}/{resort}/, dated by the resort's local day:
+//   {kind}.html / {kind}.json   the page body as served (kind is terrain, snow or lifts)
+//   {kind}.globals.json         the FR globals read from it (Vail pages)
+//   {kind}.png                  a screenshot, when the page was rendered in the browser
+//   manifest.json               where each page came from and when
+// A later capture of the same page on the same day replaces the earlier one.
+//
+// `node ski-scraper.js --replay=captures/{date}` points each captured resort's
+// URLs at those saved bodies, so the whole scrape-and-save pipeline runs offline.
+// A replay runs in a scratch directory with its own database, never in data/.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorageDate } = require('./dates');
+
+const CAPTURE_ROOT = 'captures';
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Whether capture mode is on for this process
+ */
+function isCaptureEnabled(argv = process.argv, env = process.env) {
+  return argv.includes('--capture') || env.SCRAPE_CAPTURE === '1';
+}
+
+/**
+ * The --replay=<dir> argument, or null
+ */
+function getReplayDir(argv = process.argv) {
+  const arg = argv.find(a => a.startsWith('--replay='));
+  return arg ? arg.slice('--replay='.length) : null;
+}
+
+/**
+ * Directory a resort's captures for a day go in
+ */
+function getCaptureDir(resort, now = new Date(), root = CAPTURE_ROOT) {
+  return path.join(root, getStorageDate(resort, now), resort.key);
+}
+
+/**
+ * A resort capture directory's manifest, or null
+ * { resort, kinds: { [kind]: { url, capturedAt, page, globals, screenshot } } }
+ */
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Recorder for one page load, handed to an adapter as options.capture:
+ *   page(body, url, format)  the body as served ('html' or 'json')
+ *   globals(globals)         the FR globals read from it
+ *   screenshot(image)        a PNG of the rendered page
+ * Saving never throws - a failed capture must not fail the scrape
+ */
+function createCapture(resort, kind, { root = CAPTURE_ROOT, now = new Date() } = {}) {
+  const dir = getCaptureDir(resort, now, root);
+
+  const save = (fileName, content, fields) => {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, fileName), content);
+
+      const manifest = readManifest(dir) || { resort: resort.key, kinds: {} };
+      manifest.kinds[kind] = { ...manifest.kinds[kind], ...fields, capturedAt: new Date().toISOString() };
+      fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    } catch (e) {
+      console.warn(`  ⚠️  Could not save ${kind} capture: ${e.message}`);
+    }
+  };
+
+  return {
+    dir,
+    page: (body, url, format = 'html') => save(`${kind}.${format}`, body, { page: `${kind}.${format}`, url }),
+    globals: globals => save(`${kind}.globals.json`, JSON.stringify(globals, null, 2), { globals: `${kind}.globals.json` }),
+    screenshot: image => save(`${kind}.png`, image, { screenshot: `${kind}.png` })
+  };
+}
+
+/**
+ * Resorts rewritten to load their captured pages from a day's capture directory
+ * Only resorts with a captured terrain or snow page are returned; each gets
+ * terrainUrl / snowReportUrl pointing at the saved bodies and fetchMode 'http'
+ */
+function getReplayResorts(captureDir, resorts) {
+  return resorts
+    .map(resort => {
+      const dir = path.join(captureDir, resort.key);
+      const manifest = readManifest(dir);
+      if (!manifest) return null;
+
+      const pageOf = kind => (manifest.kinds[kind] && manifest.kinds[kind].page ? path.join(dir, manifest.kinds[kind].page) : null);
+      const terrainUrl = pageOf('terrain');
+      const snowReportUrl = pageOf('snow');
+      if (!terrainUrl && !snowReportUrl) return null;
+
+      const replayed = { ...resort, terrainUrl, snowReportUrl, fetchMode: 'http' };
+      delete replayed.url;
+      return replayed;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Make a scratch working directory for a replay and move into it, so the run
+ * writes its data/ files and database there instead of over the real ones
+ * (everything the scrapers write is relative to the working directory)
+ * Returns { captureDir, workDir, dbPath } with captureDir resolved against the
+ * original directory; open the database at dbPath
+ */
+function enterReplayWorkspace(captureDir, root = os.tmpdir()) {
+  const resolvedCaptureDir = path.resolve(captureDir);
+  const workDir = fs.mkdtempSync(path.join(root, 'ski-replay-'));
+  fs.mkdirSync(path.join(workDir, 'data'));
+  process.chdir(workDir);
+
+  return { captureDir: resolvedCaptureDir, workDir, dbPath: path.join(workDir, 'data', 'ski-data.db') };
+}
+
+module.exports = {
+  isCaptureEnabled,
+  getReplayDir,
+  enterReplayWorkspace,
+  getCaptureDir,
+  readManifest,
+  createCapture,
+  getReplayResorts,
+  CAPTURE_ROOT
+};
@@ -0,0 +1,246 @@
+// change-events.js - Change detection between consecutive scrapes
+// Diffs a new terrain/lift/snow scrape against the previous one and records
+// structured events (trail opened, newly groomed, lift status change, new snow)
+// in the events table and data/{resort}/changes/{date}.json, so consumers can
+// follow what changed without refetching and diffing whole snapshots.
+
+const fs = require('fs');
+const path = require('path');
+const { getFeedKey, saveEvents } = require('./database');
+const { getLiftsDir, readLiftSampleFile } = require('./lift-samples');
+
+const EVENT_TYPES = {
+  TRAIL_OPENED: 'trail_opened',
+  TRAIL_CLOSED: 'trail_closed',
+  TRAIL_GROOMED: 'trail_groomed',          // Groomed now, not groomed in the previous scrape
+  LIFT_STATUS_CHANGED: 'lift_status_changed',
+  NEW_SNOW: 'new_snow'                     // 24-hour snowfall at or above the threshold
+};
+
+const DEFAULT_NEW_SNOW_THRESHOLD_INCHES = 2;
+
+/**
+ * Build an event, stamping when it was detected
+ */
+function createEvent(type, fields) {
+  return {
+    type,
+    itemType: fields.itemType,
+    itemKey: fields.itemKey,
+    name: fields.name,
+    area: fields.area || null,
+    from: fields.from === undefined ? null : fields.from,
+    to: fields.to === undefined ? null : fields.to,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Identity of an event within a day - the same transition is only recorded once
+ */
+function getEventKey(event) {
+  return [event.type, event.itemKey, event.from, event.to].join('|');
+}
+
+/**
+ * Map every trail in a terrain feed by its catalog key
+ */
+function indexTrails(terrain) {
+  const trails = new Map();
+  ((terrain && terrain.GroomingAreas) || []).forEach(area => {
+    (area.Trails || []).forEach(trail => {
+      trails.set(getFeedKey(trail), { trail, area });
+    });
+  });
+  return trails;
+}
+
+/**
+ * Lift status changes between two lift lists (keyed like the terrain catalog)
+ * Lifts missing from the previous list aren't reported
+ */
+function diffLifts(previousLifts, currentLifts) {
+  const previous = new Map((previousLifts || []).map(lift => [getFeedKey(lift), lift]));
+  const events = [];
+
+  (currentLifts || []).forEach(lift => {
+    const key = getFeedKey(lift);
+    const before = previous.get(key);
+    if (!before || !before.Status || !lift.Status || before.Status === lift.Status) return;
+
+    events.push(createEvent(EVENT_TYPES.LIFT_STATUS_CHANGED, {
+      itemType: 'lift',
+      itemKey: key,
+      name: lift.Name,
+      area: lift.Mountain,
+      from: before.Status,
+      to: lift.Status
+    }));
+  });
+
+  return events;
+}
+
+/**
+ * Trail open/close, newly groomed and lift status events between two terrain feeds
+ * Returns no events when there is no previous feed to compare against
+ */
+function diffTerrain(previous, current) {
+  if (!previous || !current) {
+    return [];
+  }
+
+  const before = indexTrails(previous);
+  const events = [];
+
+  indexTrails(current).forEach(({ trail, area }, key) => {
+    const prior = before.get(key);
+    const wasOpen = prior ? !!prior.trail.IsOpen : false;
+    const wasGroomed = prior ? !!prior.trail.IsGroomed : false;
+    const fields = { itemType: 'trail', itemKey: key, name: trail.Name, area: area.Name };
+
+    if (trail.IsOpen && !wasOpen) {
+      events.push(createEvent(EVENT_TYPES.TRAIL_OPENED, { ...fields, from: 'closed', to: 'open' }));
+    } else if (!trail.IsOpen && prior && wasOpen) {
+      events.push(createEvent(EVENT_TYPES.TRAIL_CLOSED, { ...fields, from: 'open', to: 'closed' }));
+    }
+
+    if (trail.IsGroomed && !wasGroomed) {
+      events.push(createEvent(EVENT_TYPES.TRAIL_GROOMED, { ...fields, from: 'not_groomed', to: 'groomed' }));
+    }
+  });
+
+  return events.concat(diffLifts(previous.Lifts, current.Lifts));
+}
+
+/**
+ * A new_snow event when the cleaned snow report's 24-hour total reaches the threshold
+ */
+function detectNewSnow(snow, thresholdInches = DEFAULT_NEW_SNOW_THRESHOLD_INCHES) {
+  const inches = snow && snow.snowfall ? snow.snowfall['24hour_inches'] : null;
+  if (typeof inches !== 'number' || inches < thresholdInches) {
+    return [];
+  }
+
+  return [createEvent(EVENT_TYPES.NEW_SNOW, {
+    itemType: 'snow',
+    itemKey: 'snow:24hour',
+    name: snow.resortName || snow.resort,
+    from: null,
+    to: String(inches)
+  })];
+}
+
+/**
+ * Most recent terrain file dated before `date`, or null
+ */
+function getPreviousTerrain(resortKey, date) {
+  const terrainDir = path.join('data', resortKey, 'terrain');
+  if (!fs.existsSync(terrainDir)) {
+    return null;
+  }
+
+  // Only daily files - suspect scrapes ({date}.suspect.json) are never diffed against
+  const previousFile = fs.readdirSync(terrainDir)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f) && f.replace('.json', '') < date)
+    .sort()
+    .pop();
+
+  if (!previousFile) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path.join(terrainDir, previousFile), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The last recorded state of each lift in a day's NDJSON file, as feed-style lifts
+ */
+function getLatestLiftStates(resortKey, localDate) {
+  const filePath = path.join(getLiftsDir(resortKey), `${localDate}.ndjson`);
+
+  const latest = new Map();
+  readLiftSampleFile(filePath).forEach(sample => {
+    latest.set(sample.name, { Name: sample.name, Status: sample.status, Mountain: sample.mountain });
+  });
+
+  return Array.from(latest.values());
+}
+
+/**
+ * Merge events into data/{resort}/changes/{date}.json
+ * Resolves to the events that weren't already in the file
+ */
+function saveChangeFile(resortKey, date, events) {
+  const changesDir = path.join('data', resortKey, 'changes');
+  const filePath = path.join(changesDir, `${date}.json`);
+
+  let existing = [];
+  if (fs.existsSync(filePath)) {
+    try {
+      existing = JSON.parse(fs.readFileSync(filePath, 'utf8')).events || [];
+    } catch (e) {
+      existing = [];
+    }
+  }
+
+  const seen = new Set(existing.map(getEventKey));
+  const added = events.filter(event => !seen.has(getEventKey(event)));
+
+  if (added.length === 0) {
+    return added;
+  }
+
+  fs.mkdirSync(changesDir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    resort: resortKey,
+    date,
+    lastUpdated: new Date().toISOString(),
+    events: existing.concat(added)
+  }, null, 2));
+
+  return added;
+}
+
+/**
+ * Record events in the change file and the events table
+ * Resolves to the number of new events; database errors are logged, not thrown
+ */
+async function recordChangeEvents(db, resortId, resortKey, date, events) {
+  if (!events || events.length === 0) {
+    return 0;
+  }
+
+  const added = saveChangeFile(resortKey, date, events);
+
+  if (db && resortId) {
+    try {
+      await saveEvents(db, resortId, date, events);
+    } catch (err) {
+      console.error('  ⚠️  Database error (events):', err.message);
+    }
+  }
+
+  if (added.length > 0) {
+    console.log(`🔔 Recorded ${added.length} change event(s) in data/${resortKey}/changes/${date}.json`);
+  }
+
+  return added.length;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_NEW_SNOW_THRESHOLD_INCHES,
+  diffTerrain,
+  diffLifts,
+  detectNewSnow,
+  getEventKey,
+  getPreviousTerrain,
+  getLatestLiftStates,
+  saveChangeFile,
+  recordChangeEvents
+};
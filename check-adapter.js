@@ -0,0 +1,85 @@
+// check-adapter.js - Run a platform adapter against a saved fixture
+// Verifies the adapter's output matches the normalized terrain/snow contract
+// without hitting the live site
+
+const fs = require('fs');
+const { getAdapter, checkTerrainShape, checkSnowShape, ADAPTERS } = require('./adapters');
+
+/**
+ * Print a short summary of normalized terrain data
+ */
+function printTerrainSummary(terrain) {
+  const trails = terrain.GroomingAreas.flatMap(area => area.Trails || []);
+
+  console.log('\n📊 Terrain:');
+  console.log(`   Date: ${terrain.Date}`);
+  console.log(`   Grooming Areas: ${terrain.GroomingAreas.length}`);
+  console.log(`   Trails: ${trails.length} (${trails.filter(t => t.IsOpen).length} open, ${trails.filter(t => t.IsGroomed).length} groomed)`);
+  console.log(`   Lifts: ${terrain.Lifts.length} (${terrain.Lifts.filter(l => l.Status === 'Open').length} open)`);
+}
+
+/**
+ * Print a short summary of normalized snow data
+ */
+function printSnowSummary(snow) {
+  const report = snow.snowReport;
+
+  console.log('\n❄️  Snow:');
+  console.log(`   Conditions: ${report.OverallSnowConditions}`);
+  console.log(`   Base Depth: ${report.BaseDepth.Inches}"`);
+  console.log(`   24hr Snowfall: ${report.TwentyFourHourSnowfall ? report.TwentyFourHourSnowfall.Inches : 'n/a'}"`);
+  console.log(`   Season Total: ${report.CurrentSeason.Inches}"`);
+  console.log(`   Forecast locations: ${snow.forecasts ? snow.forecasts.length : 0}`);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const [platform, fixturePath] = process.argv.slice(2);
+
+  if (!platform || !fixturePath) {
+    console.error('Usage: node check-adapter.js <platform> <fixture.json>');
+    console.error(`\nAvailable platforms: ${Object.keys(ADAPTERS).join(', ')}\n`);
+    process.exit(1);
+  }
+
+  const resort = { key: 'fixture', platform, timezone: 'America/Denver' };
+  const adapter = getAdapter(resort);
+  const raw = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  console.log(`🔌 Checking ${adapter.platform} adapter against ${fixturePath}`);
+
+  const terrain = adapter.normalizeTerrain(raw, resort);
+  const snow = adapter.normalizeSnow(raw, resort);
+  const problems = [];
+
+  if (terrain) {
+    problems.push(...checkTerrainShape(terrain).map(p => `terrain: ${p}`));
+    if (problems.length === 0) printTerrainSummary(terrain);
+  } else {
+    console.log(`\n○ No ${adapter.sourceName} data in fixture`);
+  }
+
+  if (snow) {
+    const snowProblems = checkSnowShape(snow).map(p => `snow: ${p}`);
+    problems.push(...snowProblems);
+    if (snowProblems.length === 0) printSnowSummary(snow);
+  } else {
+    console.log(`\n○ No ${adapter.snowSourceName} data in fixture`);
+  }
+
+  if (!terrain && !snow) {
+    problems.push('adapter produced no terrain or snow data');
+  }
+
+  if (problems.length > 0) {
+    console.error('\n❌ Contract violations:');
+    problems.forEach(p => console.error(`   - ${p}`));
+    process.exit(1);
+  }
+
+  console.log('\n✅ Adapter output matches the normalized contract\n');
+}
+
+main();
@@ -0,0 +1,34 @@
+// check-config.js - Check config.json (or another config file) and list every problem
+// Usage: node check-config.js [file]   (npm run config:check)
+//
+// Exits non-zero when there are problems, so it can run before a commit or in CI.
+// The checks themselves are in config-validation.js.
+
+const { checkConfigFile, formatProblem, CONFIG_FILE } = require('./config-validation');
+
+/**
+ * Main execution
+ */
+function main() {
+  const file = process.argv[2] || CONFIG_FILE;
+
+  let result;
+  try {
+    result = checkConfigFile(file);
+  } catch (error) {
+    console.error(`❌ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { config, problems } = result;
+  if (problems.length > 0) {
+    console.error(`❌ ${file} has ${problems.length} problem(s):\n`);
+    problems.forEach(problem => console.error(`   ${formatProblem(file, problem)}`));
+    console.error('');
+    process.exit(1);
+  }
+
+  console.log(`✅ ${file} is valid (${config.resorts.length} resorts)`);
+}
+
+main();
@@ -0,0 +1,432 @@
+// config-validation.js - Checks of config.json, reported with the line each problem is on
+//
+// config.json is edited by hand, and a bad value used to fail far from where it
+// was typed (a seasonStart of "11-31" only surfaced inside isResortInSeason).
+// schemas/config.schema.json covers the structure: required fields, types,
+// bounds like targetHour 0-23, and unknown fields. The checks here cover what a
+// schema can't: keys set twice in one object (JSON.parse silently keeps the
+// last), duplicate resort keys, IANA timezones, real MM-DD dates and the URL
+// shape each platform adapter expects.
+//
+// The scrapers, scheduler and other scripts read config.json through
+// loadConfig(), which stops at startup on any problem; `npm run config:check`
+// (check-config.js) lists them all.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { formatInstancePath } = require('./payload-validation');
+const { ADAPTERS, DEFAULT_PLATFORM } = require('./adapters');
+
+const CONFIG_FILE = 'config.json';
+const SCHEMA_FILE = path.join(__dirname, 'schemas', 'config.schema.json');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+// February allows the 29th, since season dates recur every year
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Friendlier wording for the schema's patterns
+const PATTERN_MESSAGES = {
+  '^\\d{2}-\\d{2}$': 'must be an MM-DD date',
+  '^\\d{4}-\\d{2}-\\d{2}$': 'must be a YYYY-MM-DD date',
+  '^([01]\\d|2[0-3]):[0-5]\\d$': 'must be an HH:mm time',
+  '^[a-z0-9][a-z0-9-]*$': 'must be lowercase letters, digits and dashes (it names the resort\'s data folder)'
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')));
+
+/**
+ * Escape an object key for a JSON pointer, as Ajv's instancePath does
+ */
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Parse JSON text, recording where each value is
+ * Returns { value, locations, duplicates }: locations maps a JSON pointer to the
+ * { line, column } of its key (or of the value, for array items and the root),
+ * duplicates lists keys set twice in one object as { pointer, line, column, first }.
+ * Syntax errors are thrown as SyntaxErrors carrying line and column.
+ */
+function parseWithLocations(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const locations = new Map();
+  const duplicates = [];
+  let pos = 0;
+
+  const locate = index => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+  };
+
+  const fail = message => {
+    const error = new SyntaxError(message);
+    Object.assign(error, locate(pos));
+    throw error;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+  };
+
+  const matchAt = pattern => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (match) pos = pattern.lastIndex;
+    return match && match[0];
+  };
+
+  const parseString = () => {
+    const literal = matchAt(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y);
+    if (!literal) fail('Invalid or unterminated string');
+    return JSON.parse(literal);
+  };
+
+  const parseValue = pointer => {
+    skipWhitespace();
+    locations.set(pointer, locations.get(pointer) || locate(pos));
+
+    if (text[pos] === '{') return parseObject(pointer);
+    if (text[pos] === '[') return parseArray(pointer);
+    if (text[pos] === '"') return parseString();
+
+    const literal = matchAt(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y);
+    if (!literal) fail(pos >= text.length ? 'Unexpected end of file' : `Unexpected ${JSON.stringify(text[pos])}`);
+    return JSON.parse(literal);
+  };
+
+  const parseObject = pointer => {
+    const result = {};
+    const seen = new Map();
+    pos++;
+    skipWhitespace();
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail('Expected a property name in double quotes');
+
+      const keyLocation = locate(pos);
+      const key = parseString();
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      if (seen.has(key)) {
+        duplicates.push({ pointer: childPointer, ...keyLocation, first: seen.get(key) });
+      } else {
+        seen.set(key, keyLocation);
+      }
+      // Point at the value JSON.parse would keep: the last one
+      locations.set(childPointer, keyLocation);
+
+      skipWhitespace();
+      if (text[pos] !== ':') fail('Expected ":" after the property name');
+      pos++;
+      Object.defineProperty(result, key, { value: parseValue(childPointer), enumerable: true, writable: true, configurable: true });
+
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === '}') {
+        pos++;
+        return result;
+      } else {
+        fail('Expected "," or "}" after the property value');
+      }
+    }
+  };
+
+  const parseArray = pointer => {
+    const result = [];
+    pos++;
+    skipWhitespace();
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+
+    for (;;) {
+      result.push(parseValue(`${pointer}/${result.length}`));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] === ']') {
+        pos++;
+        return result;
+      } else {
+        fail('Expected "," or "]" after the array item');
+      }
+    }
+  };
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (pos < text.length) fail('Unexpected text after the end of the JSON');
+
+  return { value, locations, duplicates };
+}
+
+/**
+ * Number of single-character edits between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The known field an unknown one was probably meant to be, or null
+ */
+function suggestField(field, known) {
+  const lower = field.toLowerCase();
+  const [best] = known
+    .map(name => ({ name, distance: editDistance(lower, name.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  return best && best.distance <= 2 ? best.name : null;
+}
+
+/**
+ * Turn a schema error into { pointer, message }
+ */
+function describeSchemaError(error) {
+  switch (error.keyword) {
+    case 'additionalProperties': {
+      const field = error.params.additionalProperty;
+      const suggestion = suggestField(field, Object.keys(error.parentSchema.properties || {}));
+      return {
+        pointer: `${error.instancePath}/${escapePointer(field)}`,
+        message: `is not a known field${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+      };
+    }
+    case 'required':
+      return { pointer: `${error.instancePath}/${escapePointer(error.params.missingProperty)}`, message: 'is required' };
+    case 'pattern':
+      return { pointer: error.instancePath, message: `${PATTERN_MESSAGES[error.params.pattern] || error.message} (got ${JSON.stringify(error.data)})` };
+    case 'enum':
+      return { pointer: error.instancePath, message: `must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(error.data)})` };
+    default:
+      return { pointer: error.instancePath, message: `${error.message} (got ${JSON.stringify(error.data)})` };
+  }
+}
+
+/**
+ * Problem with an MM-DD date that matches the pattern but isn't a day of the year, or null
+ */
+function checkMonthDay(value) {
+  if (typeof value !== 'string' || !/^\d{2}-\d{2}$/.test(value)) return null;
+
+  const month = parseInt(value.slice(0, 2), 10);
+  const day = parseInt(value.slice(3), 10);
+  if (month < 1 || month > 12) {
+    return `is not a real MM-DD date ("${value}": there is no month ${month})`;
+  }
+  if (day < 1 || day > MONTH_DAYS[month - 1]) {
+    return `is not a real MM-DD date ("${value}": ${MONTH_NAMES[month - 1]} has ${MONTH_DAYS[month - 1]} days)`;
+  }
+  return null;
+}
+
+/**
+ * Problem with a timezone name, or null
+ */
+function checkTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return null;
+
+  let resolved;
+  try {
+    resolved = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (e) {
+    return `is not an IANA timezone ("${timezone}"; e.g. America/Denver)`;
+  }
+  if (resolved !== timezone && resolved.toLowerCase() === timezone.toLowerCase()) {
+    return `must be written "${resolved}" (got "${timezone}")`;
+  }
+  return null;
+}
+
+/**
+ * Problem with a resort page/feed URL for its platform, or null
+ * Local file paths are allowed (page-fetch.js reads them from disk) as long as the file exists
+ */
+function checkUrl(url, adapter) {
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    return fs.existsSync(url) ? null : `is neither an http(s) URL nor an existing file ("${url}")`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return `is not a valid URL ("${url}")`;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return `must be an http(s) URL ("${url}")`;
+  }
+  return adapter && adapter.checkUrl ? adapter.checkUrl(url) : null;
+}
+
+/**
+ * Checks of the resort list beyond its schema: duplicate keys, timezones,
+ * season dates, platforms and URLs
+ */
+function checkResorts(resorts, add) {
+  if (!Array.isArray(resorts)) return;
+  const firstIndexOfKey = new Map();
+
+  resorts.forEach((resort, i) => {
+    if (!resort || typeof resort !== 'object' || Array.isArray(resort)) return;
+    const at = field => `/resorts/${i}/${field}`;
+
+    if (typeof resort.key === 'string') {
+      if (firstIndexOfKey.has(resort.key)) {
+        add(at('key'), `"${resort.key}" is already the key of resorts[${firstIndexOfKey.get(resort.key)}]`);
+      } else {
+        firstIndexOfKey.set(resort.key, i);
+      }
+    }
+
+    add(at('timezone'), checkTimezone(resort.timezone));
+    add(at('seasonStart'), checkMonthDay(resort.seasonStart));
+    add(at('seasonEnd'), checkMonthDay(resort.seasonEnd));
+
+    if (resort.terrainUrl === undefined && resort.url === undefined) {
+      add(at('terrainUrl'), 'is required');
+    }
+
+    const platform = resort.platform === undefined ? DEFAULT_PLATFORM : resort.platform;
+    const adapter = ADAPTERS[platform];
+    if (!adapter && typeof platform === 'string') {
+      add(at('platform'), `is not a known platform ("${platform}"; expected ${Object.keys(ADAPTERS).join(' or ')})`);
+    }
+
+    ['terrainUrl', 'url', 'snowReportUrl'].forEach(field => {
+      if (typeof resort[field] === 'string' && resort[field] !== '') {
+        add(at(field), checkUrl(resort[field], adapter));
+      }
+    });
+  });
+}
+
+/**
+ * Check config.json text
+ * Returns { config, problems } - config is null when the text isn't valid JSON;
+ * problems are { path, line, column, message }, in file order
+ */
+function checkConfigText(text) {
+  let parsed;
+  try {
+    parsed = parseWithLocations(text);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return { config: null, problems: [{ path: '', line: error.line, column: error.column, message: error.message }] };
+  }
+
+  const { value: config, locations, duplicates } = parsed;
+  const found = [];
+  const add = (pointer, message) => {
+    if (message) found.push({ pointer, message });
+  };
+
+  duplicates.forEach(duplicate => {
+    add(duplicate.pointer, `is set twice in the same object (first on line ${duplicate.first.line}); only this last value is used`);
+  });
+
+  if (!validateSchema(config)) {
+    validateSchema.errors.forEach(error => {
+      const { pointer, message } = describeSchemaError(error);
+      add(pointer, message);
+    });
+  }
+
+  if (config && typeof config === 'object') {
+    checkResorts(config.resorts, add);
+    if (config.schedule && typeof config.schedule === 'object') {
+      add('/schedule/defaultSeasonStart', checkMonthDay(config.schedule.defaultSeasonStart));
+      add('/schedule/defaultSeasonEnd', checkMonthDay(config.schedule.defaultSeasonEnd));
+    }
+  }
+
+  // A missing field has no location of its own; use the nearest enclosing one
+  const locationOf = pointer => {
+    for (let current = pointer; ; current = current.slice(0, current.lastIndexOf('/'))) {
+      if (locations.has(current)) return locations.get(current);
+      if (current === '') return { line: 1, column: 1 };
+    }
+  };
+
+  const problems = found
+    .map(({ pointer, message }) => ({
+      path: pointer === '' ? '' : formatInstancePath(pointer),
+      ...locationOf(pointer),
+      message
+    }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return { config, problems };
+}
+
+/**
+ * Check a config file, as checkConfigText does
+ */
+function checkConfigFile(file = CONFIG_FILE) {
+  return checkConfigText(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * "config.json:12:7 resorts[0].timezone is not an IANA timezone ..."
+ */
+function formatProblem(file, problem) {
+  return `${file}:${problem.line}:${problem.column} ${problem.path ? `${problem.path} ` : ''}${problem.message}`;
+}
+
+/**
+ * Read config.json for a script's startup
+ * Prints every problem and exits when there are any, so a bad edit stops the
+ * run before anything is scraped or written
+ */
+function loadConfig(file = CONFIG_FILE) {
+  let result;
+  try {
+    result = checkConfigFile(file);
+  } catch (error) {
+    console.error(`❌ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (result.problems.length > 0) {
+    console.error(`❌ ${file} has ${result.problems.length} problem(s):`);
+    result.problems.forEach(problem => console.error(`   ${formatProblem(file, problem)}`));
+    process.exit(1);
+  }
+
+  return result.config;
+}
+
+module.exports = {
+  parseWithLocations,
+  checkConfigText,
+  checkConfigFile,
+  formatProblem,
+  loadConfig,
+  CONFIG_FILE
+};
@@ -222,8 +222,8 @@ function displayWeatherWidget(data) {
     if (!widget) return;
 
     const conditions = data.conditions || 'N/A';
-    const baseDepth = data.baseDepth ? `${data.baseDepth.inches}"` : 'N/A';
-    const snowfall24h = data.snowfall ? `${data.snowfall['24hour_inches']}"` : '0"';
+    const baseDepth = data.baseDepth && data.baseDepth.inches != null ? `${data.baseDepth.inches}"` : 'N/A';
+    const snowfall24h = data.snowfall && data.snowfall['24hour_inches'] != null ? `${data.snowfall['24hour_inches']}"` : 'N/A';
 
     // Get today's forecast from first location
     let todayHigh = 'N/A';
@@ -1,220 +1,1051 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { runMigrations } = require('./migrations');
 
-const DB_PATH = path.join(__dirname, 'data', 'ski-data.db');
-
-/**
- * Initialize the SQLite database and create tables if they don't exist
- */
-function initializeDatabase() {
-  const db = new sqlite3.Database(DB_PATH);
-
-  db.serialize(() => {
-    // Create resorts table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS resorts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        key TEXT UNIQUE NOT NULL,
-        name TEXT NOT NULL,
-        timezone TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create terrain_status table for daily trail/lift/grooming data
-    db.run(`
-      CREATE TABLE IF NOT EXISTS terrain_status (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        resort_id INTEGER NOT NULL,
-        date TEXT NOT NULL,
-        item_name TEXT NOT NULL,
-        item_type TEXT,
-        status TEXT,
-        grooming_status TEXT,
-        grooming_type TEXT,
-        raw_data TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (resort_id) REFERENCES resorts(id),
-        UNIQUE(resort_id, date, item_name)
-      )
-    `);
-
-    // Create snow_conditions table for daily snow reports
-    db.run(`
-      CREATE TABLE IF NOT EXISTS snow_conditions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        resort_id INTEGER NOT NULL,
-        date TEXT NOT NULL,
-        overnight_snowfall_inches REAL,
-        base_depth_inches REAL,
-        new_snow_24h_inches REAL,
-        new_snow_48h_inches REAL,
-        new_snow_7day_inches REAL,
-        season_total_inches REAL,
-        weather_condition TEXT,
-        temperature REAL,
-        raw_data TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (resort_id) REFERENCES resorts(id),
-        UNIQUE(resort_id, date)
-      )
-    `);
-
-    // Create indices for common queries
-    db.run(`CREATE INDEX IF NOT EXISTS idx_terrain_resort_date ON terrain_status(resort_id, date)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_terrain_name ON terrain_status(item_name)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_terrain_grooming ON terrain_status(grooming_status)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_snow_resort_date ON snow_conditions(resort_id, date)`);
+// SKI_DB_PATH points a run at another database file (e2e.js uses a scratch one)
+const DB_PATH = process.env.SKI_DB_PATH || path.join(__dirname, 'data', 'ski-data.db');
+
+// Transactions and writes waiting for the connection, per database. Callers
+// share one sqlite3 connection (scheduler.js lanes and lift-scraper.js resorts
+// run side by side), so a second BEGIN must wait for the first COMMIT, and a
+// write from outside a transaction must not land inside it and roll back with it.
+const transactionQueues = new WeakMap();
+
+// The database whose transaction the current async call chain is inside, so
+// its own writes (and nested transactions) run straight away
+const transactionScope = new AsyncLocalStorage();
+let savepointCount = 0;
+
+/**
+ * Run `task` once every transaction and write queued before it has finished
+ */
+function enqueue(db, task) {
+  const previous = transactionQueues.get(db) || Promise.resolve();
+  const current = previous.then(task);
+
+  // Later work only waits for this to finish, not for it to succeed
+  transactionQueues.set(db, current.catch(() => {}));
+  return current;
+}
+
+/**
+ * Whether the caller is inside a transaction on this database
+ */
+function inTransaction(db) {
+  return transactionScope.getStore() === db;
+}
+
+/**
+ * Run a statement on the connection as it is, resolving to { lastID, changes }
+ */
+function execute(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
   });
+}
 
-  return db;
+/**
+ * Run a statement, resolving to { lastID, changes }
+ * Outside a transaction it waits its turn behind any queued transactions
+ */
+function run(db, sql, params = []) {
+  return inTransaction(db) ? execute(db, sql, params) : enqueue(db, () => execute(db, sql, params));
 }
 
 /**
- * Get or create a resort by key
+ * Run a query, resolving to the first row (or undefined)
  */
-function getOrCreateResort(db, resortKey, resortName, timezone, callback) {
-  db.get(
-    'SELECT id FROM resorts WHERE key = ?',
-    [resortKey],
-    (err, row) => {
-      if (err) return callback(err);
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
 
-      if (row) {
-        callback(null, row.id);
-      } else {
-        db.run(
-          'INSERT INTO resorts (key, name, timezone) VALUES (?, ?, ?)',
-          [resortKey, resortName, timezone],
-          function(err) {
-            if (err) return callback(err);
-            callback(null, this.lastID);
-          }
-        );
+/**
+ * Run a query, resolving to all rows
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Run one prepared statement for each parameter list, resolving to the row count
+ * Outside a transaction it waits its turn like run()
+ */
+function runForEach(db, sql, paramsList) {
+  const runAll = async () => {
+    const stmt = db.prepare(sql);
+
+    try {
+      for (const params of paramsList) {
+        await new Promise((resolve, reject) => {
+          stmt.run(params, err => (err ? reject(err) : resolve()));
+        });
       }
+    } finally {
+      await new Promise(resolve => stmt.finalize(() => resolve()));
     }
+
+    return paramsList.length;
+  };
+
+  return inTransaction(db) ? runAll() : enqueue(db, runAll);
+}
+
+/**
+ * Run `work` inside a transaction, committing when it resolves and rolling
+ * back when it throws. Resolves to whatever `work` resolves to, so the caller
+ * knows the data is committed.
+ * Called from inside another transaction's work, it runs straight away as a
+ * savepoint of that transaction (only its own writes roll back when it throws)
+ */
+function withTransaction(db, work) {
+  if (inTransaction(db)) {
+    const savepoint = `nested_${++savepointCount}`;
+    return (async () => {
+      await execute(db, `SAVEPOINT ${savepoint}`);
+      try {
+        const result = await work();
+        await execute(db, `RELEASE ${savepoint}`);
+        return result;
+      } catch (err) {
+        await execute(db, `ROLLBACK TO ${savepoint}`).catch(() => {});
+        await execute(db, `RELEASE ${savepoint}`).catch(() => {});
+        throw err;
+      }
+    })();
+  }
+
+  return enqueue(db, () => transactionScope.run(db, async () => {
+    await execute(db, 'BEGIN');
+    try {
+      const result = await work();
+      await execute(db, 'COMMIT');
+      return result;
+    } catch (err) {
+      await execute(db, 'ROLLBACK').catch(() => {});
+      throw err;
+    }
+  }));
+}
+
+/**
+ * Open the SQLite database and apply any pending schema migrations (see migrations/)
+ * Resolves to the connection once the schema is up to date (dbPath defaults to DB_PATH)
+ */
+async function initializeDatabase(dbPath = DB_PATH) {
+  const db = new sqlite3.Database(dbPath);
+
+  try {
+    await runMigrations(db, { log: message => console.log(`🗄️  ${message}`) });
+  } catch (err) {
+    await closeDatabase(db);
+    throw err;
+  }
+
+  return db;
+}
+
+/**
+ * Apply any pending schema migrations without keeping the connection open
+ */
+async function migrateDatabase() {
+  const db = await initializeDatabase();
+  await closeDatabase(db);
+}
+
+/**
+ * Get or create a resort by key, resolving to its id
+ * Safe to call for the same resort from concurrent saves
+ */
+function getOrCreateResort(db, resortKey, resortName, timezone) {
+  return withTransaction(db, async () => {
+    await run(
+      db,
+      'INSERT OR IGNORE INTO resorts (key, name, timezone) VALUES (?, ?, ?)',
+      [resortKey, resortName, timezone]
+    );
+    const row = await get(db, 'SELECT id FROM resorts WHERE key = ?', [resortKey]);
+    return row.id;
+  });
+}
+
+/**
+ * Look up a resort's id by key, resolving to null if it has no data yet
+ */
+async function getResortId(db, resortKey) {
+  const row = await get(db, 'SELECT id FROM resorts WHERE key = ?', [resortKey]);
+  return row ? row.id : null;
+}
+
+/**
+ * Clean up a trail name scraped from the feed
+ * Some names carry the feed's pagination text on the end
+ */
+function sanitizeItemName(name) {
+  return String(name || '')
+    // Remove pagination text pattern: "0   5073\t Items per page : 20 1 - 20 of 54"
+    .replace(/\s*\d+\s+\d+\s*\t\s*Items per page\s*:\s*\d+\s+\d+\s*-\s*\d+\s+of\s+\d+.*$/i, '')
+    .trim();
+}
+
+/**
+ * Convert a trail or lift name to a URL-friendly slug
+ */
+function slugifyItemName(name) {
+  return sanitizeItemName(name)
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '') // Remove special characters
+    .replace(/\s+/g, '-')      // Replace spaces with hyphens
+    .replace(/--+/g, '-')      // Replace multiple hyphens with single
+    .trim();
+}
+
+/**
+ * Catalog key for a trail or lift: the feed's Id when it has one, otherwise its name
+ * (the top-level lift list has no Ids)
+ */
+function getFeedKey(item) {
+  if (item.Id !== undefined && item.Id !== null && item.Id !== '') {
+    return `id:${item.Id}`;
+  }
+  return `name:${item.Name || 'Unknown'}`;
+}
+
+/**
+ * Pick a slug for a new catalog item that no other item of its type at the
+ * resort uses. Tries the name, then the name plus area, then a numeric suffix
+ */
+async function getUniqueSlug(db, resortId, itemType, name, areaName) {
+  const base = slugifyItemName(name) || itemType;
+  const candidates = [base];
+  if (areaName && slugifyItemName(areaName)) {
+    candidates.push(`${base}-${slugifyItemName(areaName)}`);
+  }
+
+  for (let i = 0; ; i++) {
+    const slug = i < candidates.length ? candidates[i] : `${base}-${i - candidates.length + 2}`;
+    const taken = await get(
+      db,
+      'SELECT 1 FROM terrain_items WHERE resort_id = ? AND item_type = ? AND slug = ?',
+      [resortId, itemType, slug]
+    );
+    if (!taken) return slug;
+  }
+}
+
+/**
+ * Find or create the catalog entry for a trail or lift listed on `date` and
+ * record the name it was listed under. The slug is fixed when the item is
+ * first seen, so a renamed run keeps its URL. Resolves to the item's id.
+ * Must run inside the caller's transaction.
+ */
+async function resolveTerrainItem(db, resortId, itemType, item, date) {
+  const feedKey = getFeedKey(item);
+  const name = item.Name || 'Unknown';
+  const areaId = item.areaId !== undefined && item.areaId !== null ? String(item.areaId) : null;
+  const areaName = item.areaName || null;
+
+  const existing = await get(
+    db,
+    'SELECT * FROM terrain_items WHERE resort_id = ? AND item_type = ? AND feed_key = ?',
+    [resortId, itemType, feedKey]
   );
+
+  let itemId;
+  if (existing) {
+    itemId = existing.id;
+
+    // Only the most recent listing decides the current name and area
+    const isLatest = !existing.last_seen || date >= existing.last_seen;
+    await run(
+      db,
+      `UPDATE terrain_items
+       SET name = ?, area_id = ?, area_name = ?, first_seen = ?, last_seen = ?
+       WHERE id = ?`,
+      [
+        isLatest ? name : existing.name,
+        (isLatest && areaId) || existing.area_id,
+        (isLatest && areaName) || existing.area_name,
+        existing.first_seen && existing.first_seen < date ? existing.first_seen : date,
+        isLatest ? date : existing.last_seen,
+        itemId
+      ]
+    );
+  } else {
+    const slug = await getUniqueSlug(db, resortId, itemType, name, areaName);
+    ({ lastID: itemId } = await run(
+      db,
+      `INSERT INTO terrain_items
+       (resort_id, item_type, feed_key, name, area_id, area_name, slug, first_seen, last_seen)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [resortId, itemType, feedKey, name, areaId, areaName, slug, date, date]
+    ));
+  }
+
+  await run(
+    db,
+    `INSERT INTO terrain_item_names (item_id, name, first_seen, last_seen)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(item_id, name) DO UPDATE SET
+       first_seen = MIN(first_seen, excluded.first_seen),
+       last_seen = MAX(last_seen, excluded.last_seen)`,
+    [itemId, name, date, date]
+  );
+
+  return itemId;
+}
+
+/**
+ * Convert a feed value to an integer, keeping 0 and returning null when missing
+ */
+function toInteger(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseInt(value, 10);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Catalog-linked rows for every trail (and per-area lift) in a terrain feed:
+ * [itemId, name, type, status, groomingStatus, groomingType, rawData]
+ * Must run inside a transaction, since it updates the catalog
+ */
+async function collectTerrainRows(db, resortId, date, fmr) {
+  const rows = [];
+
+  for (const area of fmr.GroomingAreas) {
+    const areaInfo = { areaId: area.Id, areaName: area.Name };
+
+    for (const trail of area.Trails || []) {
+      // Map Vail API properties to database fields
+      const status = trail.Status || (trail.IsOpen ? 'Open' : 'Closed');
+      const groomingStatus = trail.GroomingStatus || (trail.IsGroomed ? 'Groomed' : null);
+      const groomingType = trail.Type || trail.TrailType || null;
+      const itemId = await resolveTerrainItem(db, resortId, 'trail', { ...trail, ...areaInfo }, date);
+
+      rows.push([itemId, trail.Name || 'Unknown', 'trail', status, groomingStatus, groomingType, JSON.stringify(trail)]);
+    }
+
+    for (const lift of area.Lifts || []) {
+      // Map lift status
+      const liftStatus = lift.Status || (lift.IsOpen ? 'Open' : 'Closed');
+      const itemId = await resolveTerrainItem(db, resortId, 'lift', { ...lift, ...areaInfo }, date);
+
+      rows.push([itemId, lift.Name || 'Unknown', 'lift', liftStatus, null, null, JSON.stringify(lift)]);
+    }
+  }
+
+  return rows;
 }
 
 /**
  * Insert or update terrain status data
+ * Trails (and any per-area lifts) go to terrain_status; the top-level
+ * FMR.Lifts list goes to lift_status. Each row is linked to its catalog
+ * item in terrain_items. Everything is written in one transaction; a day's
+ * existing rows are updated in place (intraday roll-ups rewrite them).
+ * Resolves to { terrainCount, liftCount } once committed
  */
-function saveTerrainStatus(db, resortId, date, terrainData, callback) {
+async function saveTerrainStatus(db, resortId, date, terrainData) {
   if (!terrainData || !terrainData.FMR || !terrainData.FMR.GroomingAreas) {
-    return callback(null);
+    return { terrainCount: 0, liftCount: 0 };
   }
 
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO terrain_status
-    (resort_id, date, item_name, item_type, status, grooming_status, grooming_type, raw_data)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  let insertCount = 0;
-
-  // Process all grooming areas
-  terrainData.FMR.GroomingAreas.forEach(area => {
-    if (area.Trails) {
-      area.Trails.forEach(trail => {
-        // Map Vail API properties to database fields
-        const status = trail.Status || (trail.IsOpen ? 'Open' : 'Closed');
-        const groomingStatus = trail.GroomingStatus || (trail.IsGroomed ? 'Groomed' : null);
-        const groomingType = trail.Type || trail.TrailType || null;
-
-        stmt.run(
-          resortId,
-          date,
-          trail.Name || 'Unknown',
-          'trail',
-          status,
-          groomingStatus,
-          groomingType,
-          JSON.stringify(trail)
-        );
-        insertCount++;
-      });
-    }
+  return withTransaction(db, async () => {
+    const terrainRows = (await collectTerrainRows(db, resortId, date, terrainData.FMR))
+      .map(row => [resortId, date, ...row]);
+
+    // Process the resort-wide lift list
+    const liftRows = [];
+    for (const lift of terrainData.FMR.Lifts || []) {
+      const itemId = await resolveTerrainItem(db, resortId, 'lift', { ...lift, areaName: lift.Mountain }, date);
 
-    if (area.Lifts) {
-      area.Lifts.forEach(lift => {
-        // Map lift status
-        const liftStatus = lift.Status || (lift.IsOpen ? 'Open' : 'Closed');
-
-        stmt.run(
-          resortId,
-          date,
-          lift.Name || 'Unknown',
-          'lift',
-          liftStatus,
-          null,
-          null,
-          JSON.stringify(lift)
-        );
-        insertCount++;
-      });
+      liftRows.push([
+        resortId,
+        date,
+        itemId,
+        lift.Name || 'Unknown',
+        lift.Status || null,
+        lift.Type || null,
+        toInteger(lift.Capacity),
+        lift.Mountain || null,
+        lift.OpenTime || null,
+        lift.CloseTime || null,
+        toInteger(lift.WaitTimeInMinutes),
+        toInteger(lift.SortOrder),
+        JSON.stringify(lift)
+      ]);
     }
+
+    const terrainCount = await runForEach(db, `
+      INSERT INTO terrain_status
+      (resort_id, date, item_id, item_name, item_type, status, grooming_status, grooming_type, raw_data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(resort_id, date, item_id) DO UPDATE SET
+        item_name = excluded.item_name,
+        item_type = excluded.item_type,
+        status = excluded.status,
+        grooming_status = excluded.grooming_status,
+        grooming_type = excluded.grooming_type,
+        raw_data = excluded.raw_data
+    `, terrainRows);
+
+    const liftCount = await runForEach(db, `
+      INSERT INTO lift_status
+      (resort_id, date, item_id, lift_name, status, lift_type, capacity, mountain,
+       open_time, close_time, wait_minutes, sort_order, raw_data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(resort_id, date, lift_name) DO UPDATE SET
+        item_id = excluded.item_id,
+        status = excluded.status,
+        lift_type = excluded.lift_type,
+        capacity = excluded.capacity,
+        mountain = excluded.mountain,
+        open_time = excluded.open_time,
+        close_time = excluded.close_time,
+        wait_minutes = excluded.wait_minutes,
+        sort_order = excluded.sort_order,
+        raw_data = excluded.raw_data
+    `, liftRows);
+
+    return { terrainCount, liftCount };
   });
+}
+
+/**
+ * Store one intraday terrain snapshot (see terrain-snapshots.js)
+ * `snapshotTime` is the resort-local HH:mm it was taken and `capturedAt` the ISO
+ * timestamp. Snapshots are never overwritten - saving the same one again is a no-op.
+ * Resolves to the number of rows inserted
+ */
+async function saveTerrainSnapshot(db, resortId, date, snapshotTime, capturedAt, terrainData) {
+  if (!terrainData || !terrainData.FMR || !terrainData.FMR.GroomingAreas) {
+    return 0;
+  }
+
+  return withTransaction(db, async () => {
+    const rows = (await collectTerrainRows(db, resortId, date, terrainData.FMR))
+      .map(row => [resortId, date, snapshotTime, capturedAt, ...row]);
+
+    return runForEach(db, `
+      INSERT OR IGNORE INTO terrain_snapshots
+      (resort_id, date, snapshot_time, captured_at, item_id, item_name, item_type,
+       status, grooming_status, grooming_type, raw_data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, rows);
+  });
+}
+
+/**
+ * A day's intraday terrain snapshots, by snapshot time then item
+ * Pass `itemId` for one trail's or lift's history through the day
+ */
+function getTerrainSnapshots(db, resortId, date, itemId = null) {
+  return all(
+    db,
+    `SELECT * FROM terrain_snapshots
+     WHERE resort_id = ? AND date = ? AND (? IS NULL OR item_id = ?)
+     ORDER BY snapshot_time, item_type, item_name`,
+    [resortId, date, itemId, itemId]
+  );
+}
+
+/**
+ * Read a number from the cleaned snow data, keeping legitimate zeros
+ */
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Build snow_forecasts rows from the forecast in a cleaned snow report
+ */
+function getForecastRows(resortId, date, forecast) {
+  if (!forecast || !Array.isArray(forecast.locations)) {
+    return [];
+  }
+
+  const rows = [];
+
+  forecast.locations.forEach(location => {
+    (location.forecast_days || []).forEach((day, index) => {
+      if (!day.date) return;
+
+      // Wind is only reported for the current day
+      const today = index === 0 ? location.today || {} : {};
 
-  stmt.finalize((err) => {
-    if (err) return callback(err);
-    callback(null, insertCount);
+      rows.push([
+        resortId,
+        date,
+        location.name || 'Unknown',
+        location.elevation || null,
+        day.date,
+        toNumberOrNull(day.high_f),
+        toNumberOrNull(day.high_c),
+        toNumberOrNull(day.low_f),
+        toNumberOrNull(day.low_c),
+        day.description || null,
+        today.wind || null,
+        toNumberOrNull(today.wind_speed),
+        toNumberOrNull(day.snowfall_day_inches),
+        toNumberOrNull(day.snowfall_night_inches)
+      ]);
+    });
   });
+
+  return rows;
 }
 
 /**
  * Insert or update snow conditions data
+ * `snowData` is the cleaned snow report built by saveSnowData in ski-scraper.js
+ * (the same shape as data/{resort}/snow/{date}.json). Forecast days are
+ * stored in snow_forecasts, in the same transaction.
+ * Resolves to { id, forecastCount } once committed, or null without data
  */
-function saveSnowConditions(db, resortId, date, snowData, callback) {
+async function saveSnowConditions(db, resortId, date, snowData) {
   if (!snowData) {
-    return callback(null);
+    return null;
   }
 
-  db.run(
-    `INSERT OR REPLACE INTO snow_conditions
-     (resort_id, date, overnight_snowfall_inches, base_depth_inches,
-      new_snow_24h_inches, new_snow_48h_inches, new_snow_7day_inches,
-      season_total_inches, weather_condition, temperature, raw_data)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      resortId,
-      date,
-      snowData.overnightSnowfall?.inches || null,
-      snowData.baseDepth?.inches || null,
-      snowData.newSnow24Hours?.inches || null,
-      snowData.newSnow48Hours?.inches || null,
-      snowData.newSnow7Days?.inches || null,
-      snowData.seasonTotal?.inches || null,
-      snowData.currentConditions?.weather || null,
-      snowData.currentConditions?.temperature || null,
-      JSON.stringify(snowData)
-    ],
-    function(err) {
-      if (err) return callback(err);
-      callback(null, this.lastID);
+  const snowfall = snowData.snowfall || {};
+  const baseDepth = snowData.baseDepth || {};
+
+  return withTransaction(db, async () => {
+    const { lastID } = await run(
+      db,
+      `INSERT OR REPLACE INTO snow_conditions
+       (resort_id, date,
+        overnight_snowfall_inches, overnight_snowfall_cm,
+        base_depth_inches, base_depth_cm,
+        new_snow_24h_inches, new_snow_24h_cm,
+        new_snow_48h_inches, new_snow_48h_cm,
+        new_snow_7day_inches, new_snow_7day_cm,
+        season_total_inches, season_total_cm,
+        weather_condition, temperature, raw_data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        resortId,
+        date,
+        toNumberOrNull(snowfall.overnight_inches),
+        toNumberOrNull(snowfall.overnight_cm),
+        toNumberOrNull(baseDepth.inches),
+        toNumberOrNull(baseDepth.cm),
+        toNumberOrNull(snowfall['24hour_inches']),
+        toNumberOrNull(snowfall['24hour_cm']),
+        toNumberOrNull(snowfall['48hour_inches']),
+        toNumberOrNull(snowfall['48hour_cm']),
+        toNumberOrNull(snowfall['7day_inches']),
+        toNumberOrNull(snowfall['7day_cm']),
+        toNumberOrNull(snowfall.season_total_inches),
+        toNumberOrNull(snowfall.season_total_cm),
+        snowData.conditions || null,
+        null, // No current temperature in the snow report; see snow_forecasts
+        JSON.stringify(snowData)
+      ]
+    );
+
+    const forecastCount = await runForEach(db, `
+      INSERT OR REPLACE INTO snow_forecasts
+      (resort_id, date, location, elevation, forecast_date, high_f, high_c, low_f, low_c,
+       description, wind, wind_speed, snowfall_day_inches, snowfall_night_inches)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, getForecastRows(resortId, date, snowData.forecast));
+
+    return { id: lastID, forecastCount };
+  });
+}
+
+/**
+ * Insert change events (see change-events.js), linking each to its catalog item
+ * Events already recorded for the same day and transition are skipped
+ * Resolves to the number of events inserted
+ */
+async function saveEvents(db, resortId, date, events) {
+  if (!events || events.length === 0) {
+    return 0;
+  }
+
+  const rows = events.map(event => [
+    resortId,
+    date,
+    event.type,
+    event.itemType,
+    resortId,
+    event.itemType,
+    event.itemKey,
+    event.itemKey,
+    event.name || null,
+    event.area || null,
+    event.from == null ? '' : String(event.from),
+    event.to == null ? '' : String(event.to),
+    event.detectedAt || new Date().toISOString()
+  ]);
+
+  return withTransaction(db, async () => {
+    let inserted = 0;
+    for (const params of rows) {
+      const { changes } = await run(db, `
+        INSERT OR IGNORE INTO events
+        (resort_id, date, event_type, item_type, item_id, item_key, item_name, area,
+         previous_value, current_value, detected_at)
+        VALUES (?, ?, ?, ?,
+          (SELECT id FROM terrain_items WHERE resort_id = ? AND item_type = ? AND feed_key = ?),
+          ?, ?, ?, ?, ?, ?)
+      `, params);
+      inserted += changes;
     }
+    return inserted;
+  });
+}
+
+/**
+ * Change events for a resort since a date, oldest first
+ */
+function getEvents(db, resortId, sinceDate) {
+  return all(
+    db,
+    `SELECT * FROM events
+     WHERE resort_id = ? AND date >= ?
+     ORDER BY date, detected_at, id`,
+    [resortId, sinceDate]
   );
 }
 
 /**
- * Get database connection
+ * Whether an alert has already gone to a sink on a date
+ */
+async function wasNotificationSent(db, date, subscriptionId, alertKey, sink) {
+  const row = await get(
+    db,
+    `SELECT 1 FROM notification_log
+     WHERE date = ? AND subscription_id = ? AND alert_key = ? AND sink = ?`,
+    [date, subscriptionId, alertKey, sink]
+  );
+  return !!row;
+}
+
+/**
+ * Record that an alert was delivered to a sink
+ */
+function recordNotificationSent(db, resortId, date, subscriptionId, alertKey, sink) {
+  return run(
+    db,
+    `INSERT OR IGNORE INTO notification_log (resort_id, date, subscription_id, alert_key, sink)
+     VALUES (?, ?, ?, ?, ?)`,
+    [resortId, date, subscriptionId, alertKey, sink]
+  );
+}
+
+/**
+ * Bytes of a day's lift NDJSON file already imported for a resort (0 if none)
+ */
+async function getLiftImportOffset(db, resortId, date) {
+  const row = await get(
+    db,
+    'SELECT byte_offset FROM lift_import_offsets WHERE resort_id = ? AND date = ?',
+    [resortId, date]
+  );
+  return row ? row.byte_offset : 0;
+}
+
+/**
+ * Insert lift samples from one day's NDJSON file (see lift-import.js) and move
+ * that file's import offset to `byteOffset`, in one transaction.
+ * Samples are linked to the lift's catalog item by name; ones already stored
+ * (same lift and timestamp) are skipped.
+ * Resolves to the number of samples inserted
+ */
+async function saveLiftSamples(db, resortId, date, samples, byteOffset) {
+  return withTransaction(db, async () => {
+    let inserted = 0;
+    for (const sample of samples) {
+      const { changes } = await run(db, `
+        INSERT OR IGNORE INTO lift_samples
+        (resort_id, date, timestamp, local_time, item_id, lift_name, status, lift_type,
+         wait_minutes, capacity, mountain, open_time, close_time)
+        VALUES (?, ?, ?, ?,
+          (SELECT id FROM terrain_items
+           WHERE resort_id = ? AND item_type = 'lift' AND (feed_key = ? OR name = ?)
+           ORDER BY feed_key = ? DESC LIMIT 1),
+          ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        resortId,
+        date,
+        sample.timestamp,
+        sample.localTime || null,
+        resortId,
+        getFeedKey({ Name: sample.name }),
+        sample.name,
+        getFeedKey({ Name: sample.name }),
+        sample.name,
+        sample.status || null,
+        sample.type || null,
+        toInteger(sample.waitMinutes),
+        toInteger(sample.capacity),
+        sample.mountain || null,
+        sample.openTime || null,
+        sample.closeTime || null
+      ]);
+      inserted += changes;
+    }
+
+    await run(db, `
+      INSERT INTO lift_import_offsets (resort_id, date, byte_offset, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(resort_id, date) DO UPDATE SET byte_offset = excluded.byte_offset, updated_at = excluded.updated_at
+    `, [resortId, date, byteOffset]);
+
+    return inserted;
+  });
+}
+
+/**
+ * All stored lift samples for a resort on one day, by lift then time
+ */
+function getLiftSamples(db, resortId, date) {
+  return all(
+    db,
+    `SELECT item_id, lift_name, timestamp, local_time, status, wait_minutes
+     FROM lift_samples
+     WHERE resort_id = ? AND date = ?
+     ORDER BY lift_name, timestamp`,
+    [resortId, date]
+  );
+}
+
+/**
+ * Replace a day's lift rollups with `{ hourly, daily }` (see buildLiftRollups)
+ */
+async function saveLiftRollups(db, resortId, date, rollups) {
+  return withTransaction(db, async () => {
+    await run(db, 'DELETE FROM lift_hourly_stats WHERE resort_id = ? AND date = ?', [resortId, date]);
+    await run(db, 'DELETE FROM lift_daily_stats WHERE resort_id = ? AND date = ?', [resortId, date]);
+
+    await runForEach(db, `
+      INSERT INTO lift_hourly_stats
+      (resort_id, date, lift_name, hour, sample_count, open_sample_count, avg_wait_minutes, peak_wait_minutes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, rollups.hourly.map(h => [
+      resortId, date, h.liftName, h.hour, h.sampleCount, h.openSampleCount, h.avgWaitMinutes, h.peakWaitMinutes
+    ]));
+
+    await runForEach(db, `
+      INSERT INTO lift_daily_stats
+      (resort_id, date, lift_name, item_id, sample_count, open_sample_count, avg_wait_minutes,
+       peak_wait_minutes, peak_wait_time, open_minutes, first_open_time, last_open_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, rollups.daily.map(d => [
+      resortId, date, d.liftName, d.itemId, d.sampleCount, d.openSampleCount, d.avgWaitMinutes,
+      d.peakWaitMinutes, d.peakWaitTime, d.openMinutes, d.firstOpenTime, d.lastOpenTime
+    ]));
+
+    return { hourlyCount: rollups.hourly.length, dailyCount: rollups.daily.length };
+  });
+}
+
+/**
+ * Per-lift daily rollups for a resort between two dates (inclusive), oldest first
+ */
+function getLiftDailyStats(db, resortId, fromDate, toDate) {
+  return all(
+    db,
+    `SELECT * FROM lift_daily_stats
+     WHERE resort_id = ? AND date >= ? AND date <= ?
+     ORDER BY date, lift_name`,
+    [resortId, fromDate, toDate]
+  );
+}
+
+/**
+ * Per-lift hourly rollups for a resort on one day, by lift then hour
+ */
+function getLiftHourlyStats(db, resortId, date) {
+  return all(
+    db,
+    `SELECT * FROM lift_hourly_stats
+     WHERE resort_id = ? AND date = ?
+     ORDER BY lift_name, hour`,
+    [resortId, date]
+  );
+}
+
+/**
+ * Upsert a day's posted versus observed lift hours (see recordObservedHours)
+ * `entries` maps lift name -> entry. Resolves to the number of lifts written
+ */
+async function saveLiftHours(db, resortId, date, entries) {
+  const rows = Object.entries(entries).map(([name, entry]) => [
+    resortId,
+    date,
+    name,
+    resortId,
+    getFeedKey({ Name: name }),
+    name,
+    getFeedKey({ Name: name }),
+    entry.postedOpenTime,
+    entry.postedCloseTime,
+    entry.firstOpenTime,
+    entry.lastOpenTime,
+    entry.openObserved ? 1 : 0,
+    entry.closeObserved ? 1 : 0,
+    entry.openDelayMinutes,
+    entry.closeOffsetMinutes
+  ]);
+
+  return withTransaction(db, () => runForEach(db, `
+    INSERT INTO lift_hours
+    (resort_id, date, lift_name, item_id, posted_open_time, posted_close_time, first_open_time,
+     last_open_time, open_observed, close_observed, open_delay_minutes, close_offset_minutes)
+    VALUES (?, ?, ?,
+      (SELECT id FROM terrain_items
+       WHERE resort_id = ? AND item_type = 'lift' AND (feed_key = ? OR name = ?)
+       ORDER BY feed_key = ? DESC LIMIT 1),
+      ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(resort_id, date, lift_name) DO UPDATE SET
+      item_id = excluded.item_id,
+      posted_open_time = excluded.posted_open_time,
+      posted_close_time = excluded.posted_close_time,
+      first_open_time = excluded.first_open_time,
+      last_open_time = excluded.last_open_time,
+      open_observed = excluded.open_observed,
+      close_observed = excluded.close_observed,
+      open_delay_minutes = excluded.open_delay_minutes,
+      close_offset_minutes = excluded.close_offset_minutes,
+      updated_at = CURRENT_TIMESTAMP
+  `, rows));
+}
+
+/**
+ * Posted versus observed lift hours for a resort between two dates, oldest first
+ */
+function getLiftHours(db, resortId, fromDate, toDate) {
+  return all(
+    db,
+    `SELECT * FROM lift_hours
+     WHERE resort_id = ? AND date >= ? AND date <= ?
+     ORDER BY date, lift_name`,
+    [resortId, fromDate, toDate]
+  );
+}
+
+/**
+ * Every resort with the dates of its most recent terrain and snow data
+ */
+function getResorts(db) {
+  return all(
+    db,
+    `SELECT r.id, r.key, r.name, r.timezone,
+       (SELECT MAX(date) FROM terrain_status WHERE resort_id = r.id) AS latest_terrain_date,
+       (SELECT MAX(date) FROM snow_conditions WHERE resort_id = r.id) AS latest_snow_date
+     FROM resorts r
+     ORDER BY r.key`
+  );
+}
+
+/**
+ * Most recent date with terrain data for a resort, or null
+ */
+async function getLatestTerrainDate(db, resortId) {
+  const row = await get(db, 'SELECT MAX(date) AS date FROM terrain_status WHERE resort_id = ?', [resortId]);
+  return row ? row.date : null;
+}
+
+/**
+ * Trail rows for one day with their catalog slug and area, by area then name
+ */
+function getTrailStatus(db, resortId, date) {
+  return all(
+    db,
+    `SELECT t.item_id, i.slug, t.item_name, i.area_name, t.status, t.grooming_status, t.grooming_type, t.raw_data
+     FROM terrain_status t
+     LEFT JOIN terrain_items i ON i.id = t.item_id
+     WHERE t.resort_id = ? AND t.date = ? AND t.item_type = 'trail'
+     ORDER BY i.area_name, t.item_name`,
+    [resortId, date]
+  );
+}
+
+/**
+ * Resort-wide lift rows for one day with their catalog slug, in feed order
+ */
+function getLiftStatus(db, resortId, date) {
+  return all(
+    db,
+    `SELECT l.item_id, i.slug, l.lift_name, l.status, l.lift_type, l.capacity, l.mountain,
+       l.open_time, l.close_time, l.wait_minutes, l.sort_order
+     FROM lift_status l
+     LEFT JOIN terrain_items i ON i.id = l.item_id
+     WHERE l.resort_id = ? AND l.date = ?
+     ORDER BY l.sort_order, l.lift_name`,
+    [resortId, date]
+  );
+}
+
+/**
+ * Snow reports for a resort between two dates (inclusive), newest first
+ */
+function getSnowConditions(db, resortId, fromDate, toDate) {
+  return all(
+    db,
+    `SELECT date, overnight_snowfall_inches, overnight_snowfall_cm,
+       new_snow_24h_inches, new_snow_24h_cm, new_snow_48h_inches, new_snow_48h_cm,
+       new_snow_7day_inches, new_snow_7day_cm, base_depth_inches, base_depth_cm,
+       season_total_inches, season_total_cm, weather_condition
+     FROM snow_conditions
+     WHERE resort_id = ? AND date >= ? AND date <= ?
+     ORDER BY date DESC`,
+    [resortId, fromDate, toDate]
+  );
+}
+
+/**
+ * Forecast days stored with a resort's snow report for a date
+ */
+function getSnowForecasts(db, resortId, date) {
+  return all(
+    db,
+    `SELECT location, elevation, forecast_date, high_f, high_c, low_f, low_c,
+       description, wind, wind_speed, snowfall_day_inches, snowfall_night_inches
+     FROM snow_forecasts
+     WHERE resort_id = ? AND date = ?
+     ORDER BY location, forecast_date`,
+    [resortId, date]
+  );
+}
+
+/**
+ * Catalog entries for the trails seen at a resort since a date, by name
+ */
+function getTrailItems(db, resortId, sinceDate) {
+  return all(
+    db,
+    `SELECT * FROM terrain_items
+     WHERE resort_id = ? AND item_type = 'trail' AND last_seen >= ?
+     ORDER BY name`,
+    [resortId, sinceDate]
+  );
+}
+
+/**
+ * Catalog entry for a trail or lift as listed in the feed, or undefined
+ */
+function getTerrainItem(db, resortId, itemType, item) {
+  return get(
+    db,
+    'SELECT * FROM terrain_items WHERE resort_id = ? AND item_type = ? AND feed_key = ?',
+    [resortId, itemType, getFeedKey(item)]
+  );
+}
+
+/**
+ * Catalog entry for a trail or lift by its URL slug, or undefined
+ */
+function getTerrainItemBySlug(db, resortId, itemType, slug) {
+  return get(
+    db,
+    'SELECT * FROM terrain_items WHERE resort_id = ? AND item_type = ? AND slug = ?',
+    [resortId, itemType, slug]
+  );
+}
+
+/**
+ * Earlier names of a catalog item (every name except the current one), oldest first
+ */
+function getItemAliases(db, itemId) {
+  return all(
+    db,
+    `SELECT n.name, n.first_seen, n.last_seen
+     FROM terrain_item_names n
+     JOIN terrain_items i ON i.id = n.item_id
+     WHERE n.item_id = ? AND n.name != i.name
+     ORDER BY n.first_seen`,
+    [itemId]
+  );
+}
+
+/**
+ * Daily history for one catalog item since a date, newest first
+ * Follows the item across renames
+ */
+function getItemHistory(db, itemId, sinceDate) {
+  return all(
+    db,
+    `SELECT date, item_name, status, grooming_status, grooming_type, raw_data
+     FROM terrain_status
+     WHERE item_id = ? AND date >= ?
+     ORDER BY date DESC`,
+    [itemId, sinceDate]
+  );
+}
+
+/**
+ * Get database connection without running migrations (for read-only scripts)
  */
 function getDatabase() {
   return new sqlite3.Database(DB_PATH);
 }
 
 /**
- * Close database connection
+ * Close database connection, resolving once it is closed
+ * Waits for any queued transactions and writes first
  */
-function closeDatabase(db) {
-  db.close();
+async function closeDatabase(db) {
+  await transactionQueues.get(db);
+  return new Promise((resolve, reject) => {
+    db.close(err => (err ? reject(err) : resolve()));
+  });
 }
 
 module.exports = {
   initializeDatabase,
+  migrateDatabase,
   getOrCreateResort,
+  getResortId,
   saveTerrainStatus,
   saveSnowConditions,
+  saveEvents,
+  getEvents,
+  wasNotificationSent,
+  recordNotificationSent,
+  getLiftImportOffset,
+  saveLiftSamples,
+  getLiftSamples,
+  saveLiftRollups,
+  getLiftDailyStats,
+  getLiftHourlyStats,
+  saveLiftHours,
+  getLiftHours,
+  saveTerrainSnapshot,
+  getTerrainSnapshots,
+  getResorts,
+  getLatestTerrainDate,
+  getTrailStatus,
+  getLiftStatus,
+  getSnowConditions,
+  getSnowForecasts,
+  resolveTerrainItem,
+  getFeedKey,
+  sanitizeItemName,
+  slugifyItemName,
+  getTrailItems,
+  getTerrainItem,
+  getTerrainItemBySlug,
+  getItemAliases,
+  getItemHistory,
+  withTransaction,
+  run,
+  get,
+  all,
   getDatabase,
   closeDatabase,
   DB_PATH
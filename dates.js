@@ -0,0 +1,139 @@
+// dates.js - Resort-local dates, times and ski seasons
+//
+// Every file and database row is dated by the resort's own calendar: a scrape at
+// 7 PM in Denver or 7 AM in Sydney belongs to that day there, whatever the date
+// is in UTC. Seasons are MM-DD ranges (config.json schedule.defaultSeasonStart /
+// defaultSeasonEnd, or a resort's seasonStart / seasonEnd) that usually span New Year.
+
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+
+const DEFAULT_TIMEZONE = 'America/Denver';
+
+/**
+ * Date (YYYY-MM-DD) in a timezone, now by default
+ */
+function getResortLocalDate(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return formatInTimeZone(now, timezone, 'yyyy-MM-dd');
+}
+
+/**
+ * Hour (0-23) in a timezone
+ */
+function getResortLocalHour(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return parseInt(formatInTimeZone(now, timezone, 'H'), 10);
+}
+
+/**
+ * Time (HH:mm:ss) in a timezone
+ */
+function getResortLocalTime(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return formatInTimeZone(now, timezone, 'HH:mm:ss');
+}
+
+/**
+ * Time formatted for display in a timezone, e.g. "7:05 AM MST"
+ */
+function getResortLocalTimeFormatted(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return formatInTimeZone(now, timezone, 'h:mm a zzz');
+}
+
+/**
+ * The date a resort's data is stored under: its local date at `now`
+ */
+function getStorageDate(resort, now = new Date()) {
+  return getResortLocalDate(resort.timezone || DEFAULT_TIMEZONE, now);
+}
+
+/**
+ * Local date of an ISO timestamp (with or without an offset) in a timezone,
+ * or null when it doesn't parse
+ */
+function getLocalDateOf(timestamp, timezone = DEFAULT_TIMEZONE) {
+  const instant = new Date(timestamp);
+  return timestamp && !isNaN(instant.getTime()) ? getResortLocalDate(timezone, instant) : null;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * The instant a timezone's clock reads `minutes` past midnight on `date`
+ */
+function atLocalTime(timezone, date, minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return fromZonedTime(`${date}T${hours}:${mins}:00`, timezone);
+}
+
+/**
+ * A resort's season as [startMonth, startDay, endMonth, endDay]
+ */
+function getSeasonBounds(resort, schedule) {
+  const seasonStart = resort.seasonStart || schedule.defaultSeasonStart;
+  const seasonEnd = resort.seasonEnd || schedule.defaultSeasonEnd;
+  return [...seasonStart.split('-').map(Number), ...seasonEnd.split('-').map(Number)];
+}
+
+/**
+ * Format year, month and day as YYYY-MM-DD
+ */
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Start date of the season a local date falls in (or the one that last started)
+ * Ski seasons span two calendar years (e.g., Nov 2024 - May 2025): from the
+ * start month on, the season started this year; before it, last year
+ */
+function getSeasonStartDate(resort, schedule, localDate = getStorageDate(resort)) {
+  const [currentYear, currentMonth] = localDate.split('-').map(Number);
+  const [startMonth, startDay] = getSeasonBounds(resort, schedule);
+  const seasonStartYear = currentMonth >= startMonth ? currentYear : currentYear - 1;
+  return formatDate(seasonStartYear, startMonth, startDay);
+}
+
+/**
+ * Check if a resort is in season on a local date (default: its today)
+ * The end date is exclusive
+ */
+function isResortInSeason(resort, schedule, localDate = getStorageDate(resort)) {
+  const [, , endMonth, endDay] = getSeasonBounds(resort, schedule);
+  const seasonStart = getSeasonStartDate(resort, schedule, localDate);
+  const seasonEnd = formatDate(Number(seasonStart.slice(0, 4)) + 1, endMonth, endDay);
+  return localDate >= seasonStart && localDate < seasonEnd;
+}
+
+/**
+ * First local date on or after `date` that the resort is in season
+ */
+function getNextSeasonDate(resort, schedule, date) {
+  if (isResortInSeason(resort, schedule, date)) {
+    return date;
+  }
+
+  const [startMonth, startDay] = getSeasonBounds(resort, schedule);
+  const thisYear = formatDate(Number(date.slice(0, 4)), startMonth, startDay);
+  return thisYear > date ? thisYear : formatDate(Number(date.slice(0, 4)) + 1, startMonth, startDay);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getResortLocalDate,
+  getResortLocalHour,
+  getResortLocalTime,
+  getResortLocalTimeFormatted,
+  getStorageDate,
+  getLocalDateOf,
+  addDays,
+  atLocalTime,
+  getSeasonStartDate,
+  isResortInSeason,
+  getNextSeasonDate
+};
@@ -0,0 +1,343 @@
+// e2e.js - End-to-end run of the scrapers against the mock resort site
+// Usage: node e2e.js [--keep]   (npm run test:e2e)
+//
+// Starts mock-resort-server.js, writes a config.json pointing every resort at it
+// into a scratch working directory, runs ski-scraper.js and lift-scraper.js there
+// (SKI_DB_PATH keeps them off data/ski-data.db) and checks the files under
+// data/, the SQLite rows and the generated trail JSON. Resorts:
+//   vail     keystone-data.json terrain and the recorded snow report
+//   flaky    a pre-season page (vail-data.json) that fails once with HTTP 503
+//   drifted  terrain with its booleans sent as strings
+//   blank    a page without its FR.TerrainStatusFeed script
+//   slow     the MtnPowder feed, served after a delay
+// A last run replaces Vail's page with a truncated one after a few days of
+// history to check it is saved as suspect. The working directory is removed
+// when every check passes; it is kept (and printed) on failure or with --keep.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { execFile } = require('child_process');
+const sqlite3 = require('sqlite3');
+const { startMockResortServer } = require('./mock-resort-server');
+const { getResortLocalDate, addDays } = require('./dates');
+
+const SCRIPT_TIMEOUT_MS = 120000;
+const TIMEZONE = 'America/Denver';
+
+const keystone = JSON.parse(fs.readFileSync(path.join(__dirname, 'keystone-data.json'), 'utf8'));
+const snowFixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'vail', 'snow-report.json'), 'utf8'));
+const keystoneTrails = keystone.GroomingAreas.flatMap(area => area.Trails || []);
+
+/**
+ * config.json for the scratch directory: every resort in season and in its
+ * scraping window, HTTP fetches only and short retry delays
+ */
+function buildConfig(baseUrl, overrides = {}) {
+  const resort = (key, name, fields) => ({ key, name, timezone: TIMEZONE, ...fields, ...overrides[key] });
+
+  return {
+    schedule: {
+      checkIntervalHours: 3,
+      targetHour: 0,
+      scrapingWindowHours: 24,
+      defaultSeasonStart: '01-01',
+      defaultSeasonEnd: '12-31',
+      retry: { attempts: 3, baseDelayMs: 50, maxDelayMs: 200, factor: 2, jitter: 0 }
+    },
+    browser: { fetchMode: 'http', concurrency: 2, maxRelaunches: 0 },
+    resorts: [
+      resort('vail', 'Vail', {
+        terrainUrl: `${baseUrl}/vail/keystone/terrain?hours=all-day`,
+        snowReportUrl: `${baseUrl}/vail/snow`
+      }),
+      resort('flaky', 'Flaky', { terrainUrl: `${baseUrl}/vail/vail/terrain?status=503&failTimes=1` }),
+      resort('drifted', 'Drifted', { terrainUrl: `${baseUrl}/vail/keystone/terrain?drift=string-flags` }),
+      resort('blank', 'Blank', { terrainUrl: `${baseUrl}/vail/keystone/terrain?drift=missing-global` }),
+      resort('slow', 'Slow', {
+        platform: 'mtnpowder',
+        terrainUrl: `${baseUrl}/mtnpowder/feed.json?delay=300`,
+        snowReportUrl: `${baseUrl}/mtnpowder/feed.json?delay=300`
+      })
+    ]
+  };
+}
+
+/**
+ * Run one of the repo's scripts in the working directory, logging its output
+ * to logs/{name}.log there. Resolves to the exit code
+ */
+function runScript(workDir, name, script, args = []) {
+  const logsDir = path.join(workDir, 'logs');
+  fs.mkdirSync(logsDir, { recursive: true });
+
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, script), ...args], {
+      cwd: workDir,
+      env: { ...process.env, SKI_DB_PATH: path.join(workDir, 'ski-data.db') },
+      timeout: SCRIPT_TIMEOUT_MS,
+      maxBuffer: 16 * 1024 * 1024
+    }, (error, stdout, stderr) => {
+      fs.writeFileSync(path.join(logsDir, `${name}.log`), stdout + stderr);
+      resolve(error ? (typeof error.code === 'number' ? error.code : 1) : 0);
+    });
+  });
+}
+
+/**
+ * Run a query against the scratch database
+ */
+function query(workDir, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(path.join(workDir, 'ski-data.db'), sqlite3.OPEN_READONLY, err => {
+      if (err) return reject(err);
+      db.all(sql, params, (queryErr, rows) => {
+        db.close();
+        if (queryErr) return reject(queryErr);
+        resolve(rows);
+      });
+    });
+  });
+}
+
+/**
+ * Read a JSON file from the working directory
+ */
+function readJson(workDir, ...parts) {
+  return JSON.parse(fs.readFileSync(path.join(workDir, ...parts), 'utf8'));
+}
+
+/**
+ * Collects named checks and prints each result as it runs
+ */
+function createChecks() {
+  const results = [];
+
+  return {
+    results,
+    async check(name, fn) {
+      try {
+        await fn();
+        results.push({ name, passed: true });
+        console.log(`  ✓ ${name}`);
+      } catch (error) {
+        results.push({ name, passed: false });
+        console.log(`  ✗ ${name}\n      ${error.message.split('\n').join('\n      ')}`);
+      }
+    }
+  };
+}
+
+/**
+ * First scrape of every resort: saved files, database rows, trail JSON,
+ * retries, quarantine and the run report
+ */
+async function checkFirstScrape(workDir, mock, today, check) {
+  console.log('\n🎿 ski-scraper.js all');
+  const exitCode = await runScript(workDir, 'ski-scraper', 'ski-scraper.js', ['all']);
+
+  await check('ski-scraper.js exits cleanly', () => assert.strictEqual(exitCode, 0));
+
+  await check('Vail terrain file matches the recorded feed', () => {
+    const terrain = readJson(workDir, 'data', 'vail', 'terrain', `${today}.json`);
+    assert.strictEqual(terrain.GroomingAreas.flatMap(area => area.Trails).length, keystoneTrails.length);
+    assert.strictEqual(terrain.Lifts.length, keystone.Lifts.length);
+  });
+
+  await check('Vail snow report is built from the recorded snow page', () => {
+    const snow = readJson(workDir, 'data', 'vail', 'snow', `${today}.json`);
+    assert.strictEqual(snow.date, today);
+    assert.strictEqual(snow.baseDepth.inches, parseFloat(snowFixture.snowReportData.BaseDepth.Inches));
+    assert.strictEqual(snow.snowfall.season_total_inches, parseFloat(snowFixture.snowReportData.CurrentSeason.Inches));
+    assert.strictEqual(snow.forecast.locations.length, snowFixture.forecasts.length);
+  });
+
+  await check('MtnPowder resort is saved despite the slow feed', () => {
+    assert.ok(fs.existsSync(path.join(workDir, 'data', 'slow', 'terrain', `${today}.json`)), 'no terrain file');
+    assert.ok(fs.existsSync(path.join(workDir, 'data', 'slow', 'snow', `${today}.json`)), 'no snow file');
+  });
+
+  await check('latest files list the saved resorts only', () => {
+    assert.deepStrictEqual(Object.keys(readJson(workDir, 'data', 'latest.json')).sort(), ['flaky', 'slow', 'vail']);
+    assert.deepStrictEqual(Object.keys(readJson(workDir, 'data', 'latest-snow.json')).sort(), ['slow', 'vail']);
+  });
+
+  const reportFile = path.join(workDir, 'data', 'runs', 'latest.json');
+  const report = fs.existsSync(reportFile) ? JSON.parse(fs.readFileSync(reportFile, 'utf8')) : { resorts: {} };
+
+  await check('503 is retried and the pre-season page saved', () => {
+    assert.strictEqual(report.resorts.flaky.terrain.status, 'success');
+    assert.strictEqual(report.resorts.flaky.terrain.attempts, 2);
+    assert.strictEqual(mock.server.requests.filter(r => r.url.startsWith('/vail/vail/terrain')).length, 2);
+    assert.strictEqual(readJson(workDir, 'data', 'flaky', 'terrain', `${today}.json`).Lifts.length, 0);
+  });
+
+  await check('Drifted terrain is quarantined, not saved', () => {
+    const outcome = report.resorts.drifted.terrain;
+    assert.strictEqual(outcome.status, 'failed');
+    assert.strictEqual(outcome.failure, 'schema_mismatch');
+    assert.strictEqual(outcome.attempts, 1);
+    assert.ok(fs.existsSync(path.join(workDir, outcome.quarantined)), `missing ${outcome.quarantined}`);
+    assert.ok(readJson(workDir, outcome.quarantined).problems.some(problem => problem.includes('IsOpen must be boolean')));
+    assert.ok(!fs.existsSync(path.join(workDir, 'data', 'drifted', 'terrain', `${today}.json`)));
+  });
+
+  await check('Page without its data script fails as missing_global after every attempt', () => {
+    const outcome = report.resorts.blank.terrain;
+    assert.strictEqual(outcome.status, 'failed');
+    assert.strictEqual(outcome.failure, 'missing_global');
+    assert.strictEqual(outcome.attempts, 3);
+  });
+
+  await check('Database has a row per Vail trail and lift', async () => {
+    const [trails] = await query(workDir,
+      `SELECT COUNT(*) AS count FROM terrain_status t JOIN resorts r ON r.id = t.resort_id
+       WHERE r.key = 'vail' AND t.date = ? AND t.item_type = 'trail'`, [today]);
+    const [lifts] = await query(workDir,
+      `SELECT COUNT(*) AS count FROM lift_status l JOIN resorts r ON r.id = l.resort_id
+       WHERE r.key = 'vail' AND l.date = ?`, [today]);
+    assert.strictEqual(trails.count, new Set(keystoneTrails.map(trail => trail.Name)).size);
+    assert.strictEqual(lifts.count, keystone.Lifts.length);
+  });
+
+  await check('Database has the Vail snow report', async () => {
+    const rows = await query(workDir,
+      `SELECT s.base_depth_inches, s.season_total_inches FROM snow_conditions s JOIN resorts r ON r.id = s.resort_id
+       WHERE r.key = 'vail' AND s.date = ?`, [today]);
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].base_depth_inches, parseFloat(snowFixture.snowReportData.BaseDepth.Inches));
+  });
+
+  await check('Database has nothing for the quarantined resort', async () => {
+    const rows = await query(workDir,
+      `SELECT COUNT(*) AS count FROM terrain_status t JOIN resorts r ON r.id = t.resort_id WHERE r.key = 'drifted'`);
+    assert.strictEqual(rows[0].count, 0);
+  });
+
+  await check('Trail JSON is generated for every Vail trail', () => {
+    const index = readJson(workDir, 'data', 'vail', 'trails', 'index.json');
+    const files = fs.readdirSync(path.join(workDir, 'data', 'vail', 'trails', 'data'));
+    assert.ok(index.trailCount > 0, 'no trails in index.json');
+    assert.strictEqual(index.trailCount, files.length);
+
+    const trail = readJson(workDir, 'data', 'vail', 'trails', 'data', files[0]);
+    assert.strictEqual(trail.currentStatus.date, today);
+    assert.strictEqual(trail.stats.daysTracked, 1);
+  });
+}
+
+/**
+ * Lift snapshot of every resort; Vail's lifts are posted as open all day so
+ * each one is recorded whatever the time
+ */
+async function checkLiftScrape(workDir, today, check) {
+  console.log('\n🚡 lift-scraper.js');
+  const exitCode = await runScript(workDir, 'lift-scraper', 'lift-scraper.js');
+
+  await check('lift-scraper.js exits cleanly', () => assert.strictEqual(exitCode, 0));
+
+  await check('Every Vail lift is recorded to the day\'s NDJSON', () => {
+    const lines = fs.readFileSync(path.join(workDir, 'data', 'vail', 'lifts', `${today}.ndjson`), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, keystone.Lifts.length);
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line).name).sort(), keystone.Lifts.map(lift => lift.Name).sort());
+  });
+
+  await check('Vail lift schedule is saved', () => {
+    const schedule = readJson(workDir, 'data', 'vail', 'lifts', 'schedule.json');
+    assert.strictEqual(Object.keys(schedule.lifts).length, keystone.Lifts.length);
+  });
+
+  await check('Lift samples are imported into the database', async () => {
+    const rows = await query(workDir,
+      `SELECT COUNT(*) AS count FROM lift_samples l JOIN resorts r ON r.id = l.resort_id
+       WHERE r.key = 'vail' AND l.date = ?`, [today]);
+    assert.strictEqual(rows[0].count, keystone.Lifts.length);
+  });
+}
+
+/**
+ * With three earlier days on file, a truncated Vail page is re-scraped and
+ * then saved as suspect, keeping the good entry in data/latest.json and the
+ * suspect file out of data/index.json
+ */
+async function checkSuspectScrape(workDir, mock, today, check) {
+  const terrainDir = path.join(workDir, 'data', 'vail', 'terrain');
+  const todayFile = path.join(terrainDir, `${today}.json`);
+  [1, 2, 3].forEach(days => fs.copyFileSync(todayFile, path.join(terrainDir, `${addDays(today, -days)}.json`)));
+  fs.unlinkSync(todayFile);
+
+  const config = buildConfig(mock.url, { vail: { terrainUrl: `${mock.url}/vail/keystone/terrain?drift=truncated` } });
+  fs.writeFileSync(path.join(workDir, 'config.json'), JSON.stringify(config, null, 2));
+
+  console.log('\n⚠️  ski-scraper.js vail (truncated page)');
+  const exitCode = await runScript(workDir, 'ski-scraper-suspect', 'ski-scraper.js', ['vail']);
+
+  await check('ski-scraper.js exits cleanly', () => assert.strictEqual(exitCode, 0));
+
+  await check('Truncated page is retried, then saved as suspect', () => {
+    const outcome = readJson(workDir, 'data', 'runs', 'latest.json').resorts.vail.terrain;
+    assert.strictEqual(outcome.status, 'suspect');
+    assert.strictEqual(outcome.attempts, 3);
+    assert.ok(outcome.reasons.some(reason => reason.startsWith('trail count ')), outcome.reasons.join('; '));
+    const saved = readJson(workDir, 'data', 'vail', 'terrain', `${today}.suspect.json`);
+    assert.strictEqual(saved.data.Lifts.length, 1);
+    assert.deepStrictEqual(saved.suspect, outcome.reasons);
+    assert.ok(!fs.existsSync(path.join(workDir, 'data', 'vail', 'terrain', `${today}.json`)), 'suspect data saved as the daily file');
+  });
+
+  await check('latest.json keeps the last good Vail terrain', () => {
+    const latest = readJson(workDir, 'data', 'latest.json');
+    assert.strictEqual(latest.vail.data.Lifts.length, keystone.Lifts.length);
+  });
+
+  await check('index.json leaves the suspect file out of the days the frontend loads', () => {
+    const entry = readJson(workDir, 'data', 'index.json').resorts.vail;
+    assert.ok(!entry.files.some(file => file.includes('.suspect')), entry.files.join(', '));
+    assert.strictEqual(entry.latest, `${addDays(today, -1)}.json`);
+    assert.strictEqual(entry.count, 3);
+    // data/resort.js opens the newest of these dates first
+    const newest = entry.files.map(file => file.replace('.json', '')).sort().reverse()[0];
+    assert.strictEqual(newest, addDays(today, -1));
+  });
+}
+
+async function main() {
+  const keep = process.argv.includes('--keep');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ski-e2e-'));
+  const mock = await startMockResortServer();
+  const today = getResortLocalDate(TIMEZONE);
+  const { results, check } = createChecks();
+
+  console.log('🧪 End-to-end scraper run');
+  console.log(`   Mock resort site: ${mock.url}`);
+  console.log(`   Working directory: ${workDir}`);
+
+  try {
+    fs.writeFileSync(path.join(workDir, 'config.json'), JSON.stringify(buildConfig(mock.url), null, 2));
+
+    await checkFirstScrape(workDir, mock, today, check);
+    await checkLiftScrape(workDir, today, check);
+    await checkSuspectScrape(workDir, mock, today, check);
+  } finally {
+    await mock.close();
+  }
+
+  const failed = results.filter(result => !result.passed);
+  console.log(`\n📊 ${results.length - failed.length}/${results.length} checks passed`);
+
+  if (failed.length > 0 || keep) {
+    console.log(`   Scraper output and data kept in ${workDir} (see logs/)`);
+  } else {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
@@ -1,19 +1,10 @@
-const { getDatabase, closeDatabase } = require('./database');
+const { getDatabase, closeDatabase, all } = require('./database');
 
 /**
  * Example queries demonstrating how to use the SQLite database
  * for historical ski data analysis
  */
 
-function runQuery(db, query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
-}
-
 async function exampleQueries() {
   const db = getDatabase();
 
@@ -24,7 +15,7 @@ async function exampleQueries() {
     // Example 1: Get grooming history for a specific run
     console.log('\n1️⃣  Grooming History for a Specific Run');
     console.log('-'.repeat(80));
-    const groomingHistory = await runQuery(db, `
+    const groomingHistory = await all(db, `
       SELECT
         r.name as resort,
         t.date,
@@ -46,7 +37,7 @@ async function exampleQueries() {
     // Example 2: Find most frequently groomed runs at a resort
     console.log('\n2️⃣  Most Frequently Groomed Runs (All Time)');
     console.log('-'.repeat(80));
-    const mostGroomed = await runQuery(db, `
+    const mostGroomed = await all(db, `
       SELECT
         r.name as resort,
         t.item_name as run_name,
@@ -68,7 +59,7 @@ async function exampleQueries() {
     // Example 3: Snow conditions over time for a resort
     console.log('\n3️⃣  Snow Conditions History');
     console.log('-'.repeat(80));
-    const snowHistory = await runQuery(db, `
+    const snowHistory = await all(db, `
       SELECT
         r.name as resort,
         s.date,
@@ -90,7 +81,7 @@ async function exampleQueries() {
     // Example 4: Compare snowfall across resorts
     console.log('\n4️⃣  Latest Snow Report - All Resorts');
     console.log('-'.repeat(80));
-    const latestSnow = await runQuery(db, `
+    const latestSnow = await all(db, `
       SELECT
         r.name as resort,
         s.date,
@@ -110,7 +101,7 @@ async function exampleQueries() {
     // Example 5: Find runs that are open but not groomed
     console.log('\n5️⃣  Open But Not Groomed Runs (Latest Data)');
     console.log('-'.repeat(80));
-    const openNotGroomed = await runQuery(db, `
+    const openNotGroomed = await all(db, `
       SELECT
         r.name as resort,
         t.date,
@@ -134,17 +125,21 @@ async function exampleQueries() {
     // Example 6: Lift status history
     console.log('\n6️⃣  Lift Status History');
     console.log('-'.repeat(80));
-    const liftHistory = await runQuery(db, `
+    const liftHistory = await all(db, `
       SELECT
         r.name as resort,
-        t.date,
-        t.item_name as lift_name,
-        t.status
-      FROM terrain_status t
-      JOIN resorts r ON t.resort_id = r.id
+        l.date,
+        l.lift_name,
+        l.status,
+        l.lift_type,
+        l.mountain,
+        l.open_time,
+        l.close_time,
+        l.wait_minutes
+      FROM lift_status l
+      JOIN resorts r ON l.resort_id = r.id
       WHERE r.key = ?
-        AND t.item_type = 'lift'
-      ORDER BY t.date DESC, t.item_name
+      ORDER BY l.date DESC, l.sort_order
       LIMIT 20
     `, ['vail']);
 
@@ -154,7 +149,7 @@ async function exampleQueries() {
     // Example 7: Statistics summary
     console.log('\n7️⃣  Database Statistics');
     console.log('-'.repeat(80));
-    const stats = await runQuery(db, `
+    const stats = await all(db, `
       SELECT
         'Resorts' as category,
         COUNT(*) as count
@@ -165,6 +160,11 @@ async function exampleQueries() {
         COUNT(*) as count
       FROM terrain_status
       UNION ALL
+      SELECT
+        'Lift Records' as category,
+        COUNT(*) as count
+      FROM lift_status
+      UNION ALL
       SELECT
         'Snow Records' as category,
         COUNT(*) as count
@@ -181,7 +181,7 @@ async function exampleQueries() {
     // Example 8: Custom query - Best snow day
     console.log('\n8️⃣  Best 24hr Snowfall Days');
     console.log('-'.repeat(80));
-    const bestSnowDays = await runQuery(db, `
+    const bestSnowDays = await all(db, `
       SELECT
         r.name as resort,
         s.date,
@@ -210,7 +210,7 @@ async function exampleQueries() {
   } catch (err) {
     console.error('Query error:', err);
   } finally {
-    closeDatabase(db);
+    await closeDatabase(db);
   }
 }
 
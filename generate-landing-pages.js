@@ -3,15 +3,17 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadConfig } = require('./config-validation');
 
 // Load configuration
-const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
+const config = loadConfig();
 
 // Template files
 const TEMPLATES_DIR = 'templates';
 const GROOMING_TEMPLATE = path.join(TEMPLATES_DIR, 'grooming.html');
 const SNOW_TEMPLATE = path.join(TEMPLATES_DIR, 'snow.html');
 const TRAIL_TEMPLATE = path.join(TEMPLATES_DIR, 'trail.html');
+const LIFTS_TEMPLATE = path.join(TEMPLATES_DIR, 'lifts.html');
 
 /**
  * Ensure directory exists, create if not
@@ -95,6 +97,26 @@ function generateLandingPages() {
       skippedCount++;
     }
 
+    // Create/update lift wait-time page (reads lifts/stats.json from generate-lift-stats.js)
+    if (resort.terrainUrl) {
+      const liftsPage = path.join(resortDir, 'lifts.html');
+      const liftsExists = fs.existsSync(liftsPage);
+
+      if (fs.existsSync(LIFTS_TEMPLATE)) {
+        copyTemplate(LIFTS_TEMPLATE, liftsPage);
+
+        if (liftsExists) {
+          console.log(`  ✓ Updated lifts.html`);
+          updatedCount++;
+        } else {
+          console.log(`  ✓ Created lifts.html`);
+          createdCount++;
+        }
+      } else {
+        console.log(`  ⚠️  Lifts template not found: ${LIFTS_TEMPLATE}`);
+      }
+    }
+
     // Create/update trail page for Vail only (for now)
     // TODO: Expand to other resorts once perfected
     if (resort.key === 'vail' && resort.terrainUrl) {
@@ -0,0 +1,344 @@
+// generate-lift-stats.js - Lift wait-time analytics and "best time to ride" reports
+// Usage: node generate-lift-stats.js <resort-key> | all
+//
+// Reads the lift snapshots recorded by lift-scraper.js (data/{resort}/lifts/*.ndjson)
+// over the last liftStats.lookbackDays days and writes data/{resort}/lifts/stats.json
+// with, per lift:
+//   - median / p90 waits overall, by hour, and by day of week and hour
+//   - when the lift typically first opens and last runs, relative to its posted
+//     openTime / closeTime
+//   - the best window to ride: the run of consecutive hours with the lowest median wait
+// The page at data/{resort}/lifts.html (templates/lifts.html) renders this file.
+
+const fs = require('fs');
+const path = require('path');
+const { getLiftsDir, listLiftSampleDates, readLiftSamples } = require('./lift-samples');
+const { loadConfig } = require('./config-validation');
+const { addDays } = require('./dates');
+
+const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULTS = {
+  lookbackDays: 56,
+  bestWindowHours: 2,
+  minSamplesPerHour: 3
+};
+
+/**
+ * Value at percentile `p` (0-100) of a list of numbers, interpolating
+ * between neighbours; null for an empty list
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Minutes since midnight for "HH:mm", "HH:mm:ss" or "h:mm AM", or null
+ */
+function parseClockTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (match[3]) {
+    const isPm = match[3].toLowerCase() === 'pm';
+    if (hours === 12) hours = 0;
+    if (isPm) hours += 12;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * "HH:mm" for minutes since midnight
+ */
+function formatClockTime(minutes) {
+  if (minutes === null || minutes === undefined) return null;
+  const rounded = Math.round(minutes);
+  return `${String(Math.floor(rounded / 60) % 24).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Day-of-week name for a YYYY-MM-DD date
+ */
+function getDayOfWeek(date) {
+  return DAYS_OF_WEEK[new Date(`${date}T12:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Wait summary for a list of wait samples
+ */
+function summarizeWaits(waits) {
+  return {
+    samples: waits.length,
+    medianWait: percentile(waits, 50),
+    p90Wait: percentile(waits, 90)
+  };
+}
+
+/**
+ * Hourly wait profile, ordered by hour, from a Map of hour -> waits
+ */
+function buildHourlyProfile(waitsByHour) {
+  return Array.from(waitsByHour.keys())
+    .sort((a, b) => a - b)
+    .map(hour => ({ hour, ...summarizeWaits(waitsByHour.get(hour)) }));
+}
+
+/**
+ * Best run of `windowHours` consecutive hours in an hourly profile: the lowest
+ * average of hourly medians, counting only hours with enough samples.
+ * Ties go to the earlier window. Returns { start, end, medianWait, samples } or null
+ */
+function findBestWindow(profile, options = {}) {
+  const windowHours = options.bestWindowHours || DEFAULTS.bestWindowHours;
+  const minSamples = options.minSamplesPerHour || DEFAULTS.minSamplesPerHour;
+  const byHour = new Map(profile.filter(h => h.samples >= minSamples).map(h => [h.hour, h]));
+
+  let best = null;
+  for (const hour of byHour.keys()) {
+    const hours = Array.from({ length: windowHours }, (_, i) => byHour.get(hour + i));
+    if (hours.some(h => !h)) continue;
+
+    const medianWait = Math.round(hours.reduce((sum, h) => sum + h.medianWait, 0) / windowHours * 10) / 10;
+    if (!best || medianWait < best.medianWait || (medianWait === best.medianWait && hour < best.hour)) {
+      best = {
+        hour,
+        medianWait,
+        samples: hours.reduce((sum, h) => sum + h.samples, 0)
+      };
+    }
+  }
+
+  if (!best) return null;
+  return {
+    start: formatClockTime(best.hour * 60),
+    end: formatClockTime((best.hour + windowHours) * 60),
+    medianWait: best.medianWait,
+    samples: best.samples
+  };
+}
+
+/**
+ * When a lift actually opened and last ran each day, compared with its posted hours
+ * `days` maps a date to that day's samples for the lift, oldest first
+ */
+function summarizeOperatingHours(days) {
+  const openDelays = [];
+  const closeOffsets = [];
+  const firstOpens = [];
+  const lastOpens = [];
+  let postedOpenTime = null;
+  let postedCloseTime = null;
+
+  for (const samples of days.values()) {
+    const open = samples.filter(s => s.status === 'Open');
+    if (open.length === 0) continue;
+
+    const first = parseClockTime(open[0].localTime);
+    const last = parseClockTime(open[open.length - 1].localTime);
+    const posted = open[0];
+    const postedOpen = parseClockTime(posted.openTime);
+    const postedClose = parseClockTime(posted.closeTime);
+
+    if (first !== null) firstOpens.push(first);
+    if (last !== null) lastOpens.push(last);
+    if (first !== null && postedOpen !== null) openDelays.push(first - postedOpen);
+    if (last !== null && postedClose !== null) closeOffsets.push(last - postedClose);
+
+    postedOpenTime = posted.openTime || postedOpenTime;
+    postedCloseTime = posted.closeTime || postedCloseTime;
+  }
+
+  return {
+    daysOpen: firstOpens.length,
+    postedOpenTime,
+    postedCloseTime,
+    typicalFirstOpen: formatClockTime(percentile(firstOpens, 50)),
+    typicalLastOpen: formatClockTime(percentile(lastOpens, 50)),
+    // Positive: opened after the posted time / ran past the posted close
+    medianOpenDelayMinutes: percentile(openDelays, 50),
+    medianCloseOffsetMinutes: percentile(closeOffsets, 50)
+  };
+}
+
+/**
+ * Wait statistics for one lift from its samples (oldest first)
+ */
+function computeLiftStats(name, samples, options = {}) {
+  const allWaits = [];
+  const waitsByHour = new Map();
+  const waitsByDay = new Map(DAYS_OF_WEEK.map(day => [day, new Map()]));
+  const days = new Map();
+
+  samples.forEach(sample => {
+    if (!days.has(sample.localDate)) days.set(sample.localDate, []);
+    days.get(sample.localDate).push(sample);
+
+    const wait = sample.waitMinutes;
+    const hour = parseInt(String(sample.localTime || '').slice(0, 2), 10);
+    if (sample.status !== 'Open' || typeof wait !== 'number' || isNaN(hour)) return;
+
+    allWaits.push(wait);
+    if (!waitsByHour.has(hour)) waitsByHour.set(hour, []);
+    waitsByHour.get(hour).push(wait);
+
+    const dayWaits = waitsByDay.get(getDayOfWeek(sample.localDate));
+    if (!dayWaits.has(hour)) dayWaits.set(hour, []);
+    dayWaits.get(hour).push(wait);
+  });
+
+  const hourly = buildHourlyProfile(waitsByHour);
+  const byDayOfWeek = {};
+  const bestWindowByDay = {};
+  for (const [day, dayWaits] of waitsByDay) {
+    if (dayWaits.size === 0) continue;
+    byDayOfWeek[day] = buildHourlyProfile(dayWaits);
+    bestWindowByDay[day] = findBestWindow(byDayOfWeek[day], options);
+  }
+
+  const latest = samples[samples.length - 1] || {};
+  return {
+    name,
+    mountain: latest.mountain || null,
+    type: latest.type || null,
+    daysObserved: days.size,
+    overall: summarizeWaits(allWaits),
+    operatingHours: summarizeOperatingHours(days),
+    bestWindow: {
+      overall: findBestWindow(hourly, options),
+      byDayOfWeek: bestWindowByDay
+    },
+    hourly,
+    byDayOfWeek
+  };
+}
+
+/**
+ * Stats for every lift at a resort over the lookback window, or null with no samples
+ */
+function computeResortLiftStats(resortKey, options = {}) {
+  const dates = listLiftSampleDates(resortKey, options.dataDir);
+  if (dates.length === 0) {
+    return null;
+  }
+
+  const lookbackDays = options.lookbackDays || DEFAULTS.lookbackDays;
+  const to = dates[dates.length - 1];
+  const from = addDays(to, -(lookbackDays - 1));
+  const samples = readLiftSamples(resortKey, { from, to, dataDir: options.dataDir });
+
+  const byLift = new Map();
+  const resortWaitsByHour = new Map();
+  samples.forEach(sample => {
+    if (!byLift.has(sample.name)) byLift.set(sample.name, []);
+    byLift.get(sample.name).push(sample);
+
+    const hour = parseInt(String(sample.localTime || '').slice(0, 2), 10);
+    if (sample.status === 'Open' && typeof sample.waitMinutes === 'number' && !isNaN(hour)) {
+      if (!resortWaitsByHour.has(hour)) resortWaitsByHour.set(hour, []);
+      resortWaitsByHour.get(hour).push(sample.waitMinutes);
+    }
+  });
+
+  const lifts = Array.from(byLift.entries())
+    .map(([name, liftSamples]) => computeLiftStats(name, liftSamples, options))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const resortHourly = buildHourlyProfile(resortWaitsByHour);
+
+  return {
+    resort: resortKey,
+    generatedAt: new Date().toISOString(),
+    from: dates.find(date => date >= from),
+    to,
+    daysWithData: dates.filter(date => date >= from).length,
+    sampleCount: samples.length,
+    settings: {
+      lookbackDays,
+      bestWindowHours: options.bestWindowHours || DEFAULTS.bestWindowHours,
+      minSamplesPerHour: options.minSamplesPerHour || DEFAULTS.minSamplesPerHour
+    },
+    resortWide: {
+      hourly: resortHourly,
+      bestWindow: findBestWindow(resortHourly, options)
+    },
+    lifts
+  };
+}
+
+/**
+ * Write data/{resort}/lifts/stats.json; returns the stats, or null when
+ * the resort has no lift samples
+ */
+function generateLiftStatsForResort(resortKey, options = {}) {
+  const stats = computeResortLiftStats(resortKey, options);
+  if (!stats) {
+    return null;
+  }
+
+  const file = path.join(getLiftsDir(resortKey, options.dataDir), 'stats.json');
+  fs.writeFileSync(file, JSON.stringify(stats, null, 2));
+  return stats;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const config = loadConfig();
+  const options = { ...DEFAULTS, ...(config.liftStats || {}) };
+  const resortKeys = config.resorts.map(resort => resort.key);
+  const resortArg = process.argv[2];
+
+  let resortsToProcess;
+  if (resortArg === 'all') {
+    resortsToProcess = resortKeys;
+  } else if (resortArg && resortKeys.includes(resortArg)) {
+    resortsToProcess = [resortArg];
+  } else {
+    if (resortArg) console.error(`❌ Unknown resort: ${resortArg}`);
+    console.error('Usage: node generate-lift-stats.js <resort-key>');
+    console.error('       node generate-lift-stats.js all');
+    console.error(`\nAvailable resorts: ${resortKeys.join(', ')}\n`);
+    process.exit(1);
+  }
+
+  console.log('🚡 Lift Wait Stats Generator');
+  console.log('='.repeat(60));
+
+  let generated = 0;
+  for (const resortKey of resortsToProcess) {
+    const stats = generateLiftStatsForResort(resortKey, options);
+    if (!stats) continue;
+
+    const best = stats.resortWide.bestWindow;
+    console.log(`✓ ${resortKey}: ${stats.lifts.length} lifts, ${stats.sampleCount} samples (${stats.from} to ${stats.to})` +
+      (best ? ` - best window ${best.start}-${best.end}, median ${best.medianWait} min` : ''));
+    generated++;
+  }
+
+  console.log('='.repeat(60));
+  console.log(`✅ Wrote stats.json for ${generated} resort(s)\n`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  computeLiftStats,
+  computeResortLiftStats,
+  generateLiftStatsForResort,
+  findBestWindow,
+  percentile,
+  parseClockTime,
+  formatClockTime,
+  getDayOfWeek,
+  DAYS_OF_WEEK
+};
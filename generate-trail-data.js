@@ -3,10 +3,21 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getDatabase, closeDatabase } = require('./database');
+const {
+  getDatabase,
+  closeDatabase,
+  getResortId,
+  getTrailItems,
+  getItemHistory,
+  getItemAliases,
+  getFeedKey,
+  sanitizeItemName
+} = require('./database');
+const { getSeasonStartDate } = require('./dates');
+const { loadConfig } = require('./config-validation');
 
 // Load configuration
-const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
+const config = loadConfig();
 const RESORTS = config.resorts.reduce((acc, resort) => {
   acc[resort.key] = resort;
   return acc;
@@ -21,58 +32,6 @@ function ensureDirectoryExists(dirPath) {
   }
 }
 
-/**
- * Convert trail name to URL-safe slug
- */
-function slugifyTrailName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-')      // Replace spaces with hyphens
-    .replace(/--+/g, '-')      // Replace multiple hyphens with single
-    .trim();
-}
-
-/**
- * Sanitize trail name by removing pagination text and other artifacts
- * Fixes issues like "Black Forest 0   5073\t Items per page : 20 1 - 20 of 54"
- */
-function sanitizeTrailName(name) {
-  return name
-    // Remove pagination text pattern: "0   5073\t Items per page : 20 1 - 20 of 54"
-    .replace(/\s*\d+\s+\d+\s*\t\s*Items per page\s*:\s*\d+\s+\d+\s*-\s*\d+\s+of\s+\d+.*$/i, '')
-    .trim();
-}
-
-/**
- * Get the start date of the current ski season for a resort
- */
-function getSeasonStartDate(resort) {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth() + 1; // 0-indexed
-
-  const seasonStart = resort.seasonStart || config.schedule.defaultSeasonStart;
-  const [startMonth, startDay] = seasonStart.split('-').map(Number);
-
-  // Determine which year the season started
-  let seasonStartYear;
-  if (currentMonth >= startMonth) {
-    // We're in the second half of the year (e.g., Nov-Dec)
-    seasonStartYear = currentYear;
-  } else {
-    // We're in the first half of the year (e.g., Jan-Jun)
-    // Season started last year
-    seasonStartYear = currentYear - 1;
-  }
-
-  const year = String(seasonStartYear);
-  const month = String(startMonth).padStart(2, '0');
-  const day = String(startDay).padStart(2, '0');
-
-  return `${year}-${month}-${day}`;
-}
-
 /**
  * Calculate grooming streak for a trail
  */
@@ -145,200 +104,180 @@ function calculateDayOfWeekStats(records) {
 
 /**
  * Generate trail data for a specific resort
+ * Resolves to the number of trail files written
  */
-function generateTrailDataForResort(db, resortKey) {
-  return new Promise((resolve, reject) => {
-    const resort = RESORTS[resortKey];
-    if (!resort) {
-      return reject(new Error(`Unknown resort: ${resortKey}`));
-    }
+async function generateTrailDataForResort(db, resortKey) {
+  const resort = RESORTS[resortKey];
+  if (!resort) {
+    throw new Error(`Unknown resort: ${resortKey}`);
+  }
 
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`Generating trail data for ${resort.name}`);
-    console.log('='.repeat(60));
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`Generating trail data for ${resort.name}`);
+  console.log('='.repeat(60));
 
-    // Get resort ID from database
-    db.get('SELECT id FROM resorts WHERE key = ?', [resortKey], (err, resortRow) => {
-      if (err) return reject(err);
-      if (!resortRow) {
-        console.log(`⚠️  No data found for ${resort.name} in database`);
-        return resolve(0);
-      }
+  // Get resort ID from database
+  const resortId = await getResortId(db, resortKey);
+  if (!resortId) {
+    console.log(`⚠️  No data found for ${resort.name} in database`);
+    return 0;
+  }
 
-      const resortId = resortRow.id;
-      const seasonStartDate = getSeasonStartDate(resort);
+  const seasonStartDate = getSeasonStartDate(resort, config.schedule);
 
-      console.log(`Resort ID: ${resortId}`);
-      console.log(`Season start: ${seasonStartDate}`);
+  console.log(`Resort ID: ${resortId}`);
+  console.log(`Season start: ${seasonStartDate}`);
 
-      // Get all unique trails for this resort
-      db.all(
-        `SELECT DISTINCT item_name
-         FROM terrain_status
-         WHERE resort_id = ? AND item_type = 'trail' AND date >= ?
-         ORDER BY item_name`,
-        [resortId, seasonStartDate],
-        (err, trails) => {
-          if (err) return reject(err);
+  // Get all trails in the catalog for this resort
+  const trailItems = await getTrailItems(db, resortId, seasonStartDate);
 
-          console.log(`Found ${trails.length} unique trails\n`);
+  console.log(`Found ${trailItems.length} unique trails\n`);
 
-          if (trails.length === 0) {
-            return resolve(0);
-          }
+  if (trailItems.length === 0) {
+    return 0;
+  }
 
-          // Ensure trails directory exists
-          const trailsDataDir = path.join('data', resortKey, 'trails', 'data');
-          ensureDirectoryExists(trailsDataDir);
-
-          let processedCount = 0;
-          const totalTrails = trails.length;
-
-          // Process each trail
-          trails.forEach((trailRow, index) => {
-            const rawTrailName = trailRow.item_name; // Keep unsanitized for DB queries
-            const trailName = sanitizeTrailName(rawTrailName); // Sanitized for display
-            const trailSlug = slugifyTrailName(trailName);
-
-            // Get historical data for this trail (use raw name to query DB)
-            db.all(
-              `SELECT date, status, grooming_status, grooming_type, raw_data
-               FROM terrain_status
-               WHERE resort_id = ? AND item_name = ? AND item_type = 'trail' AND date >= ?
-               ORDER BY date DESC`,
-              [resortId, rawTrailName, seasonStartDate],
-              (err, rows) => {
-                if (err) {
-                  console.error(`  ⚠️  Error querying ${trailName}:`, err.message);
-                  processedCount++;
-                  if (processedCount === totalTrails) resolve(totalTrails);
-                  return;
-                }
+  // Ensure trails directory exists
+  const trailsDataDir = path.join('data', resortKey, 'trails', 'data');
+  ensureDirectoryExists(trailsDataDir);
 
-                // Parse the most recent raw_data to get trail metadata
-                let trailMetadata = {
-                  area: 'Unknown',
-                  difficulty: 'Unknown',
-                  trailType: 'Skiing',
-                  isOpen: false,
-                  isGroomed: false
-                };
-
-                if (rows.length > 0 && rows[0].raw_data) {
-                  try {
-                    const rawData = JSON.parse(rows[0].raw_data);
-                    trailMetadata.difficulty = rawData.Difficulty || 'Unknown';
-                    trailMetadata.trailType = rawData.TrailType || 'Skiing';
-                    trailMetadata.isOpen = rawData.IsOpen || false;
-                    trailMetadata.isGroomed = rawData.IsGroomed || false;
-                  } catch (e) {
-                    // Ignore parse errors
-                  }
-                }
+  let processedCount = 0;
+  const totalTrails = trailItems.length;
 
-                // Try to get area from latest terrain file
-                const latestDate = rows.length > 0 ? rows[0].date : null;
-                if (latestDate) {
-                  const terrainFile = path.join('data', resortKey, 'terrain', `${latestDate}.json`);
-                  if (fs.existsSync(terrainFile)) {
-                    try {
-                      const terrainData = JSON.parse(fs.readFileSync(terrainFile, 'utf8'));
-                      if (terrainData.GroomingAreas) {
-                        for (const area of terrainData.GroomingAreas) {
-                          if (area.Trails) {
-                            const trail = area.Trails.find(t => t.Name === rawTrailName || sanitizeTrailName(t.Name) === trailName);
-                            if (trail) {
-                              trailMetadata.area = area.Name;
-                              break;
-                            }
-                          }
-                        }
-                      }
-                    } catch (e) {
-                      // Ignore parse errors
-                    }
-                  }
-                }
+  // Process each trail
+  for (const item of trailItems) {
+    const trailName = sanitizeItemName(item.name); // Sanitized for display
+    const trailSlug = item.slug; // Unique per resort and kept across renames
 
-                // Calculate statistics
-                const daysTracked = rows.length;
-                const daysGroomed = rows.filter(r => r.grooming_status).length;
-                const groomingPercentage = daysTracked > 0 ? Math.round((daysGroomed / daysTracked) * 100) : 0;
-
-                const streaks = calculateGroomingStreaks(rows);
-                const dayOfWeekStats = calculateDayOfWeekStats(rows);
-
-                // Build historical records array (last 90 days max)
-                const historicalRecords = rows.slice(0, 90).map(row => ({
-                  date: row.date,
-                  isOpen: row.status === 'Open',
-                  isGroomed: !!row.grooming_status,
-                  groomingStatus: row.grooming_status || null,
-                  groomingType: row.grooming_type || null
-                }));
-
-                // Create trail data object
-                const trailData = {
-                  trailName: trailName,
-                  trailSlug: trailSlug,
-                  resort: resortKey,
-                  resortName: resort.name,
-                  area: trailMetadata.area,
-                  difficulty: trailMetadata.difficulty,
-                  trailType: trailMetadata.trailType,
-
-                  // Current status (from most recent data)
-                  currentStatus: {
-                    date: latestDate,
-                    isOpen: trailMetadata.isOpen,
-                    isGroomed: trailMetadata.isGroomed,
-                    groomingStatus: rows[0]?.grooming_status || null,
-                    status: rows[0]?.status || null
-                  },
-
-                  // Statistics
-                  stats: {
-                    seasonStartDate: seasonStartDate,
-                    daysTracked: daysTracked,
-                    daysGroomed: daysGroomed,
-                    groomingPercentage: groomingPercentage,
-                    currentStreak: streaks.currentStreak,
-                    longestStreak: streaks.longestStreak,
-                    lastGroomed: streaks.lastGroomedDate,
-                    dayOfWeek: dayOfWeekStats
-                  },
-
-                  // Historical data (last 90 days)
-                  history: historicalRecords,
-
-                  // Metadata
-                  generated: new Date().toISOString()
-                };
-
-                // Save trail JSON file
-                const trailFile = path.join(trailsDataDir, `${trailSlug}.json`);
-                fs.writeFileSync(trailFile, JSON.stringify(trailData, null, 2));
-
-                processedCount++;
-
-                // Progress indicator
-                if (processedCount % 10 === 0 || processedCount === totalTrails) {
-                  console.log(`  Progress: ${processedCount}/${totalTrails} trails`);
-                }
+    // Get historical data for this trail (follows it across renames)
+    let rows, aliases;
+    try {
+      rows = await getItemHistory(db, item.id, seasonStartDate);
+      aliases = await getItemAliases(db, item.id);
+    } catch (err) {
+      console.error(`  ⚠️  Error querying ${trailName}:`, err.message);
+      processedCount++;
+      continue;
+    }
+
+    // Parse the most recent raw_data to get trail metadata
+    let trailMetadata = {
+      area: item.area_name || 'Unknown',
+      difficulty: 'Unknown',
+      trailType: 'Skiing',
+      isOpen: false,
+      isGroomed: false
+    };
+
+    if (rows.length > 0 && rows[0].raw_data) {
+      try {
+        const rawData = JSON.parse(rows[0].raw_data);
+        trailMetadata.difficulty = rawData.Difficulty || 'Unknown';
+        trailMetadata.trailType = rawData.TrailType || 'Skiing';
+        trailMetadata.isOpen = rawData.IsOpen || false;
+        trailMetadata.isGroomed = rawData.IsGroomed || false;
+      } catch (e) {
+        // Ignore parse errors
+      }
+    }
 
-                // When all trails are processed, generate index
-                if (processedCount === totalTrails) {
-                  console.log(`\n✓ Generated ${totalTrails} trail data files`);
-                  generateTrailsIndex(resortKey);
-                  resolve(totalTrails);
+    // Rows imported before the catalog have no area, so look it up in the latest terrain file
+    const latestDate = rows.length > 0 ? rows[0].date : null;
+    if (latestDate && !item.area_name) {
+      const terrainFile = path.join('data', resortKey, 'terrain', `${latestDate}.json`);
+      if (fs.existsSync(terrainFile)) {
+        try {
+          const terrainData = JSON.parse(fs.readFileSync(terrainFile, 'utf8'));
+          if (terrainData.GroomingAreas) {
+            for (const area of terrainData.GroomingAreas) {
+              if (area.Trails) {
+                const trail = area.Trails.find(t => getFeedKey(t) === item.feed_key);
+                if (trail) {
+                  trailMetadata.area = area.Name;
+                  break;
                 }
               }
-            );
-          });
+            }
+          }
+        } catch (e) {
+          // Ignore parse errors
         }
-      );
-    });
-  });
+      }
+    }
+
+    // Calculate statistics
+    const daysTracked = rows.length;
+    const daysGroomed = rows.filter(r => r.grooming_status).length;
+    const groomingPercentage = daysTracked > 0 ? Math.round((daysGroomed / daysTracked) * 100) : 0;
+
+    const streaks = calculateGroomingStreaks(rows);
+    const dayOfWeekStats = calculateDayOfWeekStats(rows);
+
+    // Build historical records array (last 90 days max)
+    const historicalRecords = rows.slice(0, 90).map(row => ({
+      date: row.date,
+      isOpen: row.status === 'Open',
+      isGroomed: !!row.grooming_status,
+      groomingStatus: row.grooming_status || null,
+      groomingType: row.grooming_type || null
+    }));
+
+    // Create trail data object
+    const trailData = {
+      trailId: item.id,
+      trailName: trailName,
+      trailSlug: trailSlug,
+      aliases: aliases.map(alias => sanitizeItemName(alias.name)),
+      resort: resortKey,
+      resortName: resort.name,
+      area: trailMetadata.area,
+      difficulty: trailMetadata.difficulty,
+      trailType: trailMetadata.trailType,
+
+      // Current status (from most recent data)
+      currentStatus: {
+        date: latestDate,
+        isOpen: trailMetadata.isOpen,
+        isGroomed: trailMetadata.isGroomed,
+        groomingStatus: rows[0]?.grooming_status || null,
+        status: rows[0]?.status || null
+      },
+
+      // Statistics
+      stats: {
+        seasonStartDate: seasonStartDate,
+        daysTracked: daysTracked,
+        daysGroomed: daysGroomed,
+        groomingPercentage: groomingPercentage,
+        currentStreak: streaks.currentStreak,
+        longestStreak: streaks.longestStreak,
+        lastGroomed: streaks.lastGroomedDate,
+        dayOfWeek: dayOfWeekStats
+      },
+
+      // Historical data (last 90 days)
+      history: historicalRecords,
+
+      // Metadata
+      generated: new Date().toISOString()
+    };
+
+    // Save trail JSON file
+    const trailFile = path.join(trailsDataDir, `${trailSlug}.json`);
+    fs.writeFileSync(trailFile, JSON.stringify(trailData, null, 2));
+
+    processedCount++;
+
+    // Progress indicator
+    if (processedCount % 10 === 0 || processedCount === totalTrails) {
+      console.log(`  Progress: ${processedCount}/${totalTrails} trails`);
+    }
+  }
+
+  // Every trail file is written, so the index can be built
+  console.log(`\n✓ Generated ${totalTrails} trail data files`);
+  generateTrailsIndex(resortKey);
+  return totalTrails;
 }
 
 /**
@@ -442,7 +381,7 @@ async function main() {
     console.error('❌ Error:', error.message);
     process.exit(1);
   } finally {
-    closeDatabase(db);
+    await closeDatabase(db);
   }
 }
 
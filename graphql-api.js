@@ -0,0 +1,544 @@
+// graphql-api.js - GraphQL schema over the SQLite history and lift snapshot files
+// Served at /graphql by server.js. Lists default to the most recent scrape;
+// pass `date` for another day. For example, black runs groomed at Colorado
+// resorts that got at least 6" overnight:
+//
+//   resorts(filter: { regions: ["CO"], minOvernightSnowInches: 6 }) {
+//     name
+//     trails(filter: { difficulty: ["Black"], groomed: true }) { name area }
+//   }
+//
+// Only queries in the persisted-query allowlist (queries/*.graphql) are run,
+// unless graphql.allowArbitraryQueries is set in config.json. A client sends
+// { id: "<file name>" }, Apollo-style extensions.persistedQuery.sha256Hash, or
+// the full text of an allowlisted query.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildSchema, graphql, defaultFieldResolver } = require('graphql');
+const {
+  getResorts,
+  getLatestTerrainDate,
+  getTrailStatus,
+  getLiftStatus,
+  getItemHistory,
+  getItemAliases,
+  getSnowConditions,
+  getSnowForecasts
+} = require('./database');
+const { readLiftSamples } = require('./lift-samples');
+const { formatTrailRow, formatLiftRow, formatLiftSample } = require('./api-format');
+
+const DEFAULT_QUERIES_DIR = path.join(__dirname, 'queries');
+const DEFAULT_LIST_LIMIT = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const typeDefs = `
+  type Query {
+    "Configured resorts, optionally filtered"
+    resorts(filter: ResortFilter): [Resort!]!
+    resort(key: String!): Resort
+    "Trails across resorts for one day (default: each resort's most recent scrape)"
+    trails(resorts: ResortFilter, filter: TrailFilter, date: String, limit: Int, offset: Int): [Trail!]!
+  }
+
+  input ResortFilter {
+    keys: [String!]
+    "State or province codes from config.json (e.g. CO, VT)"
+    regions: [String!]
+    platform: String
+    "Snow filters use the report for snowDate, or the most recent report"
+    minOvernightSnowInches: Float
+    min24HourSnowInches: Float
+    minBaseDepthInches: Float
+    snowDate: String
+  }
+
+  input TrailFilter {
+    "Feed difficulty names, e.g. Green, Blue, Black, DoubleBlack, TerrainPark"
+    difficulty: [String!]
+    groomed: Boolean
+    open: Boolean
+    area: String
+    nameContains: String
+  }
+
+  input LiftFilter {
+    status: [String!]
+    area: String
+    liftType: String
+    minWaitMinutes: Int
+  }
+
+  type Resort {
+    key: String!
+    name: String!
+    region: String
+    timezone: String
+    platform: String
+    latestTerrainDate: String
+    latestSnowDate: String
+    areas(date: String): [Area!]!
+    trails(date: String, filter: TrailFilter): [Trail!]!
+    lifts(date: String, filter: LiftFilter): [Lift!]!
+    liftWaits(from: String, to: String, lift: String, limit: Int): [LiftWaitSample!]!
+    "Snow report for a date (default: the most recent)"
+    snow(date: String): SnowReport
+    snowHistory(from: String, to: String): [SnowReport!]!
+  }
+
+  type Area {
+    name: String!
+    trails(filter: TrailFilter): [Trail!]!
+    lifts(filter: LiftFilter): [Lift!]!
+  }
+
+  type Trail {
+    id: Int
+    slug: String
+    name: String!
+    area: String
+    difficulty: String
+    status: String
+    isOpen: Boolean!
+    isGroomed: Boolean!
+    groomingType: String
+    date: String!
+    resort: Resort!
+    "Earlier names of this trail"
+    aliases: [String!]!
+    history(since: String): [TrailDay!]!
+  }
+
+  type TrailDay {
+    date: String!
+    name: String!
+    status: String
+    isOpen: Boolean!
+    isGroomed: Boolean!
+  }
+
+  type Lift {
+    id: Int
+    slug: String
+    name: String!
+    area: String
+    status: String
+    liftType: String
+    capacity: Int
+    waitMinutes: Int
+    openTime: String
+    closeTime: String
+    date: String!
+    resort: Resort!
+    waits(from: String, to: String, limit: Int): [LiftWaitSample!]!
+  }
+
+  type LiftWaitSample {
+    timestamp: String!
+    localDate: String!
+    localTime: String
+    lift: String!
+    status: String
+    waitMinutes: Int
+    mountain: String
+  }
+
+  type SnowReport {
+    date: String!
+    conditions: String
+    overnightInches: Float
+    overnightCm: Float
+    newSnow24hInches: Float
+    newSnow24hCm: Float
+    newSnow48hInches: Float
+    newSnow48hCm: Float
+    newSnow7dayInches: Float
+    newSnow7dayCm: Float
+    baseDepthInches: Float
+    baseDepthCm: Float
+    seasonTotalInches: Float
+    seasonTotalCm: Float
+    forecasts: [Forecast!]!
+  }
+
+  type Forecast {
+    location: String!
+    elevation: String
+    forecastDate: String!
+    highF: Int
+    highC: Int
+    lowF: Int
+    lowC: Int
+    description: String
+    wind: String
+    windSpeed: Float
+    snowfallDayInches: Float
+    snowfallNightInches: Float
+  }
+`;
+
+const schema = buildSchema(typeDefs);
+
+/**
+ * Validate an optional YYYY-MM-DD argument
+ */
+function checkDate(value, name) {
+  if (value !== undefined && value !== null && !DATE_PATTERN.test(value)) {
+    throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value || null;
+}
+
+/**
+ * Run `load` once per key for the lifetime of one request
+ */
+function memo(context, key, load) {
+  if (!context.cache.has(key)) {
+    context.cache.set(key, load());
+  }
+  return context.cache.get(key);
+}
+
+/**
+ * Resorts from config.json merged with their database ids and latest dates
+ */
+function loadResorts(context) {
+  return memo(context, 'resorts', async () => {
+    const rows = await getResorts(context.db);
+    const rowsByKey = new Map(rows.map(row => [row.key, row]));
+
+    return (context.options.resorts || []).map(resort => {
+      const row = rowsByKey.get(resort.key);
+      return {
+        key: resort.key,
+        name: resort.name,
+        region: resort.region || null,
+        timezone: resort.timezone || null,
+        platform: resort.platform || 'vail',
+        id: row ? row.id : null,
+        latestTerrainDate: row ? row.latest_terrain_date : null,
+        latestSnowDate: row ? row.latest_snow_date : null
+      };
+    });
+  });
+}
+
+/**
+ * Snow report row for a resort on a date (default: most recent), or null
+ */
+function loadSnowReport(context, resort, date) {
+  if (!resort.id) return null;
+  return memo(context, `snow:${resort.id}:${date || 'latest'}`, async () => {
+    const rows = date
+      ? await getSnowConditions(context.db, resort.id, date, date)
+      : await getSnowConditions(context.db, resort.id, '0000-01-01', '9999-12-31');
+    return rows.length > 0 ? formatSnowReport(resort, rows[0]) : null;
+  });
+}
+
+/**
+ * Shape a snow_conditions row for the SnowReport type
+ */
+function formatSnowReport(resort, row) {
+  return {
+    resortId: resort.id,
+    date: row.date,
+    conditions: row.weather_condition,
+    overnightInches: row.overnight_snowfall_inches,
+    overnightCm: row.overnight_snowfall_cm,
+    newSnow24hInches: row.new_snow_24h_inches,
+    newSnow24hCm: row.new_snow_24h_cm,
+    newSnow48hInches: row.new_snow_48h_inches,
+    newSnow48hCm: row.new_snow_48h_cm,
+    newSnow7dayInches: row.new_snow_7day_inches,
+    newSnow7dayCm: row.new_snow_7day_cm,
+    baseDepthInches: row.base_depth_inches,
+    baseDepthCm: row.base_depth_cm,
+    seasonTotalInches: row.season_total_inches,
+    seasonTotalCm: row.season_total_cm
+  };
+}
+
+/**
+ * Resorts matching a ResortFilter
+ */
+async function filterResorts(context, filter = {}) {
+  const snowDate = checkDate(filter.snowDate, 'snowDate');
+  const regions = filter.regions ? filter.regions.map(r => r.toUpperCase()) : null;
+  const matches = [];
+
+  for (const resort of await loadResorts(context)) {
+    if (filter.keys && !filter.keys.includes(resort.key)) continue;
+    if (regions && !regions.includes(String(resort.region).toUpperCase())) continue;
+    if (filter.platform && resort.platform !== filter.platform) continue;
+
+    const needsSnow = [filter.minOvernightSnowInches, filter.min24HourSnowInches, filter.minBaseDepthInches]
+      .some(value => value !== undefined && value !== null);
+    if (needsSnow) {
+      const snow = await loadSnowReport(context, resort, snowDate);
+      if (!snow) continue;
+      if (filter.minOvernightSnowInches != null && !(snow.overnightInches >= filter.minOvernightSnowInches)) continue;
+      if (filter.min24HourSnowInches != null && !(snow.newSnow24hInches >= filter.min24HourSnowInches)) continue;
+      if (filter.minBaseDepthInches != null && !(snow.baseDepthInches >= filter.minBaseDepthInches)) continue;
+    }
+
+    matches.push(resort);
+  }
+
+  return matches;
+}
+
+/**
+ * The terrain date to use for a resort: the requested one or its most recent
+ */
+async function getTerrainDate(context, resort, date) {
+  if (date) return date;
+  if (!resort.id) return null;
+  return memo(context, `terrainDate:${resort.id}`, () => getLatestTerrainDate(context.db, resort.id));
+}
+
+/**
+ * A resort's trails for a day, as Trail objects
+ */
+async function loadTrails(context, resort, date) {
+  const day = await getTerrainDate(context, resort, checkDate(date, 'date'));
+  if (!day) return [];
+
+  return memo(context, `trails:${resort.id}:${day}`, async () =>
+    (await getTrailStatus(context.db, resort.id, day)).map(row => ({ ...formatTrailRow(row), date: day, resort }))
+  );
+}
+
+/**
+ * A resort's lifts for a day, as Lift objects
+ */
+async function loadLifts(context, resort, date) {
+  const day = await getTerrainDate(context, resort, checkDate(date, 'date'));
+  if (!day) return [];
+
+  return memo(context, `lifts:${resort.id}:${day}`, async () =>
+    (await getLiftStatus(context.db, resort.id, day)).map(row => ({ ...formatLiftRow(row), date: day, resort }))
+  );
+}
+
+/**
+ * Trails matching a TrailFilter
+ */
+function filterTrails(trails, filter = {}) {
+  const difficulties = filter.difficulty ? filter.difficulty.map(d => d.toLowerCase()) : null;
+  const nameContains = filter.nameContains ? filter.nameContains.toLowerCase() : null;
+
+  return trails.filter(trail => {
+    if (difficulties && !difficulties.includes(String(trail.difficulty).toLowerCase())) return false;
+    if (filter.groomed != null && trail.isGroomed !== filter.groomed) return false;
+    if (filter.open != null && trail.isOpen !== filter.open) return false;
+    if (filter.area && String(trail.area).toLowerCase() !== filter.area.toLowerCase()) return false;
+    if (nameContains && !trail.name.toLowerCase().includes(nameContains)) return false;
+    return true;
+  });
+}
+
+/**
+ * Lifts matching a LiftFilter
+ */
+function filterLifts(lifts, filter = {}) {
+  const statuses = filter.status ? filter.status.map(s => s.toLowerCase()) : null;
+
+  return lifts.filter(lift => {
+    if (statuses && !statuses.includes(String(lift.status).toLowerCase())) return false;
+    if (filter.area && String(lift.area).toLowerCase() !== filter.area.toLowerCase()) return false;
+    if (filter.liftType && String(lift.liftType).toLowerCase() !== filter.liftType.toLowerCase()) return false;
+    if (filter.minWaitMinutes != null && !(lift.waitMinutes >= filter.minWaitMinutes)) return false;
+    return true;
+  });
+}
+
+/**
+ * Lift wait samples from the NDJSON files
+ */
+function loadLiftWaits(context, resortKey, args, lift) {
+  [['from', args.from], ['to', args.to]].forEach(([name, value]) => {
+    if (value && !DATE_PATTERN.test(value) && isNaN(new Date(value).getTime())) {
+      throw new Error(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+  });
+
+  return readLiftSamples(resortKey, { from: args.from, to: args.to, lift, dataDir: context.options.dataDir })
+    .slice(0, args.limit || DEFAULT_LIST_LIMIT)
+    .map(formatLiftSample);
+}
+
+const resolvers = {
+  Query: {
+    resorts: (root, args, context) => filterResorts(context, args.filter),
+    resort: async (root, args, context) => (await loadResorts(context)).find(r => r.key === args.key) || null,
+    trails: async (root, args, context) => {
+      const trails = [];
+      for (const resort of await filterResorts(context, args.resorts)) {
+        trails.push(...filterTrails(await loadTrails(context, resort, args.date), args.filter));
+      }
+      const offset = args.offset || 0;
+      return trails.slice(offset, offset + (args.limit || DEFAULT_LIST_LIMIT));
+    }
+  },
+
+  Resort: {
+    areas: async (resort, args, context) => {
+      const areas = new Map();
+      const getArea = name => {
+        if (!areas.has(name)) areas.set(name, { name, trailList: [], liftList: [] });
+        return areas.get(name);
+      };
+      (await loadTrails(context, resort, args.date)).forEach(trail => getArea(trail.area || 'Unknown').trailList.push(trail));
+      (await loadLifts(context, resort, args.date)).forEach(lift => getArea(lift.area || 'Unknown').liftList.push(lift));
+      return Array.from(areas.values());
+    },
+    trails: async (resort, args, context) => filterTrails(await loadTrails(context, resort, args.date), args.filter),
+    lifts: async (resort, args, context) => filterLifts(await loadLifts(context, resort, args.date), args.filter),
+    liftWaits: (resort, args, context) => loadLiftWaits(context, resort.key, args, args.lift),
+    snow: (resort, args, context) => loadSnowReport(context, resort, checkDate(args.date, 'date')),
+    snowHistory: async (resort, args, context) => {
+      if (!resort.id) return [];
+      const rows = await getSnowConditions(
+        context.db,
+        resort.id,
+        checkDate(args.from, 'from') || '0000-01-01',
+        checkDate(args.to, 'to') || '9999-12-31'
+      );
+      return rows.map(row => formatSnowReport(resort, row));
+    }
+  },
+
+  Area: {
+    trails: (area, args) => filterTrails(area.trailList, args.filter),
+    lifts: (area, args) => filterLifts(area.liftList, args.filter)
+  },
+
+  Trail: {
+    aliases: async (trail, args, context) => {
+      if (!trail.id) return [];
+      return (await getItemAliases(context.db, trail.id)).map(alias => alias.name);
+    },
+    history: async (trail, args, context) => {
+      if (!trail.id) return [];
+      const rows = await getItemHistory(context.db, trail.id, checkDate(args.since, 'since') || '0000-01-01');
+      return rows.map(row => ({ ...formatTrailRow(row), date: row.date }));
+    }
+  },
+
+  Lift: {
+    waits: (lift, args, context) => loadLiftWaits(context, lift.resort.key, args, lift.name)
+  },
+
+  SnowReport: {
+    forecasts: async (report, args, context) => {
+      const rows = await getSnowForecasts(context.db, report.resortId, report.date);
+      return rows.map(row => ({
+        location: row.location,
+        elevation: row.elevation,
+        forecastDate: row.forecast_date,
+        highF: row.high_f,
+        highC: row.high_c,
+        lowF: row.low_f,
+        lowC: row.low_c,
+        description: row.description,
+        wind: row.wind,
+        windSpeed: row.wind_speed,
+        snowfallDayInches: row.snowfall_day_inches,
+        snowfallNightInches: row.snowfall_night_inches
+      }));
+    }
+  }
+};
+
+/**
+ * Look up resolvers by type and field, falling back to plain property access
+ */
+function fieldResolver(source, args, context, info) {
+  const typeResolvers = resolvers[info.parentType.name];
+  if (typeResolvers && typeResolvers[info.fieldName]) {
+    return typeResolvers[info.fieldName](source, args, context, info);
+  }
+  return defaultFieldResolver(source, args, context, info);
+}
+
+/**
+ * SHA-256 of a query's text, as used by Apollo persisted queries
+ */
+function hashQuery(query) {
+  return crypto.createHash('sha256').update(query).digest('hex');
+}
+
+/**
+ * Load the allowlisted queries: each queries/{id}.graphql file is one entry
+ */
+function loadPersistedQueries(dir = DEFAULT_QUERIES_DIR) {
+  const byId = new Map();
+  const byHash = new Map();
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir).filter(f => f.endsWith('.graphql')).sort().forEach(file => {
+      const query = fs.readFileSync(path.join(dir, file), 'utf8');
+      const entry = { id: file.replace(/\.graphql$/, ''), query, hash: hashQuery(query) };
+      byId.set(entry.id, entry);
+      byHash.set(entry.hash, entry);
+    });
+  }
+
+  return { byId, byHash };
+}
+
+/**
+ * GraphQL error response body
+ */
+function errorResult(message, code) {
+  return { errors: [{ message, extensions: { code } }] };
+}
+
+/**
+ * Execute a GraphQL request { query, id, variables, operationName, extensions }
+ * Resolves to the response body ({ data, errors })
+ * `options`: resorts, persistedQueries (from loadPersistedQueries), allowArbitraryQueries, dataDir
+ */
+async function executeGraphQL(db, request, options = {}) {
+  const persisted = options.persistedQueries || loadPersistedQueries();
+  const hash = request.extensions && request.extensions.persistedQuery && request.extensions.persistedQuery.sha256Hash;
+  let source = null;
+
+  if (request.id) {
+    const entry = persisted.byId.get(request.id);
+    if (!entry) return errorResult(`Unknown persisted query: ${request.id}`, 'PERSISTED_QUERY_NOT_FOUND');
+    source = entry.query;
+  } else if (hash && !request.query) {
+    const entry = persisted.byHash.get(hash);
+    if (!entry) return errorResult('PersistedQueryNotFound', 'PERSISTED_QUERY_NOT_FOUND');
+    source = entry.query;
+  } else if (request.query) {
+    if (!options.allowArbitraryQueries && !persisted.byHash.has(hashQuery(request.query))) {
+      return errorResult('Only persisted queries are allowed - send the id of a query in queries/', 'PERSISTED_QUERY_NOT_ALLOWED');
+    }
+    source = request.query;
+  } else {
+    return errorResult('Must provide a query or a persisted query id', 'BAD_REQUEST');
+  }
+
+  return graphql({
+    schema,
+    source,
+    variableValues: request.variables || undefined,
+    operationName: request.operationName || undefined,
+    contextValue: { db, options, cache: new Map() },
+    fieldResolver
+  });
+}
+
+module.exports = {
+  schema,
+  typeDefs,
+  executeGraphQL,
+  loadPersistedQueries,
+  hashQuery,
+  DEFAULT_QUERIES_DIR
+};
@@ -1,12 +1,17 @@
 const fs = require('fs');
 const path = require('path');
+const { fromZonedTime } = require('date-fns-tz');
 const {
   initializeDatabase,
   getOrCreateResort,
   saveTerrainStatus,
+  saveTerrainSnapshot,
   saveSnowConditions,
   closeDatabase
 } = require('./database');
+const { importLiftSamples } = require('./lift-import');
+const { readSnapshots } = require('./terrain-snapshots');
+const { loadConfig } = require('./config-validation');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const CONFIG_PATH = path.join(__dirname, 'config.json');
@@ -15,8 +20,19 @@ const CONFIG_PATH = path.join(__dirname, 'config.json');
  * Read resort configuration
  */
 function getResortConfig() {
-  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
-  return config.resorts;
+  return loadConfig(CONFIG_PATH).resorts;
+}
+
+/**
+ * List the dated JSON files in a resort data directory
+ */
+function getDatedFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(f => f.match(/^\d{4}-\d{2}-\d{2}\.json$/))
+    .sort();
 }
 
 /**
@@ -24,11 +40,13 @@ function getResortConfig() {
  */
 async function importHistoricalData() {
   console.log('Initializing database...');
-  const db = initializeDatabase();
+  const db = await initializeDatabase();
 
   const resorts = getResortConfig();
   let totalTerrainRecords = 0;
+  let totalLiftRecords = 0;
   let totalSnowRecords = 0;
+  let totalLiftSamples = 0;
 
   console.log(`\nImporting data for ${resorts.length} resorts...\n`);
 
@@ -40,86 +58,86 @@ async function importHistoricalData() {
     console.log(`Processing ${resortName} (${resortKey})...`);
 
     // Get or create resort in database
-    await new Promise((resolve, reject) => {
-      getOrCreateResort(db, resortKey, resortName, timezone, (err, resortId) => {
-        if (err) return reject(err);
-
-        let terrainCount = 0;
-        let snowCount = 0;
-
-        // Import terrain data
-        const terrainDir = path.join(DATA_DIR, resortKey, 'terrain');
-        if (fs.existsSync(terrainDir)) {
-          const terrainFiles = fs.readdirSync(terrainDir)
-            .filter(f => f.match(/^\d{4}-\d{2}-\d{2}\.json$/));
-
-          terrainFiles.forEach(file => {
-            const date = file.replace('.json', '');
-            const filePath = path.join(terrainDir, file);
-
-            try {
-              const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-              // Wrap the data in FMR format to match expected structure
-              saveTerrainStatus(db, resortId, date, { FMR: data }, (err, count) => {
-                if (err) {
-                  console.error(`  Error importing terrain ${date}:`, err.message);
-                } else if (count > 0) {
-                  terrainCount += count;
-                }
-              });
-            } catch (err) {
-              console.error(`  Error reading ${file}:`, err.message);
-            }
-          });
+    const resortId = await getOrCreateResort(db, resortKey, resortName, timezone);
+
+    let terrainCount = 0;
+    let liftCount = 0;
+    let snowCount = 0;
+
+    // Import terrain data
+    const terrainDir = path.join(DATA_DIR, resortKey, 'terrain');
+    for (const file of getDatedFiles(terrainDir)) {
+      const date = file.replace('.json', '');
+
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(terrainDir, file), 'utf8'));
+
+        // Wrap the data in FMR format to match expected structure
+        // (also backfills lift_status from the top-level Lifts array)
+        const saved = await saveTerrainStatus(db, resortId, date, { FMR: data });
+        terrainCount += saved.terrainCount;
+        liftCount += saved.liftCount;
+      } catch (err) {
+        console.error(`  Error importing terrain ${date}:`, err.message);
+      }
+    }
+
+    // Import intraday terrain snapshots (data/{resort}/terrain/{date}/{HHmm}.json)
+    let snapshotCount = 0;
+    const snapshotDates = fs.existsSync(terrainDir)
+      ? fs.readdirSync(terrainDir).filter(f => /^\d{4}-\d{2}-\d{2}$/.test(f)).sort()
+      : [];
+    for (const date of snapshotDates) {
+      for (const { time, data } of readSnapshots(resortKey, date, DATA_DIR)) {
+        try {
+          const capturedAt = fromZonedTime(`${date}T${time}:00`, timezone).toISOString();
+          await saveTerrainSnapshot(db, resortId, date, time, capturedAt, { FMR: data });
+          snapshotCount++;
+        } catch (err) {
+          console.error(`  Error importing terrain snapshot ${date} ${time}:`, err.message);
         }
+      }
+    }
 
-        // Import snow data
-        const snowDir = path.join(DATA_DIR, resortKey, 'snow');
-        if (fs.existsSync(snowDir)) {
-          const snowFiles = fs.readdirSync(snowDir)
-            .filter(f => f.match(/^\d{4}-\d{2}-\d{2}\.json$/));
-
-          snowFiles.forEach(file => {
-            const date = file.replace('.json', '');
-            const filePath = path.join(snowDir, file);
-
-            try {
-              const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-              saveSnowConditions(db, resortId, date, data, (err, id) => {
-                if (err) {
-                  console.error(`  Error importing snow ${date}:`, err.message);
-                } else if (id) {
-                  snowCount++;
-                }
-              });
-            } catch (err) {
-              console.error(`  Error reading ${file}:`, err.message);
-            }
-          });
-        }
+    // Import snow data
+    const snowDir = path.join(DATA_DIR, resortKey, 'snow');
+    for (const file of getDatedFiles(snowDir)) {
+      const date = file.replace('.json', '');
 
-        // Wait a bit for async operations to complete
-        setTimeout(() => {
-          console.log(`  ✓ Imported ${terrainCount} terrain records, ${snowCount} snow records`);
-          totalTerrainRecords += terrainCount;
-          totalSnowRecords += snowCount;
-          resolve();
-        }, 500);
-      });
-    });
-  }
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(snowDir, file), 'utf8'));
 
-  // Wait for all operations to complete
-  await new Promise(resolve => setTimeout(resolve, 1000));
+        if (await saveSnowConditions(db, resortId, date, data)) {
+          snowCount++;
+        }
+      } catch (err) {
+        console.error(`  Error importing snow ${date}:`, err.message);
+      }
+    }
+
+    // Import lift wait-time samples (only lines added since the last import)
+    let liftSampleCount = 0;
+    try {
+      liftSampleCount = (await importLiftSamples(db, resortId, resortKey, { dataDir: DATA_DIR })).samples;
+    } catch (err) {
+      console.error(`  Error importing lift samples:`, err.message);
+    }
+
+    console.log(`  ✓ Imported ${terrainCount} terrain records, ${snapshotCount} terrain snapshots, ${liftCount} lift records, ${snowCount} snow records, ${liftSampleCount} lift samples`);
+    totalTerrainRecords += terrainCount;
+    totalLiftRecords += liftCount;
+    totalSnowRecords += snowCount;
+    totalLiftSamples += liftSampleCount;
+  }
 
   console.log(`\n✅ Import complete!`);
   console.log(`   Total terrain records: ${totalTerrainRecords}`);
+  console.log(`   Total lift records: ${totalLiftRecords}`);
   console.log(`   Total snow records: ${totalSnowRecords}`);
+  console.log(`   Total lift samples: ${totalLiftSamples}`);
   console.log(`   Database location: ${path.join(DATA_DIR, 'ski-data.db')}\n`);
 
-  closeDatabase(db);
+  await closeDatabase(db);
 }
 
 // Run import
@@ -0,0 +1,654 @@
+// lift-forecast.js - Lift wait-time forecasts for the next few hours
+// Usage:
+//   node lift-forecast.js train <resort-key|all>      Fit the model, then write a forecast
+//   node lift-forecast.js predict <resort-key|all>    Forecast from the saved model
+//   node lift-forecast.js backtest <resort-key|all> [--days=7]
+//
+// The model is fitted locally from the lift snapshots in data/{resort}/lifts/*.ndjson
+// and saved to data/{resort}/lifts/forecast-model.json. Samples are averaged into
+// one wait per lift, day and hour (open samples only). A prediction for a later
+// hour starts from that lift's typical wait for the hour (weekday or weekend
+// profile), scales it by fitted holiday and recent-snowfall factors, and adds
+// back part of how far the current wait is from typical - the fitted share
+// shrinks as the horizon grows:
+//
+//   expected(h + k) = baseline(h + k) + persistence[k] * (current - baseline(h))
+//
+// lift-scraper.js refreshes data/{resort}/lifts/forecast.json after each snapshot
+// when a model has been trained; `backtest` fits on all but the last N days and
+// reports the error on those held-out days.
+
+const fs = require('fs');
+const path = require('path');
+const { getLiftsDir, listLiftSampleDates, readLiftSamples } = require('./lift-samples');
+const { percentile, parseClockTime, getDayOfWeek } = require('./generate-lift-stats');
+const { loadConfig } = require('./config-validation');
+const { addDays } = require('./dates');
+
+const MODEL_VERSION = 2;
+const MODEL_FILE = 'forecast-model.json';
+const FORECAST_FILE = 'forecast.json';
+
+const DEFAULTS = {
+  horizonHours: 3,
+  backtestDays: 7,
+  // Fewer observations than this leave a factor at 1
+  minFactorObservations: 20,
+  holidays: []
+};
+
+// Recent-snowfall buckets (24-hour inches) that get their own factor
+const SNOW_BUCKETS = [0, 2, 6, 12];
+
+// Fitted factors are clamped to this range so a few odd days can't run away
+const FACTOR_RANGE = [0.5, 3];
+
+/**
+ * YYYY-MM-DD of the nth `weekday` (0 = Sunday) of a month; n = -1 for the last
+ */
+function getNthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7)).toISOString().slice(0, 10);
+  }
+  const last = new Date(Date.UTC(year, month, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return new Date(Date.UTC(year, month, -offset)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a date is a ski-season holiday: Thanksgiving and the day after,
+ * Christmas Eve through New Year's Day, MLK Day and Presidents' Day, plus any
+ * extra YYYY-MM-DD dates from liftForecast.holidays in config.json
+ */
+function isHoliday(date, extraHolidays = []) {
+  if (extraHolidays.includes(date)) return true;
+
+  const year = parseInt(date.slice(0, 4), 10);
+  const monthDay = date.slice(5);
+  if (monthDay >= '12-24' || monthDay === '01-01') return true;
+
+  const thanksgiving = getNthWeekday(year, 11, 4, 4);
+  return [
+    thanksgiving,
+    addDays(thanksgiving, 1),
+    getNthWeekday(year, 1, 1, 3),
+    getNthWeekday(year, 2, 1, 3)
+  ].includes(date);
+}
+
+/**
+ * 'weekend' for Saturday and Sunday, otherwise 'weekday'
+ */
+function getDayType(date) {
+  const day = getDayOfWeek(date);
+  return day === 'Sat' || day === 'Sun' ? 'weekend' : 'weekday';
+}
+
+/**
+ * 24-hour snowfall (inches) from a resort's snow report for a date, or null
+ */
+function getRecentSnowfall(resortKey, date, dataDir = 'data') {
+  const file = path.join(dataDir, resortKey, 'snow', `${date}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const inches = report.snowfall && report.snowfall['24hour_inches'];
+    return typeof inches === 'number' ? inches : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Index into SNOW_BUCKETS for a snowfall amount (null counts as no new snow)
+ */
+function getSnowBucket(inches) {
+  let bucket = 0;
+  SNOW_BUCKETS.forEach((min, index) => {
+    if ((inches || 0) >= min) bucket = index;
+  });
+  return bucket;
+}
+
+/**
+ * Average open-lift wait per lift, day and hour
+ * Returns a Map of `${lift}|${date}` -> { lift, date, waits: Map(hour -> minutes) }
+ */
+function buildHourlyObservations(samples) {
+  const sums = new Map();
+
+  samples.forEach(sample => {
+    const hour = parseInt(String(sample.localTime || '').slice(0, 2), 10);
+    if (sample.status !== 'Open' || typeof sample.waitMinutes !== 'number' || isNaN(hour)) return;
+
+    const key = `${sample.name}|${sample.localDate}`;
+    if (!sums.has(key)) sums.set(key, { lift: sample.name, date: sample.localDate, totals: new Map() });
+    const totals = sums.get(key).totals;
+    const total = totals.get(hour) || { sum: 0, count: 0 };
+    total.sum += sample.waitMinutes;
+    total.count++;
+    totals.set(hour, total);
+  });
+
+  const observations = new Map();
+  for (const [key, { lift, date, totals }] of sums) {
+    const waits = new Map();
+    totals.forEach((total, hour) => waits.set(hour, total.sum / total.count));
+    observations.set(key, { lift, date, waits });
+  }
+  return observations;
+}
+
+/**
+ * Median wait per hour for each day type, from a list of { dayType, hour, wait }
+ */
+function buildProfile(points) {
+  const groups = { weekday: {}, weekend: {}, all: {} };
+  points.forEach(({ dayType, hour, wait }) => {
+    [dayType, 'all'].forEach(type => {
+      (groups[type][hour] = groups[type][hour] || []).push(wait);
+    });
+  });
+
+  const profile = {};
+  Object.entries(groups).forEach(([type, hours]) => {
+    profile[type] = {};
+    Object.entries(hours).forEach(([hour, waits]) => {
+      profile[type][hour] = percentile(waits, 50);
+    });
+  });
+  return profile;
+}
+
+/**
+ * Ratio of observed to typical waits, clamped to FACTOR_RANGE; 1 without enough data
+ */
+function fitFactor(pairs, minObservations) {
+  const typical = pairs.reduce((sum, p) => sum + p.typical, 0);
+  if (pairs.length < minObservations || typical <= 0) return 1;
+
+  const observed = pairs.reduce((sum, p) => sum + p.observed, 0);
+  const factor = Math.min(Math.max(observed / typical, FACTOR_RANGE[0]), FACTOR_RANGE[1]);
+  return Math.round(factor * 100) / 100;
+}
+
+/**
+ * Typical wait for a lift at an hour before holiday and snow factors, or null
+ */
+function getProfileWait(model, lift, dayType, hour) {
+  const candidates = [
+    model.profiles[lift] && model.profiles[lift][dayType],
+    model.profiles[lift] && model.profiles[lift].all,
+    model.resortProfile[dayType],
+    model.resortProfile.all
+  ];
+  for (const profile of candidates) {
+    if (profile && profile[hour] !== undefined) return profile[hour];
+  }
+  return null;
+}
+
+/**
+ * Typical wait for a lift at an hour on a day, with holiday and snow factors, or null
+ */
+function getBaselineWait(model, lift, context, hour) {
+  const typical = getProfileWait(model, lift, context.dayType, hour);
+  if (typical === null) return null;
+
+  const holidayFactor = context.isHoliday ? model.holidayFactor : 1;
+  return typical * holidayFactor * model.snowFactors[getSnowBucket(context.recentSnowInches)];
+}
+
+/**
+ * Expected wait `horizon` hours after `hour`, given the current wait (or null)
+ */
+function predictWait(model, lift, context, hour, currentWait, horizon) {
+  const baseline = getBaselineWait(model, lift, context, hour + horizon);
+  if (baseline === null) {
+    return currentWait;
+  }
+
+  const currentBaseline = getBaselineWait(model, lift, context, hour);
+  if (currentWait === null || currentWait === undefined || currentBaseline === null) {
+    return baseline;
+  }
+
+  const weight = model.persistence[horizon] || 0;
+  return Math.max(0, baseline + weight * (currentWait - currentBaseline));
+}
+
+/**
+ * Day context used by the model: day type, holiday flag and recent snowfall
+ */
+function getDayContext(resortKey, date, options = {}) {
+  return {
+    date,
+    dayType: getDayType(date),
+    isHoliday: isHoliday(date, options.holidays || DEFAULTS.holidays),
+    recentSnowInches: getRecentSnowfall(resortKey, date, options.dataDir)
+  };
+}
+
+/**
+ * Fit a forecast model from lift samples (see readLiftSamples)
+ */
+function trainModel(resortKey, samples, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const observations = Array.from(buildHourlyObservations(samples).values());
+  const contexts = new Map();
+  const getContext = date => {
+    if (!contexts.has(date)) contexts.set(date, getDayContext(resortKey, date, settings));
+    return contexts.get(date);
+  };
+
+  // Typical waits by lift, day type and hour
+  const pointsByLift = new Map();
+  const resortPoints = [];
+  observations.forEach(({ lift, date, waits }) => {
+    const dayType = getContext(date).dayType;
+    waits.forEach((wait, hour) => {
+      const point = { dayType, hour, wait };
+      if (!pointsByLift.has(lift)) pointsByLift.set(lift, []);
+      pointsByLift.get(lift).push(point);
+      resortPoints.push(point);
+    });
+  });
+
+  const model = {
+    version: MODEL_VERSION,
+    resort: resortKey,
+    trainedAt: new Date().toISOString(),
+    trainedOn: {
+      from: null,
+      to: null,
+      days: 0,
+      observations: resortPoints.length
+    },
+    horizonHours: settings.horizonHours,
+    holidays: settings.holidays,
+    profiles: {},
+    resortProfile: buildProfile(resortPoints),
+    holidayFactor: 1,
+    snowBuckets: SNOW_BUCKETS,
+    snowFactors: SNOW_BUCKETS.map(() => 1),
+    persistence: {},
+    trainingError: {},
+    // Error on days the model wasn't fitted on (set by trainResortModel)
+    heldOutOn: null,
+    heldOutError: {}
+  };
+  pointsByLift.forEach((points, lift) => {
+    model.profiles[lift] = buildProfile(points);
+  });
+
+  const dates = Array.from(new Set(observations.map(o => o.date))).sort();
+  model.trainedOn.from = dates[0] || null;
+  model.trainedOn.to = dates[dates.length - 1] || null;
+  model.trainedOn.days = dates.length;
+
+  // Holiday factor against the plain profile, then snow factors on top of it
+  const holidayPairs = [];
+  observations.forEach(({ lift, date, waits }) => {
+    const context = getContext(date);
+    if (!context.isHoliday) return;
+    waits.forEach((wait, hour) => {
+      const typical = getProfileWait(model, lift, context.dayType, hour);
+      if (typical !== null) holidayPairs.push({ observed: wait, typical });
+    });
+  });
+  model.holidayFactor = fitFactor(holidayPairs, settings.minFactorObservations);
+
+  const snowPairs = SNOW_BUCKETS.map(() => []);
+  observations.forEach(({ lift, date, waits }) => {
+    const context = getContext(date);
+    const holidayFactor = context.isHoliday ? model.holidayFactor : 1;
+    waits.forEach((wait, hour) => {
+      const typical = getProfileWait(model, lift, context.dayType, hour);
+      if (typical !== null) {
+        snowPairs[getSnowBucket(context.recentSnowInches)].push({ observed: wait, typical: typical * holidayFactor });
+      }
+    });
+  });
+  model.snowFactors = snowPairs.map((pairs, index) =>
+    (index === 0 ? 1 : fitFactor(pairs, settings.minFactorObservations))
+  );
+
+  // Share of the current deviation from typical that persists k hours later:
+  // least squares over every (hour, hour + k) pair seen on the same lift and day
+  for (let horizon = 1; horizon <= settings.horizonHours; horizon++) {
+    let numerator = 0;
+    let denominator = 0;
+    observations.forEach(({ lift, date, waits }) => {
+      const context = getContext(date);
+      waits.forEach((current, hour) => {
+        const later = waits.get(hour + horizon);
+        const baseline = getBaselineWait(model, lift, context, hour + horizon);
+        const currentBaseline = getBaselineWait(model, lift, context, hour);
+        if (later === undefined || baseline === null || currentBaseline === null) return;
+        numerator += (later - baseline) * (current - currentBaseline);
+        denominator += (current - currentBaseline) ** 2;
+      });
+    });
+    const weight = denominator > 0 ? Math.min(Math.max(numerator / denominator, 0), 1) : 0;
+    model.persistence[horizon] = Math.round(weight * 100) / 100;
+  }
+
+  const errors = evaluateModel(model, observations, getContext);
+  Object.entries(errors).forEach(([horizon, result]) => {
+    model.trainingError[horizon] = { mae: result.model.mae, p90AbsError: result.model.p90AbsError };
+  });
+
+  return model;
+}
+
+/**
+ * Prediction errors of a model (and two baselines) over hourly observations, by horizon:
+ * `model`, `persistence` (the current wait carries on) and `typical` (profile only)
+ */
+function evaluateModel(model, observations, getContext) {
+  const errors = {};
+  for (let horizon = 1; horizon <= model.horizonHours; horizon++) {
+    errors[horizon] = { model: [], persistence: [], typical: [] };
+  }
+
+  observations.forEach(({ lift, date, waits }) => {
+    const context = getContext(date);
+    waits.forEach((current, hour) => {
+      for (let horizon = 1; horizon <= model.horizonHours; horizon++) {
+        const actual = waits.get(hour + horizon);
+        if (actual === undefined) continue;
+
+        const typical = getBaselineWait(model, lift, context, hour + horizon);
+        errors[horizon].model.push(predictWait(model, lift, context, hour, current, horizon) - actual);
+        errors[horizon].persistence.push(current - actual);
+        errors[horizon].typical.push((typical === null ? current : typical) - actual);
+      }
+    });
+  });
+
+  const summarize = list => ({
+    count: list.length,
+    mae: list.length ? Math.round(list.reduce((sum, e) => sum + Math.abs(e), 0) / list.length * 100) / 100 : null,
+    rmse: list.length ? Math.round(Math.sqrt(list.reduce((sum, e) => sum + e * e, 0) / list.length) * 100) / 100 : null,
+    p90AbsError: percentile(list.map(Math.abs), 90)
+  });
+
+  const result = {};
+  Object.entries(errors).forEach(([horizon, lists]) => {
+    result[horizon] = {
+      model: summarize(lists.model),
+      persistence: summarize(lists.persistence),
+      typical: summarize(lists.typical)
+    };
+  });
+  return result;
+}
+
+/**
+ * Forecast for the lifts in the latest snapshot of the most recent day
+ * Returns null when there are no samples
+ */
+function buildForecast(resortKey, model, options = {}) {
+  const samples = readLiftSamples(resortKey, { dataDir: options.dataDir });
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const latestTimestamp = samples.reduce((latest, s) => (s.timestamp > latest ? s.timestamp : latest), '');
+  const latest = samples.filter(s => s.timestamp === latestTimestamp);
+  const date = latest[0].localDate;
+  const hour = parseInt(String(latest[0].localTime || '').slice(0, 2), 10);
+  const context = getDayContext(resortKey, date, { ...options, holidays: model.holidays });
+  const observations = buildHourlyObservations(samples);
+
+  const lifts = latest.map(sample => {
+    const observed = observations.get(`${sample.name}|${date}`);
+    const currentWait = observed && observed.waits.has(hour) && sample.status === 'Open'
+      ? observed.waits.get(hour)
+      : null;
+    const closeMinutes = parseClockTime(sample.closeTime);
+
+    const predictions = [];
+    if (sample.status !== 'Closed' && !isNaN(hour)) {
+      for (let horizon = 1; horizon <= model.horizonHours; horizon++) {
+        const targetHour = hour + horizon;
+        if (targetHour > 23 || (closeMinutes !== null && targetHour * 60 >= closeMinutes)) break;
+
+        const expected = predictWait(model, sample.name, context, hour, currentWait, horizon);
+        if (expected === null) continue;
+
+        const error = model.heldOutError[horizon];
+        predictions.push({
+          hour: `${String(targetHour).padStart(2, '0')}:00`,
+          horizonHours: horizon,
+          expectedWait: Math.round(expected),
+          typicalError: error && error.p90AbsError !== null ? error.p90AbsError : null
+        });
+      }
+    }
+
+    return {
+      name: sample.name,
+      mountain: sample.mountain || null,
+      status: sample.status,
+      currentWait: sample.waitMinutes ?? null,
+      closeTime: sample.closeTime || null,
+      predictions
+    };
+  });
+
+  return {
+    resort: resortKey,
+    generatedAt: new Date().toISOString(),
+    basedOn: {
+      date,
+      localTime: latest[0].localTime,
+      timestamp: latestTimestamp,
+      dayOfWeek: getDayOfWeek(date),
+      isHoliday: context.isHoliday,
+      recentSnowInches: context.recentSnowInches
+    },
+    model: {
+      trainedAt: model.trainedAt,
+      trainedOn: model.trainedOn
+    },
+    lifts
+  };
+}
+
+/**
+ * Saved model for a resort, or null if none has been trained (or it is outdated)
+ */
+function loadModel(resortKey, dataDir = 'data') {
+  const file = path.join(getLiftsDir(resortKey, dataDir), MODEL_FILE);
+  if (!fs.existsSync(file)) return null;
+
+  const model = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return model.version === MODEL_VERSION ? model : null;
+}
+
+/**
+ * Fit and save a resort's model from all of its lift samples; returns it, or
+ * null when there are no samples. With two or more days it is also backtested
+ * for the held-out error forecasts report
+ */
+function trainResortModel(resortKey, options = {}) {
+  const dates = listLiftSampleDates(resortKey, options.dataDir);
+  if (dates.length === 0) return null;
+
+  const samples = readLiftSamples(resortKey, { from: dates[0], to: dates[dates.length - 1], dataDir: options.dataDir });
+  const model = trainModel(resortKey, samples, options);
+
+  // Forecast error bands come from a backtest on the last days, since the
+  // error on the training days themselves is flattering
+  const result = backtest(resortKey, options);
+  if (result) {
+    model.heldOutOn = result.heldOut;
+    Object.entries(result.horizons).forEach(([horizon, r]) => {
+      model.heldOutError[horizon] = { mae: r.model.mae, p90AbsError: r.model.p90AbsError };
+    });
+  }
+
+  fs.writeFileSync(path.join(getLiftsDir(resortKey, options.dataDir), MODEL_FILE), JSON.stringify(model, null, 2));
+  return model;
+}
+
+/**
+ * Write data/{resort}/lifts/forecast.json from the saved model; returns the
+ * forecast, or null without a model or samples
+ */
+function writeForecast(resortKey, options = {}) {
+  const model = loadModel(resortKey, options.dataDir);
+  if (!model) return null;
+
+  const forecast = buildForecast(resortKey, model, options);
+  if (!forecast) return null;
+
+  fs.writeFileSync(path.join(getLiftsDir(resortKey, options.dataDir), FORECAST_FILE), JSON.stringify(forecast, null, 2));
+  return forecast;
+}
+
+/**
+ * Fit on all but the last `days` days with samples and score the held-out days
+ * Returns { trainedOn, heldOut, horizons } or null with fewer than two days
+ * (or backtestDays below 1)
+ */
+function backtest(resortKey, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const dates = listLiftSampleDates(resortKey, settings.dataDir);
+  if (dates.length < 2 || !(settings.backtestDays >= 1)) return null;
+
+  const heldOutCount = Math.min(settings.backtestDays, dates.length - 1);
+  const heldOut = dates.slice(-heldOutCount);
+  const training = dates.slice(0, -heldOutCount);
+  if (training.length === 0) return null;
+
+  const trainingSamples = readLiftSamples(resortKey, {
+    from: training[0],
+    to: training[training.length - 1],
+    dataDir: settings.dataDir
+  });
+  const model = trainModel(resortKey, trainingSamples, settings);
+
+  const testSamples = readLiftSamples(resortKey, {
+    from: heldOut[0],
+    to: heldOut[heldOut.length - 1],
+    dataDir: settings.dataDir
+  });
+  const observations = Array.from(buildHourlyObservations(testSamples).values());
+  const getContext = date => getDayContext(resortKey, date, settings);
+
+  return {
+    trainedOn: model.trainedOn,
+    heldOut: { from: heldOut[0], to: heldOut[heldOut.length - 1], days: heldOut.length },
+    model: {
+      holidayFactor: model.holidayFactor,
+      snowFactors: model.snowFactors,
+      persistence: model.persistence
+    },
+    horizons: evaluateModel(model, observations, getContext)
+  };
+}
+
+/**
+ * Print a backtest report
+ */
+function printBacktest(resortKey, result) {
+  console.log(`\n[${resortKey}] trained on ${result.trainedOn.days} day(s) (${result.trainedOn.from} to ${result.trainedOn.to}), ` +
+    `tested on ${result.heldOut.days} (${result.heldOut.from} to ${result.heldOut.to})`);
+  console.log(`  Persistence weights: ${JSON.stringify(result.model.persistence)}, holiday factor ${result.model.holidayFactor}, ` +
+    `snow factors ${JSON.stringify(result.model.snowFactors)}`);
+  console.log('  Horizon   Pairs   Model MAE / RMSE   Current-wait MAE   Typical-wait MAE');
+
+  Object.entries(result.horizons).forEach(([horizon, r]) => {
+    const format = value => (value === null ? '–' : value.toFixed(2));
+    console.log(`  +${horizon}h${' '.repeat(7)}${String(r.model.count).padEnd(8)}` +
+      `${`${format(r.model.mae)} / ${format(r.model.rmse)}`.padEnd(19)}` +
+      `${format(r.persistence.mae).padEnd(19)}${format(r.typical.mae)}`);
+  });
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const config = loadConfig();
+  const options = { ...DEFAULTS, ...(config.liftForecast || {}) };
+  const resortKeys = config.resorts.map(resort => resort.key);
+  const [command, resortArg, ...flags] = process.argv.slice(2);
+
+  flags.forEach(flag => {
+    const match = flag.match(/^--days=(.*)$/);
+    if (!match) return;
+
+    const days = Number(match[1]);
+    if (!Number.isInteger(days) || days < 1) {
+      console.error(`❌ --days must be a whole number of days, 1 or more (got "${match[1]}")`);
+      process.exit(1);
+    }
+    options.backtestDays = days;
+  });
+
+  const commands = ['train', 'predict', 'backtest'];
+  const resortsToProcess = resortArg === 'all' ? resortKeys : resortKeys.filter(key => key === resortArg);
+  if (!commands.includes(command) || resortsToProcess.length === 0) {
+    if (resortArg && resortArg !== 'all' && !resortKeys.includes(resortArg)) {
+      console.error(`❌ Unknown resort: ${resortArg}`);
+    }
+    console.error('Usage: node lift-forecast.js train <resort-key|all>');
+    console.error('       node lift-forecast.js predict <resort-key|all>');
+    console.error('       node lift-forecast.js backtest <resort-key|all> [--days=7]');
+    process.exit(1);
+  }
+
+  console.log('🔮 Lift Wait Forecast');
+  console.log('='.repeat(60));
+
+  for (const resortKey of resortsToProcess) {
+    if (command === 'backtest') {
+      const result = backtest(resortKey, options);
+      if (result) {
+        printBacktest(resortKey, result);
+      } else if (listLiftSampleDates(resortKey).length > 0) {
+        console.log(`\n[${resortKey}] needs at least two days of lift samples to backtest`);
+      }
+      continue;
+    }
+
+    if (command === 'train') {
+      const model = trainResortModel(resortKey, options);
+      if (!model) continue;
+      console.log(`✓ ${resortKey}: trained on ${model.trainedOn.days} day(s), ${model.trainedOn.observations} lift-hours ` +
+        `(persistence ${JSON.stringify(model.persistence)})`);
+    }
+
+    const forecast = writeForecast(resortKey, options);
+    if (forecast) {
+      console.log(`✓ ${resortKey}: forecast for ${forecast.lifts.length} lifts as of ${forecast.basedOn.date} ${forecast.basedOn.localTime}`);
+    } else if (command === 'predict' && listLiftSampleDates(resortKey).length > 0) {
+      console.log(`⊘ ${resortKey}: no trained model - run: node lift-forecast.js train ${resortKey}`);
+    }
+  }
+
+  console.log('');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  trainModel,
+  trainResortModel,
+  loadModel,
+  buildForecast,
+  writeForecast,
+  predictWait,
+  backtest,
+  isHoliday,
+  MODEL_FILE,
+  FORECAST_FILE
+};
@@ -0,0 +1,278 @@
+// lift-import.js - Incremental import of lift snapshot NDJSON files into SQLite
+// Usage: node lift-import.js [resort-key ...]   (default: every configured resort)
+//
+// Each data/{resort}/lifts/{date}.ndjson file is read from the byte offset
+// recorded in lift_import_offsets, so re-runs only pick up lines appended since
+// the last import (and a partial last line is left for the next run). Samples
+// go to lift_samples, and every day that gained samples has its per-lift
+// hourly and daily rollups rebuilt.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeDatabase,
+  getOrCreateResort,
+  getLiftImportOffset,
+  saveLiftSamples,
+  getLiftSamples,
+  saveLiftRollups,
+  closeDatabase
+} = require('./database');
+const { getLiftsDir, listLiftSampleDates } = require('./lift-samples');
+const { loadConfig } = require('./config-validation');
+
+// Time after an open sample that counts as open, at most - longer gaps mean
+// missed scrapes, not a lift that was open the whole time
+const MAX_OPEN_GAP_MINUTES = 15;
+
+/**
+ * Read the complete lines appended to a file since `offset`
+ * Resolves to { samples, nextOffset, skipped }; a file smaller than the
+ * offset has been rewritten, so it is read again from the start
+ */
+function readNewSamples(filePath, offset) {
+  const size = fs.statSync(filePath).size;
+  const start = size < offset ? 0 : offset;
+  if (size === start) {
+    return { samples: [], nextOffset: start, skipped: 0 };
+  }
+
+  const buffer = Buffer.alloc(size - start);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Stop at the last newline: anything after it is still being written
+  const end = buffer.lastIndexOf(0x0a) + 1;
+  const samples = [];
+  let skipped = 0;
+
+  buffer.subarray(0, end).toString('utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const sample = JSON.parse(line);
+      if (sample.timestamp && sample.name) {
+        samples.push(sample);
+      } else {
+        skipped++;
+      }
+    } catch (e) {
+      skipped++;
+    }
+  });
+
+  return { samples, nextOffset: start + end, skipped };
+}
+
+/**
+ * Round to one decimal place, keeping null
+ */
+function roundWait(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Per-lift hourly and daily rollups for one day's samples (rows from getLiftSamples)
+ * Waits are averaged over samples taken while the lift was Open. Open minutes
+ * add up the time from each Open sample to the next one (capped at
+ * MAX_OPEN_GAP_MINUTES); hours come from the resort-local sample time.
+ * Returns { hourly, daily }
+ */
+function buildLiftRollups(samples) {
+  const byLift = new Map();
+  samples.forEach(sample => {
+    if (!byLift.has(sample.lift_name)) byLift.set(sample.lift_name, []);
+    byLift.get(sample.lift_name).push(sample);
+  });
+
+  const hourly = [];
+  const daily = [];
+
+  for (const [liftName, liftSamples] of byLift) {
+    liftSamples.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const hours = new Map();
+    const day = {
+      liftName,
+      itemId: null,
+      sampleCount: 0,
+      openSampleCount: 0,
+      waitTotal: 0,
+      waitCount: 0,
+      peakWaitMinutes: null,
+      peakWaitTime: null,
+      openMinutes: 0,
+      firstOpenTime: null,
+      lastOpenTime: null
+    };
+
+    liftSamples.forEach((sample, index) => {
+      const isOpen = sample.status === 'Open';
+      const hasWait = isOpen && sample.wait_minutes !== null && sample.wait_minutes !== undefined;
+      const hour = parseInt(String(sample.local_time || '').slice(0, 2), 10);
+
+      if (sample.item_id) day.itemId = sample.item_id;
+      day.sampleCount++;
+
+      if (!isNaN(hour)) {
+        if (!hours.has(hour)) {
+          hours.set(hour, { sampleCount: 0, openSampleCount: 0, waitTotal: 0, waitCount: 0, peakWaitMinutes: null });
+        }
+        const stats = hours.get(hour);
+        stats.sampleCount++;
+        if (isOpen) stats.openSampleCount++;
+        if (hasWait) {
+          stats.waitTotal += sample.wait_minutes;
+          stats.waitCount++;
+          stats.peakWaitMinutes = Math.max(stats.peakWaitMinutes ?? 0, sample.wait_minutes);
+        }
+      }
+
+      if (!isOpen) return;
+
+      day.openSampleCount++;
+      day.firstOpenTime = day.firstOpenTime || sample.local_time;
+      day.lastOpenTime = sample.local_time;
+
+      if (hasWait) {
+        day.waitTotal += sample.wait_minutes;
+        day.waitCount++;
+        if (day.peakWaitMinutes === null || sample.wait_minutes > day.peakWaitMinutes) {
+          day.peakWaitMinutes = sample.wait_minutes;
+          day.peakWaitTime = sample.local_time;
+        }
+      }
+
+      const next = liftSamples[index + 1];
+      if (next) {
+        const gapMinutes = (new Date(next.timestamp) - new Date(sample.timestamp)) / 60000;
+        day.openMinutes += Math.min(Math.max(gapMinutes, 0), MAX_OPEN_GAP_MINUTES);
+      }
+    });
+
+    Array.from(hours.keys()).sort((a, b) => a - b).forEach(hour => {
+      const stats = hours.get(hour);
+      hourly.push({
+        liftName,
+        hour,
+        sampleCount: stats.sampleCount,
+        openSampleCount: stats.openSampleCount,
+        avgWaitMinutes: stats.waitCount > 0 ? roundWait(stats.waitTotal / stats.waitCount) : null,
+        peakWaitMinutes: stats.peakWaitMinutes
+      });
+    });
+
+    daily.push({
+      liftName,
+      itemId: day.itemId,
+      sampleCount: day.sampleCount,
+      openSampleCount: day.openSampleCount,
+      avgWaitMinutes: day.waitCount > 0 ? roundWait(day.waitTotal / day.waitCount) : null,
+      peakWaitMinutes: day.peakWaitMinutes,
+      peakWaitTime: day.peakWaitTime,
+      openMinutes: Math.round(day.openMinutes),
+      firstOpenTime: day.firstOpenTime,
+      lastOpenTime: day.lastOpenTime
+    });
+  }
+
+  return { hourly, daily };
+}
+
+/**
+ * Rebuild one day's lift rollups from the stored samples
+ */
+async function rollUpLiftDay(db, resortId, date) {
+  const samples = await getLiftSamples(db, resortId, date);
+  return saveLiftRollups(db, resortId, date, buildLiftRollups(samples));
+}
+
+/**
+ * Import the new lines from a resort's lift snapshot files
+ * Resolves to { files, samples, skipped, dates } - the files read, samples
+ * inserted, unparseable lines skipped and the dates whose rollups were rebuilt
+ */
+async function importLiftSamples(db, resortId, resortKey, options = {}) {
+  const dataDir = options.dataDir || 'data';
+  const result = { files: 0, samples: 0, skipped: 0, dates: [] };
+
+  for (const date of listLiftSampleDates(resortKey, dataDir)) {
+    const filePath = path.join(getLiftsDir(resortKey, dataDir), `${date}.ndjson`);
+    const offset = await getLiftImportOffset(db, resortId, date);
+    const { samples, nextOffset, skipped } = readNewSamples(filePath, offset);
+
+    if (nextOffset === offset) {
+      continue;
+    }
+
+    result.files++;
+    result.skipped += skipped;
+    result.samples += await saveLiftSamples(db, resortId, date, samples, nextOffset);
+
+    await rollUpLiftDay(db, resortId, date);
+    result.dates.push(date);
+  }
+
+  return result;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const config = loadConfig();
+  const keys = process.argv.slice(2).filter(arg => arg !== 'all');
+  const resorts = keys.length > 0
+    ? config.resorts.filter(resort => keys.includes(resort.key))
+    : config.resorts;
+
+  const unknown = keys.filter(key => !config.resorts.some(resort => resort.key === key));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown resort(s): ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const db = await initializeDatabase();
+  let totalSamples = 0;
+
+  for (const resort of resorts) {
+    if (listLiftSampleDates(resort.key).length === 0) {
+      continue;
+    }
+
+    const resortId = await getOrCreateResort(db, resort.key, resort.name, resort.timezone || 'America/Denver');
+    const result = await importLiftSamples(db, resortId, resort.key);
+
+    if (result.files === 0) {
+      console.log(`  ✓ ${resort.name}: up to date`);
+      continue;
+    }
+
+    console.log(`  ✓ ${resort.name}: ${result.samples} new sample(s) from ${result.files} file(s), rollups rebuilt for ${result.dates.join(', ')}`);
+    if (result.skipped > 0) {
+      console.log(`  ⚠️  ${resort.name}: skipped ${result.skipped} unreadable line(s)`);
+    }
+    totalSamples += result.samples;
+  }
+
+  console.log(`\n✅ Imported ${totalSamples} lift sample(s)`);
+  await closeDatabase(db);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Lift import failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  importLiftSamples,
+  readNewSamples,
+  buildLiftRollups,
+  rollUpLiftDay,
+  MAX_OPEN_GAP_MINUTES
+};
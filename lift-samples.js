@@ -0,0 +1,105 @@
+// lift-samples.js - Read lift snapshots from the NDJSON files written by lift-scraper.js
+// Each data/{resort}/lifts/{localDate}.ndjson line is one lift at one point in time:
+// { timestamp, localTime, resort, liftId, name, status, type, waitMinutes,
+//   capacity, mountain, openTime, closeTime }
+
+const fs = require('fs');
+const path = require('path');
+const { addDays } = require('./dates');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Directory holding a resort's lift snapshot files
+ */
+function getLiftsDir(resortKey, dataDir = 'data') {
+  return path.join(dataDir, resortKey, 'lifts');
+}
+
+/**
+ * Resort-local dates that have a lift snapshot file, oldest first
+ */
+function listLiftSampleDates(resortKey, dataDir = 'data') {
+  const dir = getLiftsDir(resortKey, dataDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(f))
+    .map(f => f.replace('.ndjson', ''))
+    .sort();
+}
+
+/**
+ * Parse one day's snapshot file, skipping blank and partial lines
+ */
+function readLiftSampleFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const samples = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      samples.push(JSON.parse(line));
+    } catch (e) {
+      // A run cut off mid-write can leave a partial last line
+    }
+  });
+
+  return samples;
+}
+
+/**
+ * Lift samples for a resort, oldest first
+ * `from` / `to` are resort-local dates (YYYY-MM-DD, inclusive) or ISO timestamps.
+ * With neither, the most recent day's samples are returned. `lift` narrows to
+ * one lift by name (case-insensitive).
+ */
+function readLiftSamples(resortKey, options = {}) {
+  const { from, to, lift, dataDir = 'data' } = options;
+  const dates = listLiftSampleDates(resortKey, dataDir);
+  if (dates.length === 0) {
+    return [];
+  }
+
+  const fromIsDate = from && DATE_PATTERN.test(from);
+  const toIsDate = to && DATE_PATTERN.test(to);
+  const fromTime = from && !fromIsDate ? new Date(from).getTime() : null;
+  const toTime = to && !toIsDate ? new Date(to).getTime() : null;
+
+  // Files are named by local date, so timestamps can land in the neighbouring file
+  let firstDate = dates[0];
+  let lastDate = dates[dates.length - 1];
+  if (!from && !to) {
+    firstDate = lastDate;
+  }
+  if (from) firstDate = fromIsDate ? from : addDays(new Date(fromTime).toISOString().slice(0, 10), -1);
+  if (to) lastDate = toIsDate ? to : addDays(new Date(toTime).toISOString().slice(0, 10), 1);
+
+  const wantedLift = lift ? String(lift).toLowerCase() : null;
+  const samples = [];
+
+  dates
+    .filter(date => date >= firstDate && date <= lastDate)
+    .forEach(date => {
+      readLiftSampleFile(path.join(getLiftsDir(resortKey, dataDir), `${date}.ndjson`)).forEach(sample => {
+        const time = new Date(sample.timestamp).getTime();
+        if (fromTime !== null && time < fromTime) return;
+        if (toTime !== null && time > toTime) return;
+        if (wantedLift && String(sample.name).toLowerCase() !== wantedLift) return;
+        samples.push({ ...sample, localDate: date });
+      });
+    });
+
+  return samples;
+}
+
+module.exports = {
+  getLiftsDir,
+  listLiftSampleDates,
+  readLiftSampleFile,
+  readLiftSamples
+};
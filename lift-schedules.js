@@ -0,0 +1,238 @@
+// lift-schedules.js - Per-lift operating hours for lift-scraper.js
+//
+// data/{resort}/lifts/schedule.json keeps each lift's last posted OpenTime /
+// CloseTime and status. Before fetching anything, lift-scraper.js asks
+// planResortScrape() whether any lift could be running now; when every lift is
+// known to be closed the resort is skipped without loading a page.
+//
+// data/{resort}/lifts/hours/{date}.json records, per lift and day, the posted
+// hours next to the first and last time the lift was actually seen Open.
+
+const fs = require('fs');
+const path = require('path');
+const { formatInTimeZone } = require('date-fns-tz');
+const { getLiftsDir } = require('./lift-samples');
+const { parseClockTime, formatClockTime } = require('./generate-lift-stats');
+
+const SCHEDULE_FILE = 'schedule.json';
+
+const DEFAULTS = {
+  // Start checking this long before a lift's posted open time...
+  leadMinutes: 30,
+  // ...and keep checking this long after its posted close
+  graceMinutes: 30,
+  // Scrape anyway once the saved schedule is this old
+  maxScheduleAgeHours: 24
+};
+
+/**
+ * Read a JSON file, or null when it is missing or unreadable
+ */
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write a JSON file, creating its directory
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Saved lift schedule for a resort, or null
+ * { resort, updatedAt, lifts: { [name]: { openTime, closeTime, status, lastSeen } } }
+ */
+function loadLiftSchedule(resortKey, dataDir = 'data') {
+  return readJsonFile(path.join(getLiftsDir(resortKey, dataDir), SCHEDULE_FILE));
+}
+
+/**
+ * Save the posted hours and status of every lift in a scrape
+ * A lift that stops posting hours keeps the last ones it had
+ */
+function saveLiftSchedule(resortKey, lifts, now = new Date(), dataDir = 'data') {
+  const previous = loadLiftSchedule(resortKey, dataDir) || { lifts: {} };
+  const schedule = {
+    resort: resortKey,
+    updatedAt: now.toISOString(),
+    lifts: { ...previous.lifts }
+  };
+
+  lifts.forEach(lift => {
+    const before = previous.lifts[lift.Name] || {};
+    schedule.lifts[lift.Name] = {
+      openTime: lift.OpenTime || before.openTime || null,
+      closeTime: lift.CloseTime || before.closeTime || null,
+      status: lift.Status || null,
+      lastSeen: now.toISOString()
+    };
+  });
+
+  writeJsonFile(path.join(getLiftsDir(resortKey, dataDir), SCHEDULE_FILE), schedule);
+  return schedule;
+}
+
+/**
+ * Minutes since midnight now, in a timezone
+ */
+function getLocalMinutes(timezone, now = new Date()) {
+  return parseClockTime(formatInTimeZone(now, timezone, 'HH:mm'));
+}
+
+/**
+ * Whether a lift with posted hours is inside them (widened by lead/grace minutes)
+ * Returns null when the lift has no usable posted hours
+ */
+function isWithinPostedHours(openTime, closeTime, currentMinutes, options = {}) {
+  const open = parseClockTime(openTime);
+  const close = parseClockTime(closeTime);
+  if (open === null || close === null) return null;
+
+  const lead = options.leadMinutes ?? DEFAULTS.leadMinutes;
+  const grace = options.graceMinutes ?? DEFAULTS.graceMinutes;
+  return currentMinutes >= open - lead && currentMinutes <= close + grace;
+}
+
+/**
+ * Whether to scrape a resort now, from its saved schedule
+ * Returns { scrape, reason, nextOpenTime }. A lift counts as known closed when
+ * it is outside its posted hours, or has no posted hours and was last seen Closed.
+ */
+function planResortScrape(schedule, timezone, options = {}, now = new Date()) {
+  const maxAgeHours = options.maxScheduleAgeHours ?? DEFAULTS.maxScheduleAgeHours;
+
+  if (!schedule || !schedule.lifts || Object.keys(schedule.lifts).length === 0) {
+    return { scrape: true, reason: 'No saved lift schedule yet' };
+  }
+  if (now - new Date(schedule.updatedAt) > maxAgeHours * 3600000) {
+    return { scrape: true, reason: `Lift schedule is more than ${maxAgeHours}h old` };
+  }
+
+  const currentMinutes = getLocalMinutes(timezone, now);
+  const lead = options.leadMinutes ?? DEFAULTS.leadMinutes;
+  const upcoming = [];
+
+  for (const [name, lift] of Object.entries(schedule.lifts)) {
+    const within = isWithinPostedHours(lift.openTime, lift.closeTime, currentMinutes, options);
+    if (within) {
+      return { scrape: true, reason: `${name} is within its posted hours` };
+    }
+    if (within === null && lift.status !== 'Closed') {
+      return { scrape: true, reason: `${name} has no posted hours and was last seen ${lift.status || 'with no status'}` };
+    }
+
+    const open = parseClockTime(lift.openTime);
+    if (open !== null) upcoming.push(open);
+  }
+
+  const later = upcoming.filter(open => open - lead > currentMinutes);
+  const nextOpen = later.length > 0 ? Math.min(...later) : (upcoming.length > 0 ? Math.min(...upcoming) : null);
+  const nextOpenTime = formatClockTime(nextOpen);
+  return {
+    scrape: false,
+    reason: `All ${Object.keys(schedule.lifts).length} lifts are known closed` +
+      (nextOpenTime ? ` (next posted opening ${nextOpenTime})` : ''),
+    nextOpenTime
+  };
+}
+
+/**
+ * Split a scrape's lifts into those to record now (Open, or within their own
+ * posted hours) and the rest
+ */
+function selectLiftsToRecord(lifts, timezone, options = {}, now = new Date()) {
+  const currentMinutes = getLocalMinutes(timezone, now);
+  const record = [];
+  const skipped = [];
+
+  lifts.forEach(lift => {
+    const within = isWithinPostedHours(lift.OpenTime, lift.CloseTime, currentMinutes, options);
+    if (lift.Status === 'Open' || within) {
+      record.push(lift);
+    } else {
+      skipped.push(lift);
+    }
+  });
+
+  return { record, skipped, currentTime: formatClockTime(currentMinutes) };
+}
+
+/**
+ * Path of a day's observed-hours file
+ */
+function getHoursFile(resortKey, date, dataDir = 'data') {
+  return path.join(getLiftsDir(resortKey, dataDir), 'hours', `${date}.json`);
+}
+
+/**
+ * Update a day's observed hours with one scrape of lifts at `localTime` (HH:mm:ss)
+ * Per lift: posted open/close, first and last time seen Open, whether the
+ * opening / closing itself was seen (a not-Open snapshot before / after), and
+ * the differences from the posted times in minutes (positive = later).
+ * Returns the day's entries
+ */
+function recordObservedHours(resortKey, date, lifts, localTime, dataDir = 'data') {
+  const file = getHoursFile(resortKey, date, dataDir);
+  const day = readJsonFile(file) || { resort: resortKey, date, lifts: {} };
+  const time = String(localTime).slice(0, 5);
+
+  lifts.forEach(lift => {
+    const entry = day.lifts[lift.Name] || {
+      postedOpenTime: null,
+      postedCloseTime: null,
+      firstOpenTime: null,
+      lastOpenTime: null,
+      openObserved: false,
+      closeObserved: false,
+      lastStatus: null
+    };
+
+    entry.postedOpenTime = lift.OpenTime || entry.postedOpenTime;
+    entry.postedCloseTime = lift.CloseTime || entry.postedCloseTime;
+
+    if (lift.Status === 'Open') {
+      if (!entry.firstOpenTime) {
+        entry.firstOpenTime = time;
+        // Seen in another state earlier today, so this is the opening itself
+        entry.openObserved = entry.lastStatus !== null;
+      }
+      entry.lastOpenTime = time;
+      entry.closeObserved = false;
+    } else if (entry.lastStatus === 'Open') {
+      entry.closeObserved = true;
+    }
+    entry.lastStatus = lift.Status || null;
+
+    const postedOpen = parseClockTime(entry.postedOpenTime);
+    const postedClose = parseClockTime(entry.postedCloseTime);
+    const firstOpen = parseClockTime(entry.firstOpenTime);
+    const lastOpen = parseClockTime(entry.lastOpenTime);
+    entry.openDelayMinutes = entry.openObserved && postedOpen !== null ? firstOpen - postedOpen : null;
+    entry.closeOffsetMinutes = entry.closeObserved && postedClose !== null ? lastOpen - postedClose : null;
+
+    day.lifts[lift.Name] = entry;
+  });
+
+  day.lastUpdated = new Date().toISOString();
+  writeJsonFile(file, day);
+  return day.lifts;
+}
+
+module.exports = {
+  loadLiftSchedule,
+  saveLiftSchedule,
+  planResortScrape,
+  selectLiftsToRecord,
+  isWithinPostedHours,
+  recordObservedHours,
+  getHoursFile,
+  SCHEDULE_FILE,
+  DEFAULTS
+};
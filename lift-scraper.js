@@ -2,136 +2,72 @@
 // Runs frequently (every 5 minutes by default) to capture lift status and wait times
 // Only records data during lift operating hours
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
-const { formatInTimeZone } = require('date-fns-tz');
-
-// Load configuration
-const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
-const RESORTS = config.resorts.reduce((acc, resort) => {
-  acc[resort.key] = resort;
-  return acc;
-}, {});
-
-/**
- * Get all resorts that are currently in season
- * This automatically scales - no need to manually maintain a list
- */
-function getInSeasonResorts() {
-  return config.resorts.filter(resort => isResortInSeason(resort));
-}
-
-/**
- * Get current date in YYYY-MM-DD format for a specific timezone
- */
-function getResortLocalDate(timezone) {
-  const now = new Date();
-  return formatInTimeZone(now, timezone, 'yyyy-MM-dd');
-}
+const { getAdapter } = require('./adapters');
+const { configureBrowserPool, getFetchMode, closeBrowserPool } = require('./browser-pool');
+const { ScrapeError, FAILURE_TYPES, classifyError } = require('./retry');
+const { assertValid, quarantineOnMismatch } = require('./payload-validation');
+const { isCaptureEnabled, createCapture } = require('./captures');
+const { initializeDatabase, getOrCreateResort, saveLiftHours, closeDatabase } = require('./database');
+const { diffLifts, getLatestLiftStates, recordChangeEvents } = require('./change-events');
+const { dispatchNotifications } = require('./notifications');
+const { importLiftSamples } = require('./lift-import');
+const { writeForecast } = require('./lift-forecast');
+const {
+  getResortLocalDate,
+  getResortLocalTime,
+  getResortLocalTimeFormatted,
+  isResortInSeason
+} = require('./dates');
+const {
+  loadLiftSchedule,
+  saveLiftSchedule,
+  planResortScrape,
+  selectLiftsToRecord,
+  recordObservedHours
+} = require('./lift-schedules');
+const { loadConfig } = require('./config-validation');
+
+// Configuration, loaded and checked at the start of main() - or handed over by
+// scheduler.js (see useConfig) - so requiring this module never exits
+let config = null;
+let RESORTS = {};
+
+// Lead and grace minutes around each lift's posted hours (see lift-schedules.js)
+let LIFT_SCHEDULE = {};
 
 /**
- * Get current time formatted for display in a specific timezone
+ * Use a configuration loaded elsewhere (scheduler.js checks config.json once for everything)
  */
-function getResortLocalTime(timezone) {
-  const now = new Date();
-  return formatInTimeZone(now, timezone, 'HH:mm:ss');
+function useConfig(loaded) {
+  config = loaded;
+  RESORTS = loaded.resorts.reduce((acc, resort) => {
+    acc[resort.key] = resort;
+    return acc;
+  }, {});
+  LIFT_SCHEDULE = loaded.liftSchedule || {};
 }
 
-/**
- * Get current time formatted for logging in a specific timezone
- */
-function getResortLocalTimeFormatted(timezone) {
-  const now = new Date();
-  return formatInTimeZone(now, timezone, 'h:mm a zzz');
-}
-
-/**
- * Check if a resort is currently in season
- */
-function isResortInSeason(resort) {
-  const timezone = resort.timezone;
-  const localDate = getResortLocalDate(timezone);
-  const [currentYear, currentMonth, currentDay] = localDate.split('-').map(Number);
-
-  // Get season dates (use resort-specific or defaults)
-  const seasonStart = resort.seasonStart || config.schedule.defaultSeasonStart;
-  const seasonEnd = resort.seasonEnd || config.schedule.defaultSeasonEnd;
-
-  const [startMonth, startDay] = seasonStart.split('-').map(Number);
-  const [endMonth, endDay] = seasonEnd.split('-').map(Number);
-
-  // Ski seasons span two calendar years (e.g., Nov 2024 - May 2025)
-  let seasonStartYear, seasonEndYear;
-
-  if (currentMonth >= startMonth) {
-    // We're in the second half of the year (e.g., Nov-Dec)
-    seasonStartYear = currentYear;
-    seasonEndYear = currentYear + 1;
-  } else {
-    // We're in the first half of the year (e.g., Jan-Jun)
-    seasonStartYear = currentYear - 1;
-    seasonEndYear = currentYear;
-  }
-
-  const seasonStartDate = new Date(seasonStartYear, startMonth - 1, startDay);
-  const seasonEndDate = new Date(seasonEndYear, endMonth - 1, endDay);
-  const currentDate = new Date(currentYear, currentMonth - 1, currentDay);
+// With --capture (or SCRAPE_CAPTURE=1) each page loaded is saved under captures/ as lifts.*
+const CAPTURE = isCaptureEnabled();
 
-  return currentDate >= seasonStartDate && currentDate < seasonEndDate;
-}
+// Database connection for change events and lift samples, opened and migrated at the start of main()
+let db = null;
 
 /**
- * Convert time string (HH:mm) to minutes since midnight
+ * Use a database connection opened elsewhere (scheduler.js keeps one open)
  */
-function timeToMinutes(timeStr) {
-  if (!timeStr) return null;
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  return hours * 60 + minutes;
+function useDatabase(handle) {
+  db = handle;
 }
 
 /**
- * Check if current time is within lift operating hours
- * Uses the earliest open time and latest close time from all lifts
+ * Get all resorts that are currently in season
+ * This automatically scales - no need to manually maintain a list
  */
-function getLiftOperatingWindow(lifts, timezone) {
-  if (!lifts || lifts.length === 0) {
-    return { isOpen: false, reason: 'No lift data available' };
-  }
-
-  // Extract open and close times from all lifts
-  const openTimes = lifts
-    .map(l => l.OpenTime)
-    .filter(Boolean)
-    .map(timeToMinutes);
-
-  const closeTimes = lifts
-    .map(l => l.CloseTime)
-    .filter(Boolean)
-    .map(timeToMinutes);
-
-  if (openTimes.length === 0 || closeTimes.length === 0) {
-    return { isOpen: false, reason: 'No operating hours available' };
-  }
-
-  // Get the operating window (earliest open to latest close)
-  const minOpenMinutes = Math.min(...openTimes);
-  const maxCloseMinutes = Math.max(...closeTimes);
-
-  // Get current time in resort's timezone
-  const now = new Date();
-  const localTimeStr = formatInTimeZone(now, timezone, 'HH:mm');
-  const currentMinutes = timeToMinutes(localTimeStr);
-
-  const isOpen = currentMinutes >= minOpenMinutes && currentMinutes <= maxCloseMinutes;
-
-  return {
-    isOpen,
-    openTime: `${Math.floor(minOpenMinutes / 60).toString().padStart(2, '0')}:${(minOpenMinutes % 60).toString().padStart(2, '0')}`,
-    closeTime: `${Math.floor(maxCloseMinutes / 60).toString().padStart(2, '0')}:${(maxCloseMinutes % 60).toString().padStart(2, '0')}`,
-    currentTime: localTimeStr,
-    reason: isOpen ? 'Within operating hours' : `Outside operating hours (${localTimeStr} not in ${Math.floor(minOpenMinutes/60)}:${String(minOpenMinutes%60).padStart(2,'0')} - ${Math.floor(maxCloseMinutes/60)}:${String(maxCloseMinutes%60).padStart(2,'0')})`
-  };
+function getInSeasonResorts() {
+  return config.resorts.filter(resort => isResortInSeason(resort, config.schedule));
 }
 
 /**
@@ -158,59 +94,42 @@ function appendLiftRecord(resortKey, localDate, record) {
 
 /**
  * Scrape lift data from a resort
- * Reuses the same terrain scraping logic to get lift information
+ * Reuses the resort's terrain adapter to get lift information
  */
 async function scrapeLiftData(resortKey, url) {
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu'
-    ]
+  const resort = RESORTS[resortKey];
+  const adapter = getAdapter(resort);
+
+  const terrain = await adapter.scrapeTerrain(url, {
+    resort,
+    fetchMode: getFetchMode(resort),
+    log: () => {}, // Keep the 5-minute run quiet
+    warn: message => console.log(`  ⚠️  ${message}`),
+    capture: CAPTURE ? createCapture(resort, 'lifts') : null
   });
 
-  try {
-    const page = await browser.newPage();
-
-    // Set a realistic user agent
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    // Try loading with a more lenient wait strategy
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-    } catch (e) {
-      console.log(`  ⚠️  Initial load issue: ${e.message}`);
-    }
-
-    // Give the page extra time to settle
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Wait for the FR object to be available
-    await page.waitForFunction(
-      () => typeof FR !== 'undefined' && FR.TerrainStatusFeed,
-      { timeout: 45000 }
-    ).catch(() => {
-      throw new Error('FR.TerrainStatusFeed not found');
-    });
-
-    // Extract just the Lifts data
-    const data = await page.evaluate(() => {
-      if (typeof FR !== 'undefined' && FR.TerrainStatusFeed) {
-        return {
-          Lifts: FR.TerrainStatusFeed.Lifts || [],
-          Date: FR.TerrainStatusFeed.Date
-        };
-      }
-      return null;
-    });
+  if (!terrain) {
+    throw new ScrapeError(FAILURE_TYPES.MISSING_GLOBAL, `${adapter.sourceName} not found`);
+  }
 
-    return data;
+  // Extract just the Lifts data, quarantining it when the lifts don't match the schema
+  const liftData = {
+    Lifts: terrain.Lifts || [],
+    Date: terrain.Date
+  };
+  return quarantineOnMismatch(resortKey, 'lifts', liftData, () => assertValid('lift-feed', liftData, `${adapter.sourceName} lifts`));
+}
 
-  } finally {
-    await browser.close();
+/**
+ * Send any subscribed lift alerts for a snapshot (see notifications.js)
+ * Errors are logged so a broken subscriptions file never fails the scrape
+ */
+async function notifySubscribers(resortId, context) {
+  const notifications = config.notifications || {};
+  try {
+    await dispatchNotifications(db, resortId, context, { subscriptionsFile: notifications.subscriptionsFile });
+  } catch (err) {
+    console.error('  ⚠️  Notification error:', err.message);
   }
 }
 
@@ -233,7 +152,7 @@ async function processResort(resortKey) {
   console.log('─'.repeat(60));
 
   // Check if resort is in season
-  if (!isResortInSeason(resort)) {
+  if (!isResortInSeason(resort, config.schedule)) {
     console.log(`  ⏭️  Out of season - skipping`);
     return { resortKey, status: 'out_of_season', liftsRecorded: 0 };
   }
@@ -245,14 +164,22 @@ async function processResort(resortKey) {
     return { resortKey, status: 'no_url', liftsRecorded: 0 };
   }
 
+  // Skip the fetch entirely when the saved schedule says every lift is closed
+  const plan = planResortScrape(loadLiftSchedule(resortKey), resort.timezone, LIFT_SCHEDULE);
+  if (!plan.scrape) {
+    console.log(`  🌙 ${plan.reason} - skipping`);
+    return { resortKey, status: 'outside_hours', liftsRecorded: 0, nextOpenTime: plan.nextOpenTime };
+  }
+
   // Scrape lift data
-  console.log(`  📡 Fetching lift data...`);
+  console.log(`  📡 Fetching lift data (${plan.reason})...`);
   let liftData;
   try {
     liftData = await scrapeLiftData(resortKey, terrainUrl);
   } catch (error) {
-    console.log(`  ❌ Error scraping: ${error.message}`);
-    return { resortKey, status: 'scrape_error', liftsRecorded: 0, error: error.message };
+    const failure = classifyError(error);
+    console.log(`  ❌ Error scraping [${failure}]: ${error.message}`);
+    return { resortKey, status: 'scrape_error', liftsRecorded: 0, error: error.message, failure, quarantined: error.quarantined };
   }
 
   if (!liftData || !liftData.Lifts || liftData.Lifts.length === 0) {
@@ -262,51 +189,74 @@ async function processResort(resortKey) {
 
   console.log(`  ✓ Found ${liftData.Lifts.length} lifts`);
 
-  // Check if we're within operating hours
-  const operatingWindow = getLiftOperatingWindow(liftData.Lifts, resort.timezone);
-
-  if (!operatingWindow.isOpen) {
-    console.log(`  🌙 ${operatingWindow.reason}`);
-    return {
-      resortKey,
-      status: 'outside_hours',
-      liftsRecorded: 0,
-      window: operatingWindow
-    };
-  }
-
-  console.log(`  ⏰ Operating hours: ${operatingWindow.openTime} - ${operatingWindow.closeTime}`);
-  console.log(`  ✅ Within operating hours - recording data`);
-
-  // Record each lift's current state
   const timestamp = new Date().toISOString();
   const localDate = getResortLocalDate(resort.timezone);
   const localTimeStr = getResortLocalTime(resort.timezone);
 
+  let resortId = null;
+  try {
+    resortId = await getOrCreateResort(db, resortKey, resortName, resort.timezone || 'America/Denver');
+  } catch (err) {
+    console.error('  ⚠️  Database error (resort):', err.message);
+  }
+
+  // Remember each lift's posted hours for the next run's plan, and track
+  // when lifts actually open and close against them
+  saveLiftSchedule(resortKey, liftData.Lifts);
+  const observedHours = recordObservedHours(resortKey, localDate, liftData.Lifts, localTimeStr);
+  if (resortId) {
+    try {
+      await saveLiftHours(db, resortId, localDate, observedHours);
+    } catch (err) {
+      console.error('  ⚠️  Database error (lift hours):', err.message);
+    }
+  }
+
+  // Only lifts that are open or within their own posted hours are recorded
+  const { record: liftsToRecord, currentTime } = selectLiftsToRecord(liftData.Lifts, resort.timezone, LIFT_SCHEDULE);
+
+  if (liftsToRecord.length === 0) {
+    console.log(`  🌙 All ${liftData.Lifts.length} lifts are outside their posted hours (${currentTime})`);
+    return { resortKey, status: 'outside_hours', liftsRecorded: 0 };
+  }
+
+  console.log(`  ⏰ ${liftsToRecord.length} of ${liftData.Lifts.length} lifts open or within posted hours - recording data`);
+
+  // Lift states from the previous snapshot today, read before this one is appended
+  const previousLifts = getLatestLiftStates(resortKey, localDate);
+
   let liftsWithWaitTimes = 0;
   let closedLifts = 0;
   let openLifts = 0;
 
-  for (const lift of liftData.Lifts) {
-    // Create lift record
-    const record = {
-      timestamp,
-      localTime: localTimeStr,
-      resort: resortKey,
-      liftId: lift.SortOrder?.toString() || null,
-      name: lift.Name,
-      status: lift.Status,
-      type: lift.Type,
-      waitMinutes: lift.WaitTimeInMinutes,
-      capacity: lift.Capacity,
-      mountain: lift.Mountain,
-      openTime: lift.OpenTime,
-      closeTime: lift.CloseTime
-    };
-
-    // Append to NDJSON file
-    appendLiftRecord(resortKey, localDate, record);
+  const records = liftsToRecord.map(lift => ({
+    timestamp,
+    localTime: localTimeStr,
+    resort: resortKey,
+    liftId: lift.SortOrder?.toString() || null,
+    name: lift.Name,
+    status: lift.Status,
+    type: lift.Type,
+    waitMinutes: lift.WaitTimeInMinutes,
+    capacity: lift.Capacity,
+    mountain: lift.Mountain,
+    openTime: lift.OpenTime,
+    closeTime: lift.CloseTime
+  }));
+
+  // Check every record before appending any, so a bad scrape leaves the file untouched
+  try {
+    quarantineOnMismatch(resortKey, 'lift-records', records, () => {
+      records.forEach((record, i) => assertValid('lift-record', record, `Lift record ${i}`));
+    });
+  } catch (error) {
+    console.log(`  ❌ ${error.message}`);
+    return { resortKey, status: 'scrape_error', liftsRecorded: 0, error: error.message, failure: classifyError(error), quarantined: error.quarantined };
+  }
+
+  records.forEach(record => appendLiftRecord(resortKey, localDate, record));
 
+  for (const lift of liftsToRecord) {
     // Track statistics
     if (lift.WaitTimeInMinutes && lift.WaitTimeInMinutes > 0) {
       liftsWithWaitTimes++;
@@ -328,16 +278,50 @@ async function processResort(resortKey) {
   if (liftsWithWaitTimes > 0) {
     console.log(`     • ${liftsWithWaitTimes} lifts with wait times`);
   }
-  console.log(`  💾 Saved ${liftData.Lifts.length} lift records to ${localDate}.ndjson`);
+  console.log(`  💾 Saved ${liftsToRecord.length} lift records to ${localDate}.ndjson`);
+
+  // Record lift status changes since the previous snapshot, then alert
+  // lift_open and lift_status_changed subscribers
+  const changeEvents = diffLifts(previousLifts, liftData.Lifts);
+  if (changeEvents.length > 0) {
+    await recordChangeEvents(db, resortId, resortKey, localDate, changeEvents);
+  }
+  await notifySubscribers(resortId, {
+    resortKey,
+    resortName,
+    date: localDate,
+    terrain: { Lifts: liftData.Lifts },
+    events: changeEvents
+  });
+
+  // Load the new samples into lift_samples and refresh today's rollups
+  if (resortId) {
+    try {
+      const imported = await importLiftSamples(db, resortId, resortKey);
+      console.log(`  🗄️  Imported ${imported.samples} lift sample(s) into the database`);
+    } catch (err) {
+      console.error('  ⚠️  Database error (lift samples):', err.message);
+    }
+  }
+
+  // Refresh the next few hours' expected waits (once a model has been trained)
+  try {
+    const forecast = writeForecast(resortKey);
+    if (forecast) {
+      console.log(`  🔮 Updated wait forecast for ${forecast.lifts.length} lifts`);
+    }
+  } catch (err) {
+    console.error('  ⚠️  Forecast error:', err.message);
+  }
 
   return {
     resortKey,
     status: 'success',
-    liftsRecorded: liftData.Lifts.length,
+    liftsRecorded: liftsToRecord.length,
     openLifts,
     closedLifts,
     liftsWithWaitTimes,
-    localTime: operatingWindow.currentTime
+    localTime: currentTime
   };
 }
 
@@ -345,11 +329,17 @@ async function processResort(resortKey) {
  * Main function - process all in-season resorts
  */
 async function main() {
+  useConfig(loadConfig());
+  configureBrowserPool(config.browser);
+
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║     🎿 Real-Time Lift Wait-Time Tracker 🎿                ║');
   console.log('╚════════════════════════════════════════════════════════════╝');
   console.log(`\n⏱️  Run started at ${new Date().toISOString()}`);
 
+  // Lift snapshots go to NDJSON files; the database holds their change events
+  db = await initializeDatabase();
+
   // Automatically get all resorts that are in season
   const inSeasonResorts = getInSeasonResorts();
   const resortKeys = inSeasonResorts.map(r => r.key);
@@ -357,34 +347,27 @@ async function main() {
   console.log(`📍 Found ${inSeasonResorts.length} in-season resorts (out of ${config.resorts.length} total)`);
   console.log(`🎿 Checking: ${resortKeys.join(', ')}`);
 
-  const results = [];
-
-  // Process resorts in parallel batches to speed up execution
-  // Process 5 resorts at a time to balance speed vs resource usage
-  const BATCH_SIZE = 5;
-
-  for (let i = 0; i < resortKeys.length; i += BATCH_SIZE) {
-    const batch = resortKeys.slice(i, i + BATCH_SIZE);
-    console.log(`\n📦 Processing batch ${Math.floor(i / BATCH_SIZE) + 1} of ${Math.ceil(resortKeys.length / BATCH_SIZE)} (${batch.length} resorts in parallel)...`);
-
-    // Process this batch in parallel
-    const batchPromises = batch.map(async (resortKey) => {
-      try {
-        return await processResort(resortKey);
-      } catch (error) {
-        console.log(`\n❌ Unexpected error processing ${resortKey}: ${error.message}`);
-        return {
-          resortKey,
-          status: 'error',
-          liftsRecorded: 0,
-          error: error.message
-        };
-      }
-    });
+  // Process all resorts in parallel - the shared browser pool caps how many
+  // pages load at once (config.json browser.concurrency)
+  console.log(`\n📦 Processing ${resortKeys.length} resorts in parallel (page loads limited by browser.concurrency)...`);
 
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
-  }
+  const results = await Promise.all(resortKeys.map(async (resortKey) => {
+    try {
+      return await processResort(resortKey);
+    } catch (error) {
+      console.log(`\n❌ Unexpected error processing ${resortKey}: ${error.message}`);
+      return {
+        resortKey,
+        status: 'error',
+        liftsRecorded: 0,
+        error: error.message
+      };
+    }
+  }));
+
+  // Shut down the shared browser
+  await closeBrowserPool();
+  await closeDatabase(db);
 
   // Print final summary
   console.log('\n' + '═'.repeat(60));
@@ -410,11 +393,11 @@ async function main() {
     console.log(`\n⏭️  Skipped/unavailable: ${skippedResorts.length} resorts`);
     skippedResorts.forEach(r => {
       const resort = RESORTS[r.resortKey];
-      const reason = r.status === 'outside_hours' ? 'outside operating hours' :
+      const reason = r.status === 'outside_hours' ? `outside operating hours${r.nextOpenTime ? ` (next opening ${r.nextOpenTime})` : ''}` :
                      r.status === 'out_of_season' ? 'out of season' :
                      r.status === 'no_url' ? 'no URL configured' :
                      r.status === 'no_data' ? 'no lift data' :
-                     r.status === 'scrape_error' ? `scrape error` :
+                     r.status === 'scrape_error' ? `scrape error (${r.failure}${r.quarantined ? `, quarantined to ${r.quarantined}` : ''})` :
                      'unknown error';
       console.log(`   • ${resort.name}: ${reason}`);
     });
@@ -425,7 +408,15 @@ async function main() {
 }
 
 // Run the scraper
-main().catch(error => {
-  console.error('\n💥 Fatal error:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  useConfig,
+  useDatabase,
+  processResort
+};
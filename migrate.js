@@ -0,0 +1,56 @@
+// migrate.js - Apply pending schema migrations to data/ski-data.db
+// Usage:
+//   node migrate.js            apply pending migrations
+//   node migrate.js --dry-run  print the SQL (or code) of pending migrations without applying it
+
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { migrateDatabase, closeDatabase, DB_PATH } = require('./database');
+const { getPendingMigrations } = require('./migrations');
+
+/**
+ * Print the pending migrations and their SQL, leaving the database untouched
+ * A database that doesn't exist yet has every migration pending
+ */
+async function dryRun() {
+  let db = null;
+  if (fs.existsSync(DB_PATH)) {
+    db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READONLY);
+  }
+
+  try {
+    const pending = await getPendingMigrations(db);
+
+    if (pending.length === 0) {
+      console.log('✓ Database schema is up to date - nothing to apply');
+      return;
+    }
+
+    console.log(`📋 ${pending.length} pending migration(s) for ${DB_PATH}:\n`);
+    pending.forEach(migration => {
+      console.log(`-- ${migration.file}`);
+      console.log(migration.source.trim());
+      console.log('');
+    });
+  } finally {
+    if (db) await closeDatabase(db);
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  if (process.argv.includes('--dry-run')) {
+    return dryRun();
+  }
+
+  await migrateDatabase();
+
+  console.log(`✓ Database schema is up to date (${DB_PATH})`);
+}
+
+main().catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
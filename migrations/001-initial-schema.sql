@@ -0,0 +1,49 @@
+-- Tables from the original database.js (before lift_status and the snow metric columns)
+
+CREATE TABLE IF NOT EXISTS resorts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  timezone TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily trail/lift/grooming data
+CREATE TABLE IF NOT EXISTS terrain_status (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  item_name TEXT NOT NULL,
+  item_type TEXT,
+  status TEXT,
+  grooming_status TEXT,
+  grooming_type TEXT,
+  raw_data TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  UNIQUE(resort_id, date, item_name)
+);
+
+-- Daily snow reports
+CREATE TABLE IF NOT EXISTS snow_conditions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  overnight_snowfall_inches REAL,
+  base_depth_inches REAL,
+  new_snow_24h_inches REAL,
+  new_snow_48h_inches REAL,
+  new_snow_7day_inches REAL,
+  season_total_inches REAL,
+  weather_condition TEXT,
+  temperature REAL,
+  raw_data TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  UNIQUE(resort_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_terrain_resort_date ON terrain_status(resort_id, date);
+CREATE INDEX IF NOT EXISTS idx_terrain_name ON terrain_status(item_name);
+CREATE INDEX IF NOT EXISTS idx_terrain_grooming ON terrain_status(grooming_status);
+CREATE INDEX IF NOT EXISTS idx_snow_resort_date ON snow_conditions(resort_id, date);
@@ -0,0 +1,23 @@
+-- Top-level lift list from the terrain feed
+
+CREATE TABLE IF NOT EXISTS lift_status (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  lift_name TEXT NOT NULL,
+  status TEXT,
+  lift_type TEXT,
+  capacity INTEGER,
+  mountain TEXT,
+  open_time TEXT,
+  close_time TEXT,
+  wait_minutes INTEGER,
+  sort_order INTEGER,
+  raw_data TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  UNIQUE(resort_id, date, lift_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lift_resort_date ON lift_status(resort_id, date);
+CREATE INDEX IF NOT EXISTS idx_lift_name ON lift_status(lift_name);
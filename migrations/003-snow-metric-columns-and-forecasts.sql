@@ -0,0 +1,31 @@
+-- Metric snowfall columns and the per-location forecast days from each snow report
+
+ALTER TABLE snow_conditions ADD COLUMN overnight_snowfall_cm REAL;
+ALTER TABLE snow_conditions ADD COLUMN base_depth_cm REAL;
+ALTER TABLE snow_conditions ADD COLUMN new_snow_24h_cm REAL;
+ALTER TABLE snow_conditions ADD COLUMN new_snow_48h_cm REAL;
+ALTER TABLE snow_conditions ADD COLUMN new_snow_7day_cm REAL;
+ALTER TABLE snow_conditions ADD COLUMN season_total_cm REAL;
+
+CREATE TABLE IF NOT EXISTS snow_forecasts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  location TEXT NOT NULL,
+  elevation TEXT,
+  forecast_date TEXT NOT NULL,
+  high_f INTEGER,
+  high_c INTEGER,
+  low_f INTEGER,
+  low_c INTEGER,
+  description TEXT,
+  wind TEXT,
+  wind_speed REAL,
+  snowfall_day_inches REAL,
+  snowfall_night_inches REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  UNIQUE(resort_id, date, location, forecast_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_forecast_resort_date ON snow_forecasts(resort_id, date);
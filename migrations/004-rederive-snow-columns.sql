@@ -0,0 +1,47 @@
+-- Re-derive the structured snow columns from raw_data. Rows saved by the
+-- scraper before the mapping fix stored a remapped object
+-- (overnightSnowfall.inches, newSnow24Hours.inches, ...) while imported rows
+-- stored the cleaned snow file (snowfall.overnight_inches, ...), so both
+-- shapes are read.
+
+UPDATE snow_conditions SET
+  overnight_snowfall_inches = COALESCE(json_extract(raw_data, '$.snowfall.overnight_inches'), json_extract(raw_data, '$.overnightSnowfall.inches')),
+  overnight_snowfall_cm = json_extract(raw_data, '$.snowfall.overnight_cm'),
+  base_depth_inches = json_extract(raw_data, '$.baseDepth.inches'),
+  base_depth_cm = json_extract(raw_data, '$.baseDepth.cm'),
+  new_snow_24h_inches = COALESCE(json_extract(raw_data, '$.snowfall."24hour_inches"'), json_extract(raw_data, '$.newSnow24Hours.inches')),
+  new_snow_24h_cm = json_extract(raw_data, '$.snowfall."24hour_cm"'),
+  new_snow_48h_inches = COALESCE(json_extract(raw_data, '$.snowfall."48hour_inches"'), json_extract(raw_data, '$.newSnow48Hours.inches')),
+  new_snow_48h_cm = json_extract(raw_data, '$.snowfall."48hour_cm"'),
+  new_snow_7day_inches = COALESCE(json_extract(raw_data, '$.snowfall."7day_inches"'), json_extract(raw_data, '$.newSnow7Days.inches')),
+  new_snow_7day_cm = json_extract(raw_data, '$.snowfall."7day_cm"'),
+  season_total_inches = COALESCE(json_extract(raw_data, '$.snowfall.season_total_inches'), json_extract(raw_data, '$.seasonTotal.inches')),
+  season_total_cm = json_extract(raw_data, '$.snowfall.season_total_cm'),
+  weather_condition = COALESCE(json_extract(raw_data, '$.conditions'), json_extract(raw_data, '$.currentConditions.weather'))
+WHERE json_valid(raw_data);
+
+-- Rebuild snow_forecasts rows from the forecast stored in each report's raw_data
+-- (wind is only reported for the current day, so it goes on the first forecast day)
+INSERT OR IGNORE INTO snow_forecasts
+(resort_id, date, location, elevation, forecast_date, high_f, high_c, low_f, low_c,
+ description, wind, wind_speed, snowfall_day_inches, snowfall_night_inches)
+SELECT
+  s.resort_id,
+  s.date,
+  COALESCE(json_extract(loc.value, '$.name'), 'Unknown'),
+  json_extract(loc.value, '$.elevation'),
+  json_extract(day.value, '$.date'),
+  json_extract(day.value, '$.high_f'),
+  json_extract(day.value, '$.high_c'),
+  json_extract(day.value, '$.low_f'),
+  json_extract(day.value, '$.low_c'),
+  json_extract(day.value, '$.description'),
+  CASE WHEN day.key = 0 THEN json_extract(loc.value, '$.today.wind') END,
+  CASE WHEN day.key = 0 THEN json_extract(loc.value, '$.today.wind_speed') END,
+  json_extract(day.value, '$.snowfall_day_inches'),
+  json_extract(day.value, '$.snowfall_night_inches')
+FROM snow_conditions s,
+     json_each(s.raw_data, '$.forecast.locations') loc,
+     json_each(loc.value, '$.forecast_days') day
+WHERE json_valid(s.raw_data)
+  AND json_extract(day.value, '$.date') IS NOT NULL;
@@ -0,0 +1,67 @@
+-- Catalog of trails and lifts keyed by the feed's own Id, so renamed runs and
+-- same-named runs in different areas keep separate, stable identities.
+-- Slugs are unique per resort among items of the same type (trail pages and
+-- lift pages don't share URLs).
+
+CREATE TABLE IF NOT EXISTS terrain_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  item_type TEXT NOT NULL,
+  feed_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  area_id TEXT,
+  area_name TEXT,
+  slug TEXT NOT NULL,
+  first_seen TEXT,
+  last_seen TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  UNIQUE(resort_id, item_type, feed_key),
+  UNIQUE(resort_id, item_type, slug)
+);
+
+-- Every name an item has been listed under, for rename history
+CREATE TABLE IF NOT EXISTS terrain_item_names (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  first_seen TEXT,
+  last_seen TEXT,
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  UNIQUE(item_id, name)
+);
+
+-- Rebuild terrain_status keyed by catalog item instead of name. SQLite can't
+-- change a UNIQUE constraint in place, so the table is copied.
+CREATE TABLE terrain_status_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  item_id INTEGER,
+  item_name TEXT NOT NULL,
+  item_type TEXT,
+  status TEXT,
+  grooming_status TEXT,
+  grooming_type TEXT,
+  raw_data TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  UNIQUE(resort_id, date, item_id)
+);
+
+INSERT INTO terrain_status_new
+(id, resort_id, date, item_name, item_type, status, grooming_status, grooming_type, raw_data, created_at)
+SELECT id, resort_id, date, item_name, item_type, status, grooming_status, grooming_type, raw_data, created_at
+FROM terrain_status;
+
+DROP TABLE terrain_status;
+ALTER TABLE terrain_status_new RENAME TO terrain_status;
+
+CREATE INDEX IF NOT EXISTS idx_terrain_resort_date ON terrain_status(resort_id, date);
+CREATE INDEX IF NOT EXISTS idx_terrain_name ON terrain_status(item_name);
+CREATE INDEX IF NOT EXISTS idx_terrain_grooming ON terrain_status(grooming_status);
+CREATE INDEX IF NOT EXISTS idx_terrain_item ON terrain_status(item_id, date);
+
+ALTER TABLE lift_status ADD COLUMN item_id INTEGER REFERENCES terrain_items(id);
+CREATE INDEX IF NOT EXISTS idx_lift_item ON lift_status(item_id, date);
@@ -0,0 +1,48 @@
+// Build the terrain catalog from existing history and link every
+// terrain_status and lift_status row to its catalog item.
+//
+// Trail rows keep the feed's trail Id in raw_data, so renamed runs and
+// same-named runs in different areas end up on separate items. Area names
+// aren't stored per row; they fill in on the next scrape.
+
+const { run, all, resolveTerrainItem } = require('../database');
+
+/**
+ * Parse a row's raw_data, falling back to just its name
+ */
+function parseRawItem(row, name) {
+  try {
+    return { ...JSON.parse(row.raw_data), Name: name };
+  } catch (e) {
+    return { Name: name };
+  }
+}
+
+async function up(db) {
+  // Oldest first, so the latest listing ends up as each item's current name
+  const terrainRows = await all(db, `
+    SELECT id, resort_id, date, item_name, item_type, raw_data
+    FROM terrain_status
+    ORDER BY date, id
+  `);
+
+  for (const row of terrainRows) {
+    const itemType = row.item_type === 'lift' ? 'lift' : 'trail';
+    const itemId = await resolveTerrainItem(db, row.resort_id, itemType, parseRawItem(row, row.item_name), row.date);
+    await run(db, 'UPDATE terrain_status SET item_id = ? WHERE id = ?', [itemId, row.id]);
+  }
+
+  const liftRows = await all(db, `
+    SELECT id, resort_id, date, lift_name, mountain, raw_data
+    FROM lift_status
+    ORDER BY date, id
+  `);
+
+  for (const row of liftRows) {
+    const lift = { ...parseRawItem(row, row.lift_name), areaName: row.mountain };
+    const itemId = await resolveTerrainItem(db, row.resort_id, 'lift', lift, row.date);
+    await run(db, 'UPDATE lift_status SET item_id = ? WHERE id = ?', [itemId, row.id]);
+  }
+}
+
+module.exports = { up };
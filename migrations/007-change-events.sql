@@ -0,0 +1,25 @@
+-- Change events detected between consecutive scrapes (see change-events.js).
+-- previous_value/current_value are '' rather than NULL when there is no value,
+-- so the UNIQUE key deduplicates re-scrapes of the same transition.
+
+CREATE TABLE IF NOT EXISTS events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  item_type TEXT NOT NULL,
+  item_id INTEGER,
+  item_key TEXT NOT NULL,
+  item_name TEXT,
+  area TEXT,
+  previous_value TEXT NOT NULL DEFAULT '',
+  current_value TEXT NOT NULL DEFAULT '',
+  detected_at TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  UNIQUE(resort_id, date, event_type, item_key, previous_value, current_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_resort_date ON events(resort_id, date);
+CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
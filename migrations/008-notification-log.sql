@@ -0,0 +1,16 @@
+-- Alerts delivered to each notification sink (see notifications.js), so the
+-- same alert isn't sent to the same sink twice on one day.
+
+CREATE TABLE IF NOT EXISTS notification_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER,
+  date TEXT NOT NULL,
+  subscription_id TEXT NOT NULL,
+  alert_key TEXT NOT NULL,
+  sink TEXT NOT NULL,
+  sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  UNIQUE(date, subscription_id, alert_key, sink)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_date ON notification_log(date);
@@ -0,0 +1,68 @@
+-- Lift wait-time samples imported from data/{resort}/lifts/{date}.ndjson
+-- (see lift-import.js), with per-lift hourly and daily rollups.
+
+CREATE TABLE IF NOT EXISTS lift_samples (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  timestamp TEXT NOT NULL,
+  local_time TEXT,
+  item_id INTEGER,
+  lift_name TEXT NOT NULL,
+  status TEXT,
+  lift_type TEXT,
+  wait_minutes INTEGER,
+  capacity INTEGER,
+  mountain TEXT,
+  open_time TEXT,
+  close_time TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  UNIQUE(resort_id, lift_name, timestamp)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lift_samples_resort_date ON lift_samples(resort_id, date);
+CREATE INDEX IF NOT EXISTS idx_lift_samples_item ON lift_samples(item_id);
+
+-- How far into each day's NDJSON file has been imported, in bytes
+CREATE TABLE IF NOT EXISTS lift_import_offsets (
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  byte_offset INTEGER NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  PRIMARY KEY (resort_id, date)
+);
+
+-- Waits are averaged over samples taken while the lift was open
+CREATE TABLE IF NOT EXISTS lift_hourly_stats (
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  lift_name TEXT NOT NULL,
+  hour INTEGER NOT NULL,
+  sample_count INTEGER NOT NULL,
+  open_sample_count INTEGER NOT NULL,
+  avg_wait_minutes REAL,
+  peak_wait_minutes INTEGER,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  PRIMARY KEY (resort_id, date, lift_name, hour)
+);
+
+CREATE TABLE IF NOT EXISTS lift_daily_stats (
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  lift_name TEXT NOT NULL,
+  item_id INTEGER,
+  sample_count INTEGER NOT NULL,
+  open_sample_count INTEGER NOT NULL,
+  avg_wait_minutes REAL,
+  peak_wait_minutes INTEGER,
+  peak_wait_time TEXT,
+  open_minutes INTEGER NOT NULL DEFAULT 0,
+  first_open_time TEXT,
+  last_open_time TEXT,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  PRIMARY KEY (resort_id, date, lift_name)
+);
@@ -0,0 +1,20 @@
+-- Posted versus observed operating hours per lift and day (see lift-schedules.js)
+
+CREATE TABLE IF NOT EXISTS lift_hours (
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  lift_name TEXT NOT NULL,
+  item_id INTEGER,
+  posted_open_time TEXT,
+  posted_close_time TEXT,
+  first_open_time TEXT,
+  last_open_time TEXT,
+  open_observed INTEGER NOT NULL DEFAULT 0,
+  close_observed INTEGER NOT NULL DEFAULT 0,
+  open_delay_minutes INTEGER,
+  close_offset_minutes INTEGER,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  PRIMARY KEY (resort_id, date, lift_name)
+);
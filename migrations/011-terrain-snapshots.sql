@@ -0,0 +1,22 @@
+-- Intraday terrain snapshots (schedule.intraday); terrain_status keeps the day's roll-up
+
+CREATE TABLE IF NOT EXISTS terrain_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  resort_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  snapshot_time TEXT NOT NULL,
+  captured_at DATETIME NOT NULL,
+  item_id INTEGER,
+  item_name TEXT NOT NULL,
+  item_type TEXT,
+  status TEXT,
+  grooming_status TEXT,
+  grooming_type TEXT,
+  raw_data TEXT,
+  FOREIGN KEY (resort_id) REFERENCES resorts(id),
+  FOREIGN KEY (item_id) REFERENCES terrain_items(id),
+  UNIQUE(resort_id, date, snapshot_time, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_terrain_snapshots_resort_date ON terrain_snapshots(resort_id, date, snapshot_time);
+CREATE INDEX IF NOT EXISTS idx_terrain_snapshots_item ON terrain_snapshots(item_id);
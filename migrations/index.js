@@ -0,0 +1,168 @@
+// migrations/index.js - Versioned schema migrations
+//
+// Each migration is a NNN-description.sql file in this directory, applied in
+// version order. Applied versions are recorded in the schema_version table, so
+// a migration only ever runs once per database. Each migration runs in its own
+// transaction together with its schema_version row.
+//
+// Data migrations that need code (e.g. slugs or JSON parsing) can be a
+// NNN-description.js file exporting `async up(db)` instead. They run in the
+// same transaction and must not start one of their own.
+//
+// Statements are split on a semicolon at the end of a line, so keep each
+// statement's closing `;` at the end of its last line. Databases created before
+// this runner existed may already have columns a migration adds, so
+// "duplicate column name" errors from ALTER TABLE ... ADD COLUMN are ignored.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = __dirname;
+
+/**
+ * Read the migration files, sorted by version
+ * `source` is the file contents, which is what a dry run prints
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(/^(\d+)-(.+)\.(sql|js)$/);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        type: match[3],
+        path: path.join(dir, file),
+        source: fs.readFileSync(path.join(dir, file), 'utf8')
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file} and ${migration.file}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Split a migration file into statements, dropping comment lines
+ */
+function splitStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;[ \t]*$/m)
+    .map(statement => statement.trim())
+    .filter(statement => statement.length > 0);
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Versions already applied to the database
+ * A missing schema_version table means nothing has been applied yet
+ */
+async function getAppliedVersions(db) {
+  try {
+    const rows = await all(db, 'SELECT version FROM schema_version');
+    return new Set(rows.map(row => row.version));
+  } catch (err) {
+    if (/no such table/i.test(err.message)) return new Set();
+    throw err;
+  }
+}
+
+/**
+ * Migrations not yet recorded in schema_version
+ */
+async function getPendingMigrations(db, dir = MIGRATIONS_DIR) {
+  const applied = db ? await getAppliedVersions(db) : new Set();
+  return loadMigrations(dir).filter(migration => !applied.has(migration.version));
+}
+
+/**
+ * Apply one migration and record it, rolling back if any statement fails
+ */
+async function applyMigration(db, migration) {
+  await run(db, 'BEGIN');
+
+  try {
+    if (migration.type === 'js') {
+      await require(migration.path).up(db);
+    }
+
+    const statements = migration.type === 'sql' ? splitStatements(migration.source) : [];
+    for (const statement of statements) {
+      try {
+        await run(db, statement);
+      } catch (err) {
+        const isAddColumn = /^ALTER\s+TABLE\s+\S+\s+ADD\s+COLUMN/i.test(statement);
+        if (!(isAddColumn && /duplicate column name/i.test(err.message))) {
+          throw err;
+        }
+      }
+    }
+
+    await run(db, 'INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    await run(db, 'COMMIT');
+  } catch (err) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    err.message = `Migration ${migration.file} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Bring the database up to the latest schema version
+ * With `dryRun`, nothing is changed and the pending migrations are only returned
+ * Resolves to the list of pending (or applied) migrations
+ */
+async function runMigrations(db, options = {}) {
+  const log = options.log || (() => {});
+
+  if (!options.dryRun) {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  const pending = await getPendingMigrations(db, options.dir);
+  if (options.dryRun) {
+    return pending;
+  }
+
+  for (const migration of pending) {
+    log(`Applying migration ${migration.file}`);
+    await applyMigration(db, migration);
+  }
+
+  return pending;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  splitStatements,
+  getPendingMigrations,
+  runMigrations
+};
@@ -0,0 +1,244 @@
+// mock-resort-server.js - Local stand-in for resort websites, serving recorded pages
+// Usage: node mock-resort-server.js [port]   (default 4100; used by e2e.js)
+//
+// Pages (GET):
+//   /vail/keystone/terrain   Vail-style page with FR.TerrainStatusFeed = keystone-data.json
+//   /vail/vail/terrain       Vail-style page with FR.TerrainStatusFeed = vail-data.json
+//   /vail/snow               Vail-style page with FR.snowReportData and FR.forecasts
+//                            from fixtures/vail/snow-report.json
+//   /mtnpowder/feed.json     MtnPowder JSON feed (fixtures/mtnpowder/feed.json)
+//
+// Query parameters change how a page is served, so a scenario is just a URL in
+// config.json:
+//   delay=<ms>              wait before responding
+//   status=<code>           respond with this HTTP status instead of the page
+//   failTimes=<n>           with status, only the first n requests for the URL fail
+//   drift=<name>            serve a changed payload (see DRIFTS)
+//   hours=all-day           post every lift's hours as 00:00-23:59, so lift-scraper.js
+//                           records them whatever the time
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DEFAULT_PORT = 4100;
+
+// Recorded payloads behind each page; `globals` maps a fixture to the FR
+// properties a Vail page assigns, pages without it are served as JSON
+const PAGES = {
+  '/vail/keystone/terrain': {
+    fixture: 'keystone-data.json',
+    globals: data => ({ TerrainStatusFeed: data })
+  },
+  '/vail/vail/terrain': {
+    fixture: 'vail-data.json',
+    globals: data => ({ TerrainStatusFeed: data })
+  },
+  '/vail/snow': {
+    fixture: path.join('fixtures', 'vail', 'snow-report.json'),
+    globals: data => ({ snowReportData: data.snowReportData, forecasts: data.forecasts })
+  },
+  '/mtnpowder/feed.json': {
+    fixture: path.join('fixtures', 'mtnpowder', 'feed.json')
+  }
+};
+
+/**
+ * Copy a value, replacing every value that `replace` returns something for
+ */
+function mapDeep(value, replace) {
+  const replaced = replace(value);
+  if (replaced !== undefined) return replaced;
+  if (Array.isArray(value)) return value.map(item => mapDeep(item, replace));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapDeep(item, replace)]));
+  }
+  return value;
+}
+
+// Ways a site's payload changes under us:
+//   string-flags    booleans sent as "true"/"false" (fails the schema checks)
+//   truncated       every list cut to its first item, like a partial page load
+//                   (passes the schemas, trips the anomaly checks)
+//   missing-global  the page is served without its data script (an empty feed
+//                   for JSON pages)
+const DRIFTS = {
+  'string-flags': data => mapDeep(data, value => (typeof value === 'boolean' ? String(value) : undefined)),
+  'truncated': truncateLists,
+  'missing-global': () => null
+};
+
+/**
+ * Cut every list in a payload down to its first item
+ */
+function truncateLists(data) {
+  return mapDeep(data, value => (Array.isArray(value) ? value.slice(0, 1).map(truncateLists) : undefined));
+}
+
+/**
+ * Post every lift's hours as all day, wherever lifts appear in the payload
+ */
+function postAllDayHours(data) {
+  return mapDeep(data, value => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && 'OpenTime' in value && 'CloseTime' in value) {
+      return { ...value, OpenTime: '00:00', CloseTime: '23:59' };
+    }
+    return undefined;
+  });
+}
+
+/**
+ * A Vail-style page assigning FR globals in an inline script
+ */
+function renderVailPage(globals) {
+  const assignments = Object.entries(globals || {})
+    .map(([name, value]) => `FR.${name} = ${JSON.stringify(value)};`)
+    .join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><title>Mock resort</title></head><body>',
+    '<script>var FR = window.FR || {};</script>',
+    assignments ? `<script>\n${assignments}\n</script>` : '',
+    '</body></html>'
+  ].join('\n');
+}
+
+/**
+ * Read a page's recorded payload from disk
+ */
+function loadFixture(page, fixturesRoot) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesRoot, page.fixture), 'utf8'));
+}
+
+/**
+ * Body and content type of a page with the query's drift and hours applied
+ */
+function renderPage(page, query, fixturesRoot) {
+  let data = loadFixture(page, fixturesRoot);
+  if (query.get('hours') === 'all-day') {
+    data = postAllDayHours(data);
+  }
+
+  const drift = query.get('drift');
+  if (drift && !DRIFTS[drift]) {
+    throw new Error(`Unknown drift "${drift}" (expected ${Object.keys(DRIFTS).join(', ')})`);
+  }
+
+  if (!page.globals) {
+    const body = drift ? DRIFTS[drift](data) : data;
+    return { contentType: 'application/json', body: JSON.stringify(body === null ? {} : body) };
+  }
+
+  const globals = drift === 'missing-global'
+    ? null
+    : page.globals(drift ? DRIFTS[drift](data) : data);
+  return { contentType: 'text/html; charset=utf-8', body: renderVailPage(globals) };
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * options.fixturesRoot: where PAGES' fixture paths are resolved (default: this directory)
+ * Every request is recorded in server.requests as { url, status } for assertions
+ */
+function createMockResortServer(options = {}) {
+  const fixturesRoot = options.fixturesRoot || __dirname;
+  // Requests seen per URL, for failTimes
+  const seen = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const page = PAGES[url.pathname];
+    const query = url.searchParams;
+
+    const count = (seen.get(req.url) || 0) + 1;
+    seen.set(req.url, count);
+
+    const respond = (status, contentType, body) => {
+      server.requests.push({ url: req.url, status });
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(body);
+    };
+
+    const delay = parseInt(query.get('delay'), 10);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (!page) {
+      respond(404, 'text/plain', `No mock page at ${url.pathname}`);
+      return;
+    }
+
+    const status = parseInt(query.get('status'), 10);
+    const failTimes = parseInt(query.get('failTimes'), 10);
+    if (status && (!failTimes || count <= failTimes)) {
+      respond(status, 'text/plain', `Mock failure (${status})`);
+      return;
+    }
+
+    try {
+      const { contentType, body } = renderPage(page, query, fixturesRoot);
+      respond(200, contentType, body);
+    } catch (e) {
+      respond(500, 'text/plain', e.message);
+    }
+  });
+
+  server.requests = [];
+  return server;
+}
+
+/**
+ * Start a mock server, resolving to { url, server, close }
+ * Port 0 (the default) picks a free port
+ */
+async function startMockResortServer(options = {}) {
+  const server = createMockResortServer(options);
+  const host = options.host || '127.0.0.1';
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    server,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+async function main() {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  const { url, close } = await startMockResortServer({ port });
+
+  console.log(`🏔️  Mock resort site listening on ${url}`);
+  Object.keys(PAGES).forEach(page => console.log(`   GET ${page}`));
+  console.log(`   Query: delay=<ms> status=<code> failTimes=<n> drift=${Object.keys(DRIFTS).join('|')} hours=all-day`);
+
+  const shutdown = async () => {
+    await close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Mock server failed to start:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockResortServer,
+  startMockResortServer,
+  renderVailPage,
+  PAGES,
+  DRIFTS
+};
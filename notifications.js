@@ -0,0 +1,289 @@
+// notifications.js - Grooming and powder alerts for subscribed runs, lifts and resorts
+//
+// Subscriptions live in the file named by notifications.subscriptionsFile in
+// config.json (subscriptions.json by default; see subscriptions.example.json).
+// With no subscriptions file, notifications are off. The file holds:
+//   sinks          - named destinations, each with a `type` (see notifiers/)
+//   subscriptions  - { id, resort, trail | lift, condition, minInches, sinks: [names] }
+//
+// Conditions:
+//   groomed              trail (catalog slug) is groomed in today's scrape
+//   trail_open           trail is open in today's scrape
+//   lift_open            lift (name or slug) is Open in today's scrape
+//   lift_status_changed  lift changed status since the previous scrape (change events)
+//   new_snow             24-hour snowfall is at least minInches (default: changes.newSnowThresholdInches)
+//
+// Each alert is delivered to each of its sinks at most once per day; a sink
+// that fails is tried again the next time the condition matches that day.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { sendAlert } = require('./notifiers');
+const {
+  getTerrainItem,
+  getFeedKey,
+  slugifyItemName,
+  wasNotificationSent,
+  recordNotificationSent
+} = require('./database');
+const { DEFAULT_NEW_SNOW_THRESHOLD_INCHES } = require('./change-events');
+
+const DEFAULT_SUBSCRIPTIONS_FILE = 'subscriptions.json';
+
+// Condition -> what the subscription has to name
+const CONDITIONS = {
+  groomed: 'trail',
+  trail_open: 'trail',
+  lift_open: 'lift',
+  lift_status_changed: 'lift',
+  new_snow: 'resort'
+};
+
+/**
+ * Stable id for a subscription: its `id`, or a hash of its contents
+ */
+function getSubscriptionId(subscription) {
+  if (subscription.id) {
+    return String(subscription.id);
+  }
+  return crypto.createHash('sha1').update(JSON.stringify(subscription)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Check a subscriptions file's contents
+ * Returns a list of problems (empty when every subscription is usable)
+ */
+function checkSubscriptions(setup) {
+  const problems = [];
+  const sinks = (setup && setup.sinks) || {};
+
+  Object.keys(sinks).forEach(name => {
+    if (!sinks[name] || !sinks[name].type) problems.push(`sink "${name}" has no type`);
+  });
+
+  ((setup && setup.subscriptions) || []).forEach((subscription, i) => {
+    const label = `subscriptions[${i}]${subscription.id ? ` (${subscription.id})` : ''}`;
+    const target = CONDITIONS[subscription.condition];
+
+    if (!subscription.resort) problems.push(`${label} has no resort`);
+    if (!target) {
+      problems.push(`${label} has unknown condition "${subscription.condition}". Available conditions: ${Object.keys(CONDITIONS).join(', ')}`);
+    } else if (target !== 'resort' && !subscription[target]) {
+      problems.push(`${label} needs a ${target} for condition ${subscription.condition}`);
+    }
+    if (!Array.isArray(subscription.sinks) || subscription.sinks.length === 0) {
+      problems.push(`${label} has no sinks`);
+    }
+    (subscription.sinks || []).forEach(name => {
+      if (!sinks[name]) problems.push(`${label} uses unknown sink "${name}"`);
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Read the subscriptions file, or null when there isn't one
+ */
+function loadSubscriptions(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const setup = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    sinks: setup.sinks || {},
+    subscriptions: setup.subscriptions || []
+  };
+}
+
+/**
+ * Build an alert for a matched subscription
+ */
+function createAlert(subscription, context, fields) {
+  return {
+    key: fields.key,
+    subscriptionId: getSubscriptionId(subscription),
+    condition: subscription.condition,
+    resort: context.resortKey,
+    resortName: context.resortName,
+    date: context.date,
+    title: fields.title,
+    text: fields.text,
+    item: fields.item || null,
+    value: fields.value === undefined ? null : fields.value,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Whether a lift subscription names this lift (by name or slug)
+ */
+function isSubscribedLift(subscription, liftName) {
+  const wanted = String(subscription.lift).toLowerCase();
+  return wanted === String(liftName).toLowerCase() || wanted === slugifyItemName(liftName);
+}
+
+/**
+ * Alerts for the subscriptions that match one resort's scrape
+ * `context` holds resortKey, resortName, date and whatever was scraped:
+ *   terrain     - normalized terrain data
+ *   trailSlugs  - Map of trail feed key -> catalog slug
+ *   events      - change events from change-events.js
+ *   snow        - cleaned snow report
+ */
+function findAlerts(subscriptions, context, options = {}) {
+  const snowThreshold = options.newSnowThresholdInches ?? DEFAULT_NEW_SNOW_THRESHOLD_INCHES;
+  const alerts = [];
+
+  subscriptions
+    .filter(subscription => subscription.resort === context.resortKey)
+    .forEach(subscription => {
+      const condition = subscription.condition;
+
+      if ((condition === 'groomed' || condition === 'trail_open') && context.terrain) {
+        (context.terrain.GroomingAreas || []).forEach(area => {
+          (area.Trails || []).forEach(trail => {
+            const key = getFeedKey(trail);
+            const slug = (context.trailSlugs && context.trailSlugs.get(key)) || slugifyItemName(trail.Name);
+            if (slug !== subscription.trail) return;
+
+            const isMatch = condition === 'groomed' ? trail.IsGroomed : trail.IsOpen;
+            if (!isMatch) return;
+
+            alerts.push(createAlert(subscription, context, {
+              key: `${condition}|${key}`,
+              title: condition === 'groomed'
+                ? `${trail.Name} was groomed at ${context.resortName}`
+                : `${trail.Name} is open at ${context.resortName}`,
+              text: `${trail.Name} (${area.Name}${trail.Difficulty ? `, ${trail.Difficulty}` : ''}) is ${condition === 'groomed' ? 'groomed' : 'open'} today.`,
+              item: { type: 'trail', key, slug, name: trail.Name, area: area.Name }
+            }));
+          });
+        });
+      }
+
+      if (condition === 'lift_open' && context.terrain) {
+        (context.terrain.Lifts || []).forEach(lift => {
+          if (lift.Status !== 'Open' || !isSubscribedLift(subscription, lift.Name)) return;
+
+          alerts.push(createAlert(subscription, context, {
+            key: `${condition}|${getFeedKey(lift)}`,
+            title: `${lift.Name} is open at ${context.resortName}`,
+            text: `${lift.Name}${lift.Mountain ? ` (${lift.Mountain})` : ''} is open.`,
+            item: { type: 'lift', key: getFeedKey(lift), name: lift.Name, area: lift.Mountain || null },
+            value: lift.Status
+          }));
+        });
+      }
+
+      if (condition === 'lift_status_changed') {
+        (context.events || []).forEach(event => {
+          if (event.type !== 'lift_status_changed' || !isSubscribedLift(subscription, event.name)) return;
+
+          alerts.push(createAlert(subscription, context, {
+            key: `${condition}|${event.itemKey}|${event.from}|${event.to}`,
+            title: `${event.name} at ${context.resortName}: ${event.from} → ${event.to}`,
+            text: `${event.name} changed from ${event.from} to ${event.to}.`,
+            item: { type: 'lift', key: event.itemKey, name: event.name, area: event.area },
+            value: event.to
+          }));
+        });
+      }
+
+      if (condition === 'new_snow' && context.snow && context.snow.snowfall) {
+        // A report without a 24-hour total (null) never alerts
+        const inches = context.snow.snowfall['24hour_inches'];
+        const minInches = subscription.minInches !== undefined ? Number(subscription.minInches) : snowThreshold;
+        if (typeof inches !== 'number' || inches < minInches) return;
+
+        alerts.push(createAlert(subscription, context, {
+          key: `${condition}|${minInches}`,
+          title: `${inches}" of new snow at ${context.resortName}`,
+          text: `${inches}" (${context.snow.snowfall['24hour_cm'] ?? '?'}cm) in the last 24 hours. Base depth ${context.snow.baseDepth?.inches ?? '?'}".`,
+          value: inches
+        }));
+      }
+    });
+
+  return alerts;
+}
+
+/**
+ * Map of trail feed key -> catalog slug for the trails in a terrain feed
+ */
+async function getTrailSlugs(db, resortId, terrain) {
+  const slugs = new Map();
+  if (!db || !resortId || !terrain) {
+    return slugs;
+  }
+
+  for (const area of terrain.GroomingAreas || []) {
+    for (const trail of area.Trails || []) {
+      const item = await getTerrainItem(db, resortId, 'trail', trail);
+      if (item) slugs.set(getFeedKey(trail), item.slug);
+    }
+  }
+
+  return slugs;
+}
+
+/**
+ * Deliver the alerts that match a scrape to their subscriptions' sinks
+ * `setup` defaults to the configured subscriptions file; nothing happens without one
+ * Resolves to the number of deliveries; delivery errors are logged, not thrown
+ */
+async function dispatchNotifications(db, resortId, context, options = {}) {
+  const setup = options.setup || loadSubscriptions(options.subscriptionsFile || DEFAULT_SUBSCRIPTIONS_FILE);
+  if (!setup) {
+    return 0;
+  }
+
+  const problems = checkSubscriptions(setup);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`  ⚠️  Notifications: ${problem}`));
+    return 0;
+  }
+
+  const resortSubscriptions = setup.subscriptions.filter(s => s.resort === context.resortKey);
+  if (resortSubscriptions.length === 0) {
+    return 0;
+  }
+
+  const needsSlugs = resortSubscriptions.some(s => CONDITIONS[s.condition] === 'trail');
+  const trailSlugs = needsSlugs ? await getTrailSlugs(db, resortId, context.terrain) : new Map();
+  const alerts = findAlerts(resortSubscriptions, { ...context, trailSlugs }, options);
+  const subscriptionsById = new Map(resortSubscriptions.map(s => [getSubscriptionId(s), s]));
+
+  let delivered = 0;
+  for (const alert of alerts) {
+    for (const sinkName of subscriptionsById.get(alert.subscriptionId).sinks) {
+      if (db && await wasNotificationSent(db, context.date, alert.subscriptionId, alert.key, sinkName)) {
+        continue;
+      }
+
+      try {
+        await sendAlert(alert, setup.sinks[sinkName]);
+        delivered++;
+        console.log(`📣 Sent "${alert.title}" to ${sinkName}`);
+        if (db) {
+          await recordNotificationSent(db, resortId, context.date, alert.subscriptionId, alert.key, sinkName);
+        }
+      } catch (err) {
+        console.error(`  ⚠️  Notification to ${sinkName} failed: ${err.message}`);
+      }
+    }
+  }
+
+  return delivered;
+}
+
+module.exports = {
+  CONDITIONS,
+  DEFAULT_SUBSCRIPTIONS_FILE,
+  getSubscriptionId,
+  checkSubscriptions,
+  loadSubscriptions,
+  findAlerts,
+  dispatchNotifications
+};
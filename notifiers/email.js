@@ -0,0 +1,40 @@
+// notifiers/email.js - Email over SMTP
+// Sink settings: host, port (default 587), secure (TLS from the start, usually
+// port 465), user/pass (or userEnv/passEnv), from, to (address or list) and an
+// optional subjectPrefix.
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_SUBJECT_PREFIX = '[Ski Alert]';
+
+/**
+ * Send the alert as a plain-text email
+ */
+async function send(alert, sink) {
+  if (!sink.host || !sink.from || !sink.to) {
+    throw new Error('email sink needs host, from and to');
+  }
+
+  const transport = nodemailer.createTransport({
+    host: sink.host,
+    port: sink.port || 587,
+    secure: !!sink.secure,
+    auth: sink.user ? { user: sink.user, pass: sink.pass } : undefined
+  });
+
+  try {
+    await transport.sendMail({
+      from: sink.from,
+      to: sink.to,
+      subject: `${sink.subjectPrefix || DEFAULT_SUBJECT_PREFIX} ${alert.title}`,
+      text: `${alert.text}\n\n${alert.resortName} - ${alert.date}`
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  type: 'email',
+  send
+};
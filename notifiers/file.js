@@ -0,0 +1,23 @@
+// notifiers/file.js - Local file outbox
+// Appends each alert as one JSON line to {dir}/{date}.ndjson (default dir: outbox/),
+// for local runs and for anything that would rather tail a file than run a server.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_DIR = 'outbox';
+
+/**
+ * Append the alert to the day's outbox file
+ */
+async function send(alert, sink) {
+  const dir = sink.dir || DEFAULT_OUTBOX_DIR;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, `${alert.date}.ndjson`), JSON.stringify(alert) + '\n');
+}
+
+module.exports = {
+  type: 'file',
+  send,
+  DEFAULT_OUTBOX_DIR
+};
@@ -0,0 +1,33 @@
+// notifiers/http.js - JSON POST helper shared by the webhook and Slack notifiers
+
+const USER_AGENT = 'ski-run-scraper-notifier';
+const POST_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON body, rejecting on a non-2xx response
+ * Errors name only the host, since webhook URLs often embed their secret
+ */
+async function postJson(url, body, headers = {}) {
+  if (!url) {
+    throw new Error('sink has no url');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      ...headers
+    },
+    body,
+    signal: AbortSignal.timeout(POST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  }
+}
+
+module.exports = {
+  postJson
+};
@@ -0,0 +1,62 @@
+// notifiers/index.js - Notification sink registry
+//
+// Each sink in the subscriptions file picks a notifier with its `type`.
+// A notifier exports:
+//   type                  - name used in the subscriptions file
+//   send(alert, sink)     - delivers one alert, rejecting when delivery fails
+//
+// Any sink setting can be read from the environment instead by naming the
+// variable with an `Env` suffix (e.g. "secretEnv": "SKI_WEBHOOK_SECRET" sets
+// `secret`), so signing keys, Slack URLs and SMTP passwords stay out of the file.
+
+const webhook = require('./webhook');
+const slack = require('./slack');
+const email = require('./email');
+const file = require('./file');
+
+const NOTIFIERS = [webhook, slack, email, file].reduce((acc, notifier) => {
+  acc[notifier.type] = notifier;
+  return acc;
+}, {});
+
+/**
+ * Get the notifier for a sink's type
+ */
+function getNotifier(sink) {
+  const notifier = NOTIFIERS[sink.type];
+
+  if (!notifier) {
+    throw new Error(`Unknown sink type "${sink.type}". Available types: ${Object.keys(NOTIFIERS).join(', ')}`);
+  }
+
+  return notifier;
+}
+
+/**
+ * Copy of a sink with `{name}Env` settings replaced by the environment values
+ */
+function resolveSink(sink, env = process.env) {
+  return Object.keys(sink).reduce((acc, key) => {
+    const match = key.match(/^(.+)Env$/);
+    if (match) {
+      if (env[sink[key]] !== undefined) acc[match[1]] = env[sink[key]];
+    } else if (acc[key] === undefined) {
+      acc[key] = sink[key];
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Deliver one alert through a sink
+ */
+function sendAlert(alert, sink) {
+  return getNotifier(sink).send(alert, resolveSink(sink));
+}
+
+module.exports = {
+  getNotifier,
+  resolveSink,
+  sendAlert,
+  NOTIFIERS
+};
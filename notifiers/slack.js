@@ -0,0 +1,33 @@
+// notifiers/slack.js - Slack-compatible incoming webhook
+// Posts { text } (plus optional channel/username/icon_emoji), which Slack and
+// Slack-compatible services (Mattermost, Discord's /slack endpoint) accept.
+
+const { postJson } = require('./http');
+
+/**
+ * Build the message body for an alert
+ */
+function formatMessage(alert, sink = {}) {
+  const message = {
+    text: `*${alert.title}*\n${alert.text}`
+  };
+
+  ['channel', 'username', 'icon_emoji'].forEach(field => {
+    if (sink[field]) message[field] = sink[field];
+  });
+
+  return message;
+}
+
+/**
+ * POST the alert to the sink's incoming webhook url
+ */
+async function send(alert, sink) {
+  await postJson(sink.url, JSON.stringify(formatMessage(alert, sink)));
+}
+
+module.exports = {
+  type: 'slack',
+  send,
+  formatMessage
+};
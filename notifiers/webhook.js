@@ -0,0 +1,37 @@
+// notifiers/webhook.js - Generic JSON webhook with HMAC signing
+// The body is { type: "ski.alert", alert }. With a `secret`, the request carries
+// X-Ski-Signature: sha256=<hex HMAC-SHA256 of the raw body>, which receivers
+// should recompute and compare before trusting the payload.
+
+const crypto = require('crypto');
+const { postJson } = require('./http');
+
+const SIGNATURE_HEADER = 'X-Ski-Signature';
+
+/**
+ * Signature header value for a raw body
+ */
+function signPayload(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * POST the alert to the sink's url
+ */
+async function send(alert, sink) {
+  const body = JSON.stringify({ type: 'ski.alert', alert });
+  const headers = { 'X-Ski-Event': alert.condition };
+
+  if (sink.secret) {
+    headers[SIGNATURE_HEADER] = signPayload(body, sink.secret);
+  }
+
+  await postJson(sink.url, body, headers);
+}
+
+module.exports = {
+  type: 'webhook',
+  send,
+  signPayload,
+  SIGNATURE_HEADER
+};
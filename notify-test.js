@@ -0,0 +1,243 @@
+// notify-test.js - Check the notification pipeline without a real webhook, Slack or mail server
+// Usage:
+//   node notify-test.js         run every sink type against local HTTP and SMTP stand-ins
+//   node notify-test.js --live  send one test alert to each sink in the configured subscriptions file
+//
+// The stand-in run matches subscriptions against the MtnPowder fixture, delivers
+// through the webhook, Slack, email and file notifiers, verifies the webhook's
+// HMAC signature and checks that a second dispatch the same day sends nothing.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const sqlite3 = require('sqlite3');
+const { runMigrations } = require('./migrations');
+const { getOrCreateResort, saveTerrainStatus, getTerrainItem, closeDatabase } = require('./database');
+const { getAdapter } = require('./adapters');
+const { sendAlert } = require('./notifiers');
+const { signPayload, SIGNATURE_HEADER } = require('./notifiers/webhook');
+const { dispatchNotifications, loadSubscriptions, DEFAULT_SUBSCRIPTIONS_FILE } = require('./notifications');
+const { loadConfig } = require('./config-validation');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'mtnpowder', 'feed.json');
+const TEST_SECRET = 'notify-test-secret';
+
+/**
+ * Local HTTP server standing in for webhook receivers
+ * Records every request; POSTs to /fail get a 500
+ */
+function startHttpStandIn(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/fail' ? 500 : 200, { 'Content-Type': 'text/plain' });
+      res.end(req.url === '/fail' ? 'error' : 'ok');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Local SMTP server that accepts every message and records its DATA
+ */
+function startSmtpStandIn(messages) {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+
+    socket.write('220 localhost notify-test SMTP stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (message !== null) {
+          if (line === '.') {
+            messages.push(message);
+            message = null;
+            socket.write('250 OK\r\n');
+          } else {
+            message += line + '\n';
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'DATA') {
+          message = '';
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Run every sink type against the local stand-ins
+ * Resolves to the list of failed checks
+ */
+async function runStandInTest() {
+  const requests = [];
+  const emails = [];
+  const httpServer = await startHttpStandIn(requests);
+  const smtpServer = await startSmtpStandIn(emails);
+  const httpUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-test-'));
+
+  const db = new sqlite3.Database(':memory:');
+  const failures = [];
+  const check = (ok, label) => {
+    console.log(`   ${ok ? '✓' : '✗'} ${label}`);
+    if (!ok) failures.push(label);
+  };
+
+  try {
+    await runMigrations(db);
+
+    const date = new Date().toISOString().slice(0, 10);
+    const resort = { key: 'fixture', name: 'Fixture Mountain', platform: 'mtnpowder', timezone: 'America/Denver' };
+    const resortId = await getOrCreateResort(db, resort.key, resort.name, resort.timezone);
+    const terrain = getAdapter(resort).normalizeTerrain(JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8')), resort);
+
+    // Subscribe by catalog slug, as a real subscriptions file would
+    await saveTerrainStatus(db, resortId, date, { FMR: terrain });
+    const groomed = terrain.GroomingAreas.flatMap(area => area.Trails).find(trail => trail.IsGroomed);
+    const trailSlug = (await getTerrainItem(db, resortId, 'trail', groomed)).slug;
+
+    const setup = {
+      sinks: {
+        webhook: { type: 'webhook', url: `${httpUrl}/webhook`, secret: TEST_SECRET },
+        slack: { type: 'slack', url: `${httpUrl}/slack` },
+        email: { type: 'email', host: '127.0.0.1', port: smtpServer.address().port, from: 'alerts@localhost', to: 'team@localhost' },
+        outbox: { type: 'file', dir: outboxDir },
+        broken: { type: 'webhook', url: `${httpUrl}/fail` }
+      },
+      subscriptions: [
+        { id: 'groomed', resort: resort.key, trail: trailSlug, condition: 'groomed', sinks: ['webhook', 'slack', 'email', 'outbox'] },
+        { id: 'powder', resort: resort.key, condition: 'new_snow', minInches: 6, sinks: ['webhook', 'broken'] }
+      ]
+    };
+
+    const context = {
+      resortKey: resort.key,
+      resortName: resort.name,
+      date,
+      terrain,
+      snow: { snowfall: { '24hour_inches': 8, '24hour_cm': 20 }, baseDepth: { inches: 40 } }
+    };
+
+    console.log(`\n📨 Dispatching "${groomed.Name}" grooming and powder alerts to the stand-ins...`);
+    const delivered = await dispatchNotifications(db, resortId, context, { setup });
+
+    console.log('\n🔎 Checks:');
+    check(delivered === 5, `5 deliveries on the first dispatch (got ${delivered})`);
+
+    const webhooks = requests.filter(r => r.path === '/webhook');
+    check(webhooks.length === 2, 'webhook received the grooming and powder alerts');
+    check(webhooks.every(r => r.headers[SIGNATURE_HEADER.toLowerCase()] === signPayload(r.body, TEST_SECRET)),
+      `webhook ${SIGNATURE_HEADER} matches the HMAC of the body`);
+
+    const slack = requests.find(r => r.path === '/slack');
+    check(!!slack && JSON.parse(slack.body).text.includes(groomed.Name), 'Slack message names the groomed trail');
+
+    check(emails.length === 1 && emails[0].includes(groomed.Name), 'SMTP stand-in received the grooming email');
+
+    const outboxFile = path.join(outboxDir, `${date}.ndjson`);
+    check(fs.existsSync(outboxFile) && fs.readFileSync(outboxFile, 'utf8').trim().split('\n').length === 1,
+      'file outbox has one alert line');
+
+    check(requests.some(r => r.path === '/fail'), 'failing sink was attempted');
+
+    const requestsBefore = requests.length;
+    const redelivered = await dispatchNotifications(db, resortId, context, { setup });
+    check(redelivered === 0, `second dispatch the same day sends nothing new (got ${redelivered})`);
+    check(requests.length === requestsBefore + 1 && requests[requests.length - 1].path === '/fail',
+      'only the failed sink is retried');
+  } finally {
+    await closeDatabase(db);
+    await new Promise(resolve => httpServer.close(resolve));
+    await new Promise(resolve => smtpServer.close(resolve));
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  }
+
+  return failures;
+}
+
+/**
+ * Send one test alert to every sink in the configured subscriptions file
+ * Resolves to the list of sinks that failed
+ */
+async function runLiveTest() {
+  const config = loadConfig();
+  const file = (config.notifications && config.notifications.subscriptionsFile) || DEFAULT_SUBSCRIPTIONS_FILE;
+  const setup = loadSubscriptions(file);
+
+  if (!setup) {
+    console.error(`❌ No subscriptions file at ${file} (see subscriptions.example.json)`);
+    return ['subscriptions file'];
+  }
+
+  const alert = {
+    key: 'test',
+    subscriptionId: 'notify-test',
+    condition: 'test',
+    resort: 'test',
+    resortName: 'Ski Run Scraper',
+    date: new Date().toISOString().slice(0, 10),
+    title: 'Test alert',
+    text: 'This is a test alert from notify-test.js.',
+    item: null,
+    value: null,
+    createdAt: new Date().toISOString()
+  };
+
+  const failures = [];
+  for (const [name, sink] of Object.entries(setup.sinks)) {
+    try {
+      await sendAlert(alert, sink);
+      console.log(`   ✓ ${name} (${sink.type})`);
+    } catch (err) {
+      console.log(`   ✗ ${name} (${sink.type}): ${err.message}`);
+      failures.push(name);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const live = process.argv.includes('--live');
+  console.log(live ? '📣 Sending a test alert to the configured sinks...' : '🧪 Testing notification sinks against local stand-ins');
+
+  const failures = live ? await runLiveTest() : await runStandInTest();
+
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ All notification checks passed');
+}
+
+main().catch(err => {
+  console.error('❌ Notification test failed:', err.message);
+  process.exit(1);
+});
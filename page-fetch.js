@@ -0,0 +1,281 @@
+// page-fetch.js - Fetch resort pages over plain HTTP and pull FR globals out of the HTML
+// Vail pages embed FR.TerrainStatusFeed / FR.snowReportData as script literals,
+// so most runs don't need a headless browser at all. The literals are parsed,
+// never executed: page scripts (and replayed captures) are untrusted input.
+
+const fs = require('fs');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch a page body as text
+ * Local file paths are read from disk so saved pages and fixtures can stand in
+ */
+async function fetchPage(url, options = {}) {
+  if (!/^https?:\/\//.test(url)) {
+    return fs.readFileSync(url, 'utf8');
+  }
+
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': options.accept || 'text/html,application/xhtml+xml'
+    },
+    signal: AbortSignal.timeout(options.timeoutMs || FETCH_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching ${url}`);
+  }
+
+  return response.text();
+}
+
+/**
+ * Get the bodies of all inline <script> tags
+ */
+function getInlineScripts(html) {
+  const scripts = [];
+  const pattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    if (!/\bsrc\s*=/i.test(match[1])) {
+      scripts.push(match[2]);
+    }
+  }
+
+  return scripts;
+}
+
+// Escapes in JavaScript strings, besides \uXXXX and \xXX
+const STRING_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+// Bare words a literal may contain (undefined is read as null, as JSON.stringify would)
+const LITERAL_WORDS = { true: true, false: false, null: null, undefined: null };
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+/**
+ * Read one JavaScript object/array/string/number literal starting at `start`,
+ * without running anything. Besides JSON this accepts what page scripts write:
+ * unquoted keys, single-quoted and template strings, trailing commas and
+ * comments. Calls, variables and other expressions throw a SyntaxError.
+ * Returns { value, end } with end just past the literal
+ */
+function readLiteral(source, start) {
+  let pos = start;
+
+  const fail = message => {
+    throw new SyntaxError(`${message} at position ${pos}`);
+  };
+
+  const skipSpace = () => {
+    for (;;) {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+      if (source.startsWith('//', pos)) {
+        const end = source.indexOf('\n', pos);
+        pos = end === -1 ? source.length : end;
+      } else if (source.startsWith('/*', pos)) {
+        const end = source.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readPattern = pattern => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(source);
+    if (!match) return null;
+    pos = pattern.lastIndex;
+    return match[0];
+  };
+
+  const readString = () => {
+    const quote = source[pos++];
+    let result = '';
+
+    while (pos < source.length && source[pos] !== quote) {
+      const char = source[pos++];
+      if (char === '\\') {
+        const escaped = source[pos++];
+        if (escaped === 'u' || escaped === 'x') {
+          const length = escaped === 'u' ? 4 : 2;
+          const hex = source.slice(pos, pos + length);
+          if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) fail('Invalid escape');
+          result += String.fromCharCode(parseInt(hex, 16));
+          pos += length;
+        } else if (escaped === '\r' || escaped === '\n') {
+          // Line continuation
+          if (escaped === '\r' && source[pos] === '\n') pos++;
+        } else {
+          result += escaped in STRING_ESCAPES ? STRING_ESCAPES[escaped] : escaped;
+        }
+      } else if (quote === '`' && char === '$' && source[pos] === '{') {
+        fail('Template string with an expression');
+      } else if (quote !== '`' && char === '\n') {
+        fail('Unterminated string');
+      } else {
+        result += char;
+      }
+    }
+
+    if (pos >= source.length) fail('Unterminated string');
+    pos++;
+    return result;
+  };
+
+  const setProperty = (target, key, value) => {
+    // defineProperty so a "__proto__" key is data, not a prototype change
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+  };
+
+  let readValue;
+
+  const readObject = () => {
+    const result = {};
+    pos++;
+
+    for (;;) {
+      skipSpace();
+      if (source[pos] === '}') {
+        pos++;
+        return result;
+      }
+
+      const key = source[pos] === '"' || source[pos] === "'"
+        ? readString()
+        : readPattern(IDENTIFIER_PATTERN) ?? readPattern(NUMBER_PATTERN);
+      if (key === null) fail('Expected a property name');
+
+      skipSpace();
+      if (source[pos] !== ':') fail('Expected ":"');
+      pos++;
+      setProperty(result, key, readValue());
+
+      skipSpace();
+      if (source[pos] === ',') {
+        pos++;
+      } else if (source[pos] !== '}') {
+        fail('Expected "," or "}"');
+      }
+    }
+  };
+
+  const readArray = () => {
+    const result = [];
+    pos++;
+
+    for (;;) {
+      skipSpace();
+      if (source[pos] === ']') {
+        pos++;
+        return result;
+      }
+
+      result.push(readValue());
+
+      skipSpace();
+      if (source[pos] === ',') {
+        pos++;
+      } else if (source[pos] !== ']') {
+        fail('Expected "," or "]"');
+      }
+    }
+  };
+
+  readValue = () => {
+    skipSpace();
+    const char = source[pos];
+    if (char === '{') return readObject();
+    if (char === '[') return readArray();
+    if (char === '"' || char === "'" || char === '`') return readString();
+
+    const number = readPattern(NUMBER_PATTERN);
+    if (number !== null) return Number(number);
+
+    const word = readPattern(IDENTIFIER_PATTERN);
+    if (word !== null && Object.prototype.hasOwnProperty.call(LITERAL_WORDS, word)) {
+      return LITERAL_WORDS[word];
+    }
+    return fail(word ? `Unexpected identifier ${word}` : 'Unexpected token');
+  };
+
+  const value = readValue();
+  return { value, end: pos };
+}
+
+/**
+ * Read the value assigned at `start`: an object/array literal, or
+ * JSON.parse("...") of a string literal. Returns undefined for anything else
+ */
+function readAssignedValue(script, start) {
+  if (script[start] === '{' || script[start] === '[') {
+    return readLiteral(script, start).value;
+  }
+
+  const call = /JSON\s*\.\s*parse\s*\(\s*/y;
+  call.lastIndex = start;
+  if (!call.exec(script) || !`"'\``.includes(script[call.lastIndex])) {
+    return undefined;
+  }
+
+  const { value, end } = readLiteral(script, call.lastIndex);
+  if (!/^\s*\)/.test(script.slice(end, end + 64))) {
+    return undefined;
+  }
+  return JSON.parse(value);
+}
+
+/**
+ * Look for `FR.name = {...}` (or `FR["name"] = [...]`, or `FR.name = JSON.parse("...")`)
+ * and parse the value. Page code is never run - a value that isn't a literal is skipped
+ */
+function extractAssignedLiteral(script, name) {
+  const pattern = new RegExp(`\\bFR\\s*(?:\\.\\s*${name}|\\[\\s*["']${name}["']\\s*\\])\\s*=(?!=)\\s*`, 'g');
+  let match;
+
+  while ((match = pattern.exec(script)) !== null) {
+    try {
+      const value = readAssignedValue(script, match.index + match[0].length);
+      if (value !== undefined) return value;
+    } catch (e) {
+      // Not a plain literal - try the next assignment
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Extract FR globals from page HTML
+ * Returns an object with an entry for each name that was found
+ */
+function extractFrGlobals(html, names) {
+  const found = {};
+  const scripts = getInlineScripts(html)
+    .filter(script => names.some(name => script.includes(name)));
+
+  for (const name of names) {
+    for (const script of scripts) {
+      if (!script.includes(name)) continue;
+
+      const value = extractAssignedLiteral(script, name);
+      if (value !== undefined && value !== null) {
+        found[name] = value;
+        break;
+      }
+    }
+  }
+
+  return found;
+}
+
+module.exports = {
+  fetchPage,
+  extractFrGlobals,
+  USER_AGENT
+};
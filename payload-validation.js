@@ -0,0 +1,106 @@
+// payload-validation.js - JSON Schema checks for scraped payloads and the files made from them
+//
+// Schemas live in schemas/: the feeds as adapters return them (terrain-feed,
+// snow-feed, lift-feed) and what we write ourselves (snow-report, lift-record;
+// daily terrain files keep the terrain-feed shape). A payload that fails is
+// moved to data/_quarantine/{resort}/ instead of being saved, so the previous
+// good files, latest.json entries and database rows stay in place.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { ScrapeError, FAILURE_TYPES } = require('./retry');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+const QUARANTINE_DIR = path.join('data', '_quarantine');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+fs.readdirSync(SCHEMA_DIR)
+  .filter(f => f.endsWith('.schema.json'))
+  .forEach(f => ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, f), 'utf8'))));
+
+/**
+ * Turn an Ajv instance path ("/GroomingAreas/0/Name") into "GroomingAreas[0].Name"
+ */
+function formatInstancePath(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '') || 'payload';
+}
+
+/**
+ * Check data against a schema in schemas/ (name without .schema.json)
+ * Returns a list of problems (empty when it matches)
+ */
+function validatePayload(schemaName, data) {
+  const validate = ajv.getSchema(`${schemaName}.schema.json`);
+  if (!validate) {
+    throw new Error(`Unknown schema "${schemaName}"`);
+  }
+
+  if (validate(data)) {
+    return [];
+  }
+  return validate.errors.map(error => `${formatInstancePath(error.instancePath)} ${error.message}`);
+}
+
+/**
+ * Throw a schema_mismatch ScrapeError (carrying the problems) unless data matches a schema
+ * Returns the data so it can be used inline
+ */
+function assertValid(schemaName, data, label = schemaName) {
+  const problems = validatePayload(schemaName, data);
+  if (problems.length > 0) {
+    const error = new ScrapeError(FAILURE_TYPES.SCHEMA_MISMATCH, `${label} has unexpected shape: ${problems.slice(0, 3).join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Save a rejected payload with its problems, returning the file's path
+ * Files are data/_quarantine/{resort}/{kind}-{timestamp}.json
+ */
+function quarantinePayload(resortKey, kind, payload, problems, now = new Date()) {
+  const dir = path.join(QUARANTINE_DIR, resortKey);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, `${kind}-${now.toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    resort: resortKey,
+    kind,
+    quarantinedAt: now.toISOString(),
+    problems,
+    payload: payload === undefined ? null : payload
+  }, null, 2));
+  return file;
+}
+
+/**
+ * Run a check, quarantining `payload` when it throws a schema_mismatch
+ * The error is rethrown with the quarantine file as `error.quarantined`
+ */
+function quarantineOnMismatch(resortKey, kind, payload, check) {
+  try {
+    return check();
+  } catch (error) {
+    if (error instanceof ScrapeError && error.type === FAILURE_TYPES.SCHEMA_MISMATCH) {
+      error.quarantined = quarantinePayload(resortKey, kind, payload, error.problems || [error.message]);
+      console.error(`  🚧 Quarantined ${kind} payload to ${error.quarantined}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  formatInstancePath,
+  validatePayload,
+  assertValid,
+  quarantinePayload,
+  quarantineOnMismatch,
+  QUARANTINE_DIR
+};
@@ -0,0 +1,270 @@
+// repair-dates.js - Find terrain and snow files stored under the wrong day and move them
+// Usage:
+//   node repair-dates.js [resort|all]           report misdated files (dry run)
+//   node repair-dates.js [resort|all] --apply   move them, with their database rows
+//
+// Files used to be dated by the UTC date of the scrape, so an evening scrape in
+// the Americas landed on the next day. The right day comes from the data itself,
+// read in the resort's timezone: the feed's own Date field for terrain files and
+// the scrape timestamp for snow files. A file is only moved when its right day
+// has no file and no database rows yet - otherwise it is reported and left alone,
+// since a day whose feed Date is old but whose right day is taken is a stale
+// feed, not a misdate. The change events the scrape recorded (in
+// changes/{date}.json and the events table) move with it.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getDatabase,
+  closeDatabase,
+  getResortId,
+  withTransaction,
+  run,
+  get,
+  all,
+  DB_PATH
+} = require('./database');
+const { DEFAULT_TIMEZONE, getLocalDateOf } = require('./dates');
+const { getSnapshotDir } = require('./terrain-snapshots');
+const { saveChangeFile } = require('./change-events');
+const { loadConfig } = require('./config-validation');
+
+const DATA_DIR = 'data';
+const DATED_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Database tables holding each data type's rows, keyed by (resort_id, date)
+const TABLES = {
+  terrain: ['terrain_status', 'lift_status', 'terrain_snapshots'],
+  snow: ['snow_conditions', 'snow_forecasts']
+};
+
+// Item types of the change events each data type's scrapes record
+const EVENT_ITEM_TYPES = {
+  terrain: ['trail', 'lift'],
+  snow: ['snow']
+};
+
+/**
+ * The day a file's data belongs to, or null when it carries no usable timestamp
+ */
+function getDataDate(type, data, timezone) {
+  return getLocalDateOf(type === 'terrain' ? data.Date : data.timestamp, timezone);
+}
+
+/**
+ * Misdated terrain and snow files of a resort
+ * Returns [{ type, file, date, dataDate, conflict }]
+ */
+function findMisdatedFiles(resort) {
+  const timezone = resort.timezone || DEFAULT_TIMEZONE;
+  const misdated = [];
+
+  Object.keys(TABLES).forEach(type => {
+    const dir = path.join(DATA_DIR, resort.key, type);
+    if (!fs.existsSync(dir)) return;
+
+    fs.readdirSync(dir).sort().forEach(name => {
+      const match = name.match(DATED_FILE_PATTERN);
+      if (!match) return;
+
+      const file = path.join(dir, name);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        console.warn(`  ⚠️  Skipping unreadable ${file}: ${e.message}`);
+        return;
+      }
+
+      const date = match[1];
+      const dataDate = getDataDate(type, data, timezone);
+      if (!dataDate || dataDate === date) return;
+
+      misdated.push({
+        type,
+        file,
+        date,
+        dataDate,
+        conflict: fs.existsSync(path.join(dir, `${dataDate}.json`))
+      });
+    });
+  });
+
+  return misdated;
+}
+
+/**
+ * Move a misdated file (and a terrain day's snapshot directory) to its right day
+ */
+function relocateFile(resortKey, entry) {
+  const data = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+  if (entry.type === 'snow') {
+    data.date = entry.dataDate;
+  }
+
+  fs.writeFileSync(path.join(path.dirname(entry.file), `${entry.dataDate}.json`), JSON.stringify(data, null, 2));
+  fs.unlinkSync(entry.file);
+
+  const snapshotDir = getSnapshotDir(resortKey, entry.date, DATA_DIR);
+  const targetDir = getSnapshotDir(resortKey, entry.dataDate, DATA_DIR);
+  if (entry.type === 'terrain' && fs.existsSync(snapshotDir) && !fs.existsSync(targetDir)) {
+    fs.renameSync(snapshotDir, targetDir);
+  }
+}
+
+/**
+ * Whether a change event was recorded by the misdated scrape: an event of the
+ * entry's data type detected on the right day (events from other scrapes that
+ * day, like lift-scraper.js's, were detected on the day they're filed under)
+ */
+function isEventOfEntry(itemType, detectedAt, entry, timezone) {
+  return EVENT_ITEM_TYPES[entry.type].includes(itemType) && getLocalDateOf(detectedAt, timezone) === entry.dataDate;
+}
+
+/**
+ * Move the misdated scrape's events from changes/{date}.json to its right day's file
+ * Returns the number of events moved
+ */
+function relocateChanges(resortKey, entry, timezone) {
+  const file = path.join(DATA_DIR, resortKey, 'changes', `${entry.date}.json`);
+  if (!fs.existsSync(file)) return 0;
+
+  const changes = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const events = changes.events || [];
+  const moving = events.filter(event => isEventOfEntry(event.itemType, event.detectedAt, entry, timezone));
+  if (moving.length === 0) return 0;
+
+  saveChangeFile(resortKey, entry.dataDate, moving);
+
+  const staying = events.filter(event => !moving.includes(event));
+  if (staying.length === 0) {
+    fs.unlinkSync(file);
+  } else {
+    fs.writeFileSync(file, JSON.stringify({ ...changes, events: staying }, null, 2));
+  }
+  return moving.length;
+}
+
+/**
+ * Tables that already have rows for one data type on the entry's right day
+ */
+async function findRowConflicts(db, resortId, entry) {
+  const conflicts = [];
+  for (const table of TABLES[entry.type]) {
+    const existing = await get(db, `SELECT COUNT(*) AS count FROM ${table} WHERE resort_id = ? AND date = ?`, [resortId, entry.dataDate]);
+    if (existing.count > 0) {
+      conflicts.push(table);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Move a day's database rows for one data type, and its scrape's events, to
+ * its right day. Check findRowConflicts first. Returns the number of rows moved
+ * (an event already recorded on the right day is dropped, not moved)
+ */
+async function relocateRows(db, resortId, entry, timezone) {
+  const events = await all(db, 'SELECT id, item_type, detected_at FROM events WHERE resort_id = ? AND date = ?', [resortId, entry.date]);
+  const eventIds = events
+    .filter(event => isEventOfEntry(event.item_type, event.detected_at, entry, timezone))
+    .map(event => event.id);
+
+  return withTransaction(db, async () => {
+    let moved = 0;
+    for (const table of TABLES[entry.type]) {
+      const { changes } = await run(db, `UPDATE ${table} SET date = ? WHERE resort_id = ? AND date = ?`, [entry.dataDate, resortId, entry.date]);
+      moved += changes;
+    }
+
+    for (const id of eventIds) {
+      const { changes } = await run(db, 'UPDATE OR IGNORE events SET date = ? WHERE id = ?', [entry.dataDate, id]);
+      if (changes === 0) {
+        await run(db, 'DELETE FROM events WHERE id = ?', [id]);
+      }
+      moved += changes;
+    }
+    return moved;
+  });
+}
+
+async function main() {
+  const config = loadConfig();
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const target = args.find(arg => !arg.startsWith('--')) || 'all';
+
+  const resorts = target === 'all' ? config.resorts : config.resorts.filter(r => r.key === target);
+  if (resorts.length === 0) {
+    console.error(`❌ Resort "${target}" not found in config.json`);
+    process.exit(1);
+  }
+
+  console.log(`🗓️  Checking storage dates${apply ? '' : ' (dry run - pass --apply to move files)'}...\n`);
+
+  // Opened for dry runs too, so row conflicts are reported before --apply
+  const db = fs.existsSync(DB_PATH) ? getDatabase() : null;
+  let moved = 0;
+  let conflicts = 0;
+
+  try {
+    for (const resort of resorts) {
+      const misdated = findMisdatedFiles(resort);
+      if (misdated.length === 0) continue;
+
+      console.log(`${resort.name} (${resort.key}):`);
+      const timezone = resort.timezone || DEFAULT_TIMEZONE;
+      const resortId = db ? await getResortId(db, resort.key) : null;
+
+      for (const entry of misdated) {
+        const label = `${entry.type}/${entry.date}.json → ${entry.dataDate}`;
+
+        if (entry.conflict) {
+          conflicts++;
+          console.log(`  ⚠️  ${label}: ${entry.dataDate}.json already exists, leaving both (stale feed?)`);
+          continue;
+        }
+
+        // The file and its rows move together or not at all
+        const rowConflicts = resortId ? await findRowConflicts(db, resortId, entry) : [];
+        if (rowConflicts.length > 0) {
+          conflicts++;
+          console.log(`  ⚠️  ${label}: ${entry.dataDate} already has rows in ${rowConflicts.join(', ')}, leaving it`);
+          continue;
+        }
+
+        if (!apply) {
+          moved++;
+          console.log(`  📋 ${label}`);
+          continue;
+        }
+
+        const rows = resortId ? await relocateRows(db, resortId, entry, timezone) : null;
+        relocateFile(resort.key, entry);
+        const events = relocateChanges(resort.key, entry, timezone);
+        moved++;
+
+        const rowsNote = rows === null ? '' : `, ${rows} database row(s)`;
+        const eventsNote = events > 0 ? `, ${events} change event(s)` : '';
+        console.log(`  ✓ ${label}${rowsNote}${eventsNote}`);
+      }
+    }
+  } finally {
+    if (db) await closeDatabase(db);
+  }
+
+  console.log(`\n${apply ? 'Moved' : 'Would move'} ${moved} file(s), ${conflicts} conflict(s)`);
+
+  if (apply && moved > 0) {
+    // Loaded here so a dry run doesn't need the scraper's dependencies
+    const { useConfig, generateIndexFile } = require('./ski-scraper');
+    useConfig(config);
+    generateIndexFile();
+    console.log('💡 Run "npm run generate:trails" to rebuild trail history with the corrected dates');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
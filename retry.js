@@ -0,0 +1,125 @@
+// retry.js - Retry policy and failure classification for scrapes
+// Failures are sorted into a small set of types so run reports can say why a
+// resort failed and a catch-up run can target only the resorts that need it.
+
+const FAILURE_TYPES = {
+  NETWORK: 'network',                  // DNS, connection reset, HTTP 5xx, browser crash
+  TIMEOUT: 'timeout',                  // Page or request took too long
+  MISSING_GLOBAL: 'missing_global',    // Page loaded but the data source wasn't there
+  EMPTY_PAYLOAD: 'empty_payload',      // Data source found but had no trails/lifts/snow
+  SCHEMA_MISMATCH: 'schema_mismatch',  // Data source changed shape
+  SUSPECT_DATA: 'suspect_data',        // Well-formed but implausible next to recent days (anomalies.js)
+  UNKNOWN: 'unknown'
+};
+
+// Failure types worth retrying - a schema mismatch won't fix itself in a few seconds
+const RETRYABLE_FAILURES = new Set([
+  FAILURE_TYPES.NETWORK,
+  FAILURE_TYPES.TIMEOUT,
+  FAILURE_TYPES.MISSING_GLOBAL,
+  FAILURE_TYPES.EMPTY_PAYLOAD,
+  FAILURE_TYPES.SUSPECT_DATA
+]);
+
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,        // Total tries, including the first
+  baseDelayMs: 5000,  // Delay before the first retry
+  maxDelayMs: 60000,  // Upper bound for any single delay
+  factor: 2,          // Exponential growth per retry
+  jitter: 0.3         // +/- fraction of randomness added to each delay
+};
+
+/**
+ * Error carrying a failure type
+ */
+class ScrapeError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.type = type;
+  }
+}
+
+/**
+ * Work out the failure type for an error thrown during a scrape
+ */
+function classifyError(error) {
+  if (!error) return FAILURE_TYPES.UNKNOWN;
+  if (error instanceof ScrapeError) return error.type;
+
+  const message = String(error.message || '');
+  const code = error.code || (error.cause && error.cause.code) || '';
+
+  if (error.name === 'TimeoutError' || error.name === 'AbortError' || /timed? ?out|timeout/i.test(message)) {
+    return FAILURE_TYPES.TIMEOUT;
+  }
+
+  if (/^(ECONN|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|EPIPE|UND_ERR)/.test(code) ||
+      /fetch failed|net::ERR_|socket hang up|HTTP 5\d\d|Target closed|Protocol error|browser has disconnected/i.test(message)) {
+    return FAILURE_TYPES.NETWORK;
+  }
+
+  return FAILURE_TYPES.UNKNOWN;
+}
+
+/**
+ * Build a retry policy from config.json `schedule.retry`, filling in defaults
+ */
+function getRetryPolicy(overrides = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  Object.keys(DEFAULT_RETRY_POLICY).forEach(key => {
+    if (typeof overrides[key] === 'number') {
+      policy[key] = overrides[key];
+    }
+  });
+  return policy;
+}
+
+/**
+ * Delay before retry number `retry` (1 = first retry)
+ */
+function getRetryDelay(retry, policy) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(policy.factor, retry - 1));
+  const spread = exponential * policy.jitter;
+  const delay = exponential - spread + Math.random() * spread * 2;
+  return Math.max(0, Math.round(delay));
+}
+
+/**
+ * Run `task` until it succeeds, fails with a non-retryable error, or attempts run out
+ * Resolves to { status: 'success', data, attempts }
+ *          or { status: 'failed', failure, message, attempts, error }
+ */
+async function withRetry(task, policy = DEFAULT_RETRY_POLICY, options = {}) {
+  const log = options.log || console.log;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+
+    try {
+      const data = await task(attempt);
+      return { status: 'success', data, attempts: attempt };
+    } catch (error) {
+      const failure = classifyError(error);
+      const canRetry = RETRYABLE_FAILURES.has(failure) && attempt < policy.attempts;
+
+      if (!canRetry) {
+        return { status: 'failed', failure, message: error.message, attempts: attempt, error };
+      }
+
+      const delay = getRetryDelay(attempt, policy);
+      log(`  ↻ Attempt ${attempt}/${policy.attempts} failed (${failure}: ${error.message}) - retrying in ${(delay / 1000).toFixed(1)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  FAILURE_TYPES,
+  ScrapeError,
+  classifyError,
+  getRetryPolicy,
+  getRetryDelay,
+  withRetry
+};
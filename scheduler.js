@@ -0,0 +1,583 @@
+// scheduler.js - Long-running scheduler for the terrain, snow and lift scrapers
+// Usage: npm run scheduler           (runs until stopped)
+//        node scheduler.js plan      (print when each job is next due, then exit)
+//        node scheduler.js once      (run whatever is due now, then exit)
+//
+// Instead of cron starting ski-scraper.js every 3 hours and lift-scraper.js every
+// 5 minutes, every resort gets three jobs with their own cadence:
+//   terrain:{key}  once a day at the resort's local targetHour (catching up if missed),
+//                  or at each snapshot time in intraday mode (schedule.intraday)
+//   snow:{key}     the same, tracked separately so one can be retried without the other
+//   lifts:{key}    every liftIntervalMinutes, sleeping until the next posted lift
+//                  opening while every lift is known closed
+// Out of season, a job sleeps until the resort's season start.
+//
+// Job state is written to data/scheduler/state.json after every change, so a
+// restart carries on where it left off (a job interrupted mid-run runs again).
+// GET /status on scheduler.statusPort reports every job's last result and next due time.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { formatInTimeZone } = require('date-fns-tz');
+const { initializeDatabase, closeDatabase } = require('./database');
+const {
+  useConfig: useTerrainConfig,
+  useDatabase: useTerrainDatabase,
+  needsScrape,
+  runScrapeJobs
+} = require('./ski-scraper');
+const { useConfig: useLiftConfig, useDatabase: useLiftDatabase, processResort } = require('./lift-scraper');
+const { configureBrowserPool, releaseBrowser, closeBrowserPool } = require('./browser-pool');
+const { DEFAULTS: LIFT_SCHEDULE_DEFAULTS } = require('./lift-schedules');
+const { parseClockTime } = require('./generate-lift-stats');
+const { getIntradayTimes } = require('./terrain-snapshots');
+const {
+  getResortLocalDate,
+  getResortLocalTime,
+  addDays,
+  atLocalTime,
+  isResortInSeason,
+  getNextSeasonDate
+} = require('./dates');
+const { loadConfig } = require('./config-validation');
+
+const DEFAULTS = {
+  stateFile: 'data/scheduler/state.json',
+  host: '127.0.0.1',
+  statusPort: 3001,
+  tickSeconds: 30,
+  liftIntervalMinutes: 5,
+  retryMinutes: 30,
+  maxAttemptsPerDay: 4,
+  idleBrowserMinutes: 10
+};
+
+const JOB_TYPES = ['terrain', 'snow', 'lifts'];
+const REPORT_TYPES = ['terrain', 'snow'];
+
+/**
+ * Format an instant in the resort's timezone for logs
+ */
+function formatLocal(resort, date) {
+  return formatInTimeZone(date, resort.timezone, 'yyyy-MM-dd HH:mm zzz');
+}
+
+/**
+ * Resort's scrape hour (0-23) for terrain and snow
+ */
+function getTargetHour(resort, config) {
+  return resort.targetHour !== undefined ? resort.targetHour : config.schedule.targetHour;
+}
+
+/**
+ * Page a job scrapes, or null when the resort has none configured
+ */
+function getJobUrl(resort, type) {
+  return type === 'snow' ? resort.snowReportUrl || null : resort.terrainUrl || resort.url || null;
+}
+
+/**
+ * Next daily terrain/snow run: today's target hour (or now, if that has passed),
+ * or tomorrow's once today is done; out of season, the season's first day
+ */
+function getNextDailyRun(resort, config, now, doneToday) {
+  const today = getResortLocalDate(resort.timezone, now);
+  const date = getNextSeasonDate(resort, config.schedule, doneToday ? addDays(today, 1) : today);
+  const due = atLocalTime(resort.timezone, date, getTargetHour(resort, config) * 60);
+  return due < now ? now : due;
+}
+
+/**
+ * Next terrain or snow run. Intraday terrain runs at the next snapshot time
+ * (now, if one is due and `doneNow` isn't set); everything else daily
+ */
+function getNextReportRun(resort, config, type, now, doneNow) {
+  const times = type === 'terrain' ? getIntradayTimes(resort, config) : null;
+  if (!times) {
+    return getNextDailyRun(resort, config, now, doneNow);
+  }
+
+  const today = getResortLocalDate(resort.timezone, now);
+  if (isResortInSeason(resort, config.schedule, today)) {
+    if (!doneNow && needsScrape(resort, 'terrain')) {
+      return now;
+    }
+    const currentTime = getResortLocalTime(resort.timezone, now).slice(0, 5);
+    const later = times.find(time => time > currentTime);
+    if (later) {
+      return atLocalTime(resort.timezone, today, parseClockTime(later));
+    }
+  }
+
+  const date = getNextSeasonDate(resort, config.schedule, addDays(today, 1));
+  return atLocalTime(resort.timezone, date, parseClockTime(times[0]));
+}
+
+/**
+ * Next lift run after a processResort() result
+ * While every lift is known closed, sleep until leadMinutes before the next posted opening
+ */
+function getNextLiftRun(resort, config, options, result, now) {
+  const interval = new Date(now.getTime() + options.liftIntervalMinutes * 60000);
+  const status = result && result.status;
+
+  if (status === 'out_of_season') {
+    const date = getNextSeasonDate(resort, config.schedule, addDays(getResortLocalDate(resort.timezone, now), 1));
+    return atLocalTime(resort.timezone, date, 0);
+  }
+
+  if (status === 'outside_hours' && result.nextOpenTime) {
+    const liftSchedule = config.liftSchedule || {};
+    const lead = liftSchedule.leadMinutes ?? LIFT_SCHEDULE_DEFAULTS.leadMinutes;
+    const wakeMinutes = Math.max(parseClockTime(result.nextOpenTime) - lead, 0);
+    const today = getResortLocalDate(resort.timezone, now);
+    let wake = atLocalTime(resort.timezone, today, wakeMinutes);
+    if (wake <= now) {
+      wake = atLocalTime(resort.timezone, addDays(today, 1), wakeMinutes);
+    }
+    return wake > interval ? wake : interval;
+  }
+
+  return interval;
+}
+
+/**
+ * Read saved job state, or an empty state
+ */
+function loadState(stateFile) {
+  if (!fs.existsSync(stateFile)) {
+    return { updatedAt: null, jobs: {} };
+  }
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    return { updatedAt: state.updatedAt || null, jobs: state.jobs || {} };
+  } catch (error) {
+    console.log(`⚠️  Could not read ${stateFile} (${error.message}) - starting fresh`);
+    return { updatedAt: null, jobs: {} };
+  }
+}
+
+/**
+ * Write job state atomically, so a crash mid-write can't leave it half written
+ */
+function saveState(stateFile, state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  const tempFile = `${stateFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tempFile, stateFile);
+}
+
+/**
+ * Build the job list from config and reconcile it with saved state
+ * New jobs are due right away (lifts) or at their next daily run; jobs that were
+ * running when the scheduler stopped are due again now; jobs for resorts no
+ * longer in config are dropped
+ */
+function initializeJobs(config, options, state, now = new Date()) {
+  const jobs = {};
+
+  config.resorts.forEach(resort => {
+    JOB_TYPES.forEach(type => {
+      const id = `${type}:${resort.key}`;
+      const saved = state.jobs[id] || {};
+      const job = {
+        type,
+        resort: resort.key,
+        nextDueAt: saved.nextDueAt || null,
+        running: false,
+        lastStartedAt: saved.lastStartedAt || null,
+        lastFinishedAt: saved.lastFinishedAt || null,
+        lastStatus: saved.lastStatus || null,
+        lastMessage: saved.lastMessage || null,
+        lastSuccessAt: saved.lastSuccessAt || null,
+        attempts: saved.attempts || null
+      };
+
+      if (!getJobUrl(resort, type)) {
+        job.nextDueAt = null;
+        job.lastStatus = 'disabled';
+        job.lastMessage = `No ${type === 'snow' ? 'snowReportUrl' : 'terrainUrl'} configured`;
+      } else if (saved.running || !job.nextDueAt) {
+        job.nextDueAt = (type === 'lifts' ? now : getNextReportRun(resort, config, type, now, false)).toISOString();
+      }
+
+      jobs[id] = job;
+    });
+  });
+
+  state.jobs = jobs;
+  return state;
+}
+
+/**
+ * Jobs of the given types that are due at `now` and not already running
+ */
+function getDueJobs(state, types, now) {
+  return Object.entries(state.jobs)
+    .filter(([, job]) => types.includes(job.type) && !job.running && job.nextDueAt && new Date(job.nextDueAt) <= now)
+    .map(([id]) => id);
+}
+
+/**
+ * Record a finished job and when it is next due
+ */
+function finishJob(ctx, id, status, message, nextDueAt) {
+  const job = ctx.state.jobs[id];
+  const resort = ctx.resorts[job.resort];
+  const now = new Date();
+
+  job.running = false;
+  job.lastFinishedAt = now.toISOString();
+  job.lastStatus = status;
+  job.lastMessage = message || null;
+  if (status === 'success') {
+    job.lastSuccessAt = job.lastFinishedAt;
+  }
+  job.nextDueAt = nextDueAt.toISOString();
+
+  const icon = status === 'success' ? '✅' : status === 'failed' ? '❌' : status === 'suspect' ? '⚠️ ' : '⏭️ ';
+  console.log(`${icon} [${id}] ${status}${message ? ` (${message})` : ''} - next due ${formatLocal(resort, nextDueAt)}`);
+}
+
+/**
+ * Mark jobs as running and save, so an interrupted run is retried on restart
+ */
+function startJobs(ctx, ids) {
+  const now = new Date().toISOString();
+  ids.forEach(id => {
+    ctx.state.jobs[id].running = true;
+    ctx.state.jobs[id].lastStartedAt = now;
+  });
+  saveState(ctx.options.stateFile, ctx.state);
+}
+
+/**
+ * Run due lift jobs in parallel, like lift-scraper.js does for all resorts
+ */
+async function runLiftJobs(ctx, ids) {
+  startJobs(ctx, ids);
+
+  await Promise.all(ids.map(async id => {
+    const job = ctx.state.jobs[id];
+    const resort = ctx.resorts[job.resort];
+    let result;
+    try {
+      result = await processResort(job.resort);
+    } catch (error) {
+      result = { status: 'error', error: error.message };
+    }
+
+    const now = new Date();
+    const nextDue = getNextLiftRun(resort, ctx.config, ctx.options, result, now);
+    const status = result && result.status;
+
+    if (status === 'success') {
+      finishJob(ctx, id, 'success', `${result.liftsRecorded} lifts recorded`, nextDue);
+    } else if (status === 'outside_hours' || status === 'out_of_season') {
+      finishJob(ctx, id, 'skipped', status === 'outside_hours' ? 'all lifts closed' : 'out of season', nextDue);
+    } else {
+      const message = status === 'scrape_error' ? result.failure : (result && (result.error || status)) || 'unknown error';
+      finishJob(ctx, id, 'failed', message, nextDue);
+    }
+  }));
+
+  saveState(ctx.options.stateFile, ctx.state);
+}
+
+/**
+ * Run due terrain and snow jobs through ski-scraper.js
+ * Resorts out of season, or already scraped (e.g. by a manual run), are
+ * rescheduled without scraping. Failures are retried after retryMinutes, up to
+ * maxAttemptsPerDay times per resort-local day
+ */
+async function runReportJobs(ctx, ids) {
+  const now = new Date();
+  const targets = {};
+  const toRun = [];
+
+  ids.forEach(id => {
+    const job = ctx.state.jobs[id];
+    const resort = ctx.resorts[job.resort];
+
+    if (!isResortInSeason(resort, ctx.config.schedule)) {
+      finishJob(ctx, id, 'skipped', 'out of season', getNextReportRun(resort, ctx.config, job.type, now, true));
+    } else if (!needsScrape(resort, job.type)) {
+      finishJob(ctx, id, 'skipped', 'already scraped', getNextReportRun(resort, ctx.config, job.type, now, true));
+    } else {
+      targets[job.resort] = targets[job.resort] || { terrain: false, snow: false };
+      targets[job.resort][job.type] = true;
+      toRun.push(id);
+    }
+  });
+
+  if (toRun.length === 0) {
+    saveState(ctx.options.stateFile, ctx.state);
+    return;
+  }
+
+  startJobs(ctx, toRun);
+
+  let report = { resorts: {} };
+  try {
+    report = await runScrapeJobs(targets);
+  } catch (error) {
+    console.error(`❌ Scrape run failed: ${error.message}`);
+  }
+
+  const finishedAt = new Date();
+  toRun.forEach(id => {
+    const job = ctx.state.jobs[id];
+    const resort = ctx.resorts[job.resort];
+    const outcome = (report.resorts[job.resort] || {})[job.type];
+
+    if (outcome && outcome.status === 'success') {
+      job.attempts = null;
+      finishJob(ctx, id, 'success', null, getNextReportRun(resort, ctx.config, job.type, finishedAt, true));
+      return;
+    }
+
+    const today = getResortLocalDate(resort.timezone, finishedAt);
+    const attempts = job.attempts && job.attempts.date === today ? job.attempts.count + 1 : 1;
+    job.attempts = { date: today, count: attempts };
+
+    // Suspect data was saved but is re-scraped like a failure, in case it was a bad page load
+    const status = outcome && outcome.status === 'suspect' ? 'suspect' : 'failed';
+    const message = !outcome ? 'scrape did not run'
+      : status === 'suspect' ? outcome.reasons.join('; ')
+      : `${outcome.failure}: ${outcome.message}`;
+    const nextDue = attempts < ctx.options.maxAttemptsPerDay
+      ? new Date(finishedAt.getTime() + ctx.options.retryMinutes * 60000)
+      : getNextReportRun(resort, ctx.config, job.type, finishedAt, true);
+    finishJob(ctx, id, status, `${message}; attempt ${attempts}/${ctx.options.maxAttemptsPerDay} today`, nextDue);
+  });
+
+  saveState(ctx.options.stateFile, ctx.state);
+}
+
+/**
+ * Close the browser when nothing is due for a while, so Chromium isn't kept
+ * around overnight
+ */
+async function releaseIdleBrowser(ctx) {
+  const soon = new Date(Date.now() + ctx.options.idleBrowserMinutes * 60000);
+  const busy = Object.values(ctx.state.jobs).some(job => job.running || (job.nextDueAt && new Date(job.nextDueAt) <= soon));
+  if (!busy && await releaseBrowser()) {
+    console.log(`💤 Nothing due for ${ctx.options.idleBrowserMinutes} minutes - closed the browser`);
+  }
+}
+
+/**
+ * Wait up to `ms`, returning early when the scheduler is stopping
+ */
+function pause(ctx, ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      ctx.wakers.delete(wake);
+      resolve();
+    }, ms);
+    const wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    ctx.wakers.add(wake);
+  });
+}
+
+/**
+ * Run jobs of some types as they come due. Lifts and terrain/snow run in
+ * separate lanes so a slow morning report scrape doesn't hold up lift snapshots
+ */
+async function runLane(ctx, types, runJobs) {
+  while (!ctx.stopping) {
+    const due = getDueJobs(ctx.state, types, new Date());
+    if (due.length > 0) {
+      await runJobs(ctx, due);
+      await releaseIdleBrowser(ctx);
+    }
+    await pause(ctx, ctx.options.tickSeconds * 1000);
+  }
+}
+
+/**
+ * Status report for GET /status, optionally for one resort
+ */
+function getStatus(ctx, resortKey = null, now = new Date()) {
+  const jobs = Object.entries(ctx.state.jobs)
+    .filter(([, job]) => !resortKey || job.resort === resortKey)
+    .map(([id, job]) => ({
+      id,
+      ...job,
+      dueInMinutes: job.nextDueAt ? Math.max(Math.round((new Date(job.nextDueAt) - now) / 60000), 0) : null
+    }))
+    .sort((a, b) => (a.nextDueAt || '9999').localeCompare(b.nextDueAt || '9999'));
+
+  const counts = {};
+  jobs.forEach(job => {
+    const key = job.lastStatus || 'pending';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  return {
+    startedAt: ctx.startedAt,
+    uptimeSeconds: Math.round((now - new Date(ctx.startedAt)) / 1000),
+    stateFile: ctx.options.stateFile,
+    running: jobs.filter(job => job.running).map(job => job.id),
+    counts,
+    jobs
+  };
+}
+
+/**
+ * Status server: GET /status (all jobs, or ?resort=key)
+ */
+function createStatusServer(ctx) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let payload;
+
+    if (url.pathname !== '/status') {
+      status = 404;
+      payload = { error: { status, code: 'not_found', message: `No route for ${url.pathname}` } };
+    } else if (req.method !== 'GET' && req.method !== 'HEAD') {
+      status = 405;
+      res.setHeader('Allow', 'GET, HEAD');
+      payload = { error: { status, code: 'method_not_allowed', message: `${req.method} is not supported on /status` } };
+    } else if (url.searchParams.has('resort') && !ctx.resorts[url.searchParams.get('resort')]) {
+      status = 404;
+      payload = { error: { status, code: 'not_found', message: `Unknown resort: ${url.searchParams.get('resort')}` } };
+    } else {
+      payload = getStatus(ctx, url.searchParams.get('resort'));
+    }
+
+    const body = JSON.stringify(payload, null, 2);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+}
+
+/**
+ * Print every job's next due time in its resort's local time
+ */
+function printPlan(ctx) {
+  const now = new Date();
+  console.log(`📋 ${Object.keys(ctx.state.jobs).length} jobs (state: ${ctx.options.stateFile})\n`);
+  getStatus(ctx, null, now).jobs.forEach(job => {
+    const resort = ctx.resorts[job.resort];
+    const due = job.nextDueAt ? formatLocal(resort, new Date(job.nextDueAt)) : 'never';
+    const last = job.lastStatus ? `last: ${job.lastStatus}${job.lastMessage ? ` (${job.lastMessage})` : ''}` : 'never run';
+    console.log(`  ${job.id.padEnd(28)} ${due.padEnd(24)} ${last}`);
+  });
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const command = process.argv[2] || 'run';
+  if (!['run', 'once', 'plan'].includes(command)) {
+    console.error('Usage: node scheduler.js [run|once|plan]');
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  useTerrainConfig(config);
+  useLiftConfig(config);
+  const options = { ...DEFAULTS, ...(config.scheduler || {}) };
+  delete options.comment;
+  delete options.explanation;
+
+  const ctx = {
+    config,
+    options,
+    resorts: Object.fromEntries(config.resorts.map(resort => [resort.key, resort])),
+    state: null,
+    startedAt: new Date().toISOString(),
+    stopping: false,
+    wakers: new Set()
+  };
+  ctx.state = initializeJobs(config, options, loadState(options.stateFile));
+
+  if (command === 'plan') {
+    printPlan(ctx);
+    return;
+  }
+
+  saveState(options.stateFile, ctx.state);
+
+  // The scheduler closes the browser itself once running jobs finish
+  configureBrowserPool({ ...config.browser, exitOnSignal: false });
+
+  const db = await initializeDatabase();
+  useTerrainDatabase(db);
+  useLiftDatabase(db);
+
+  if (command === 'once') {
+    const now = new Date();
+    await Promise.all([
+      runLiftJobs(ctx, getDueJobs(ctx.state, ['lifts'], now)),
+      runReportJobs(ctx, getDueJobs(ctx.state, REPORT_TYPES, now))
+    ]);
+    await closeBrowserPool();
+    await closeDatabase(db);
+    return;
+  }
+
+  const port = Number(process.env.SCHEDULER_PORT || options.statusPort);
+  const host = process.env.HOST || options.host;
+  const server = createStatusServer(ctx);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.log('🗓️  Scheduler started');
+  console.log(`   ${Object.keys(ctx.state.jobs).length} jobs for ${config.resorts.length} resorts, state in ${options.stateFile}`);
+  console.log(`   Status: http://${host}:${port}/status\n`);
+
+  const lanes = Promise.all([
+    runLane(ctx, ['lifts'], runLiftJobs),
+    runLane(ctx, REPORT_TYPES, runReportJobs)
+  ]);
+
+  const shutdown = async () => {
+    if (ctx.stopping) return;
+    console.log('\n👋 Stopping scheduler - waiting for running jobs');
+    ctx.stopping = true;
+    ctx.wakers.forEach(wake => wake());
+    await lanes;
+    server.close();
+    server.closeAllConnections();
+    saveState(options.stateFile, ctx.state);
+    await closeBrowserPool();
+    await closeDatabase(db);
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n💥 Scheduler failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  initializeJobs,
+  getDueJobs,
+  getNextDailyRun,
+  getNextReportRun,
+  getNextLiftRun,
+  getStatus,
+  createStatusServer,
+  loadState,
+  saveState
+};
@@ -0,0 +1,559 @@
+// server.js - Local REST API over the SQLite history and lift snapshot files
+// Usage: npm run serve   (listens on PORT, or server.port in config.json)
+//
+// Endpoints (GET):
+//   /resorts
+//   /resorts/:key/terrain?date=YYYY-MM-DD&type=trail|lift     (default: latest date)
+//   /resorts/:key/trails/:slug/history?since=YYYY-MM-DD       (slug from the terrain catalog)
+//   /resorts/:key/lifts/waits?from=&to=&lift=                 (dates or ISO timestamps)
+//   /resorts/:key/snow?range=30d|YYYY-MM-DD..YYYY-MM-DD|all
+//
+// GraphQL (GET or POST): /graphql - see graphql-api.js for the schema and the
+// persisted-query allowlist in queries/
+//
+// List responses are { data, pagination: { limit, offset, total, next } } - page
+// with ?limit= and ?offset=. Every response carries an ETag (send it back as
+// If-None-Match to get a 304) and CORS headers. Errors are
+// { error: { status, code, message } }.
+
+const http = require('http');
+const crypto = require('crypto');
+const {
+  initializeDatabase,
+  closeDatabase,
+  getResorts,
+  getResortId,
+  getLatestTerrainDate,
+  getTrailStatus,
+  getLiftStatus,
+  getTerrainItemBySlug,
+  getItemHistory,
+  getItemAliases,
+  getSnowConditions
+} = require('./database');
+const { readLiftSamples } = require('./lift-samples');
+const { formatTrailRow, formatLiftRow, formatLiftSample } = require('./api-format');
+const { executeGraphQL, loadPersistedQueries, DEFAULT_QUERIES_DIR } = require('./graphql-api');
+const { loadConfig } = require('./config-validation');
+const { DEFAULT_TIMEZONE, getResortLocalDate, addDays } = require('./dates');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_SNOW_RANGE = '30d';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Error carrying the HTTP status and error code to respond with
+ */
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Validate a YYYY-MM-DD query parameter
+ */
+function requireDate(value, name) {
+  if (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new HttpError(400, 'bad_request', `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * Validate a query parameter that may be a date or an ISO timestamp
+ */
+function requireDateOrTimestamp(value, name) {
+  if (DATE_PATTERN.test(value)) {
+    return requireDate(value, name);
+  }
+  if (isNaN(new Date(value).getTime())) {
+    throw new HttpError(400, 'bad_request', `${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  }
+  return value;
+}
+
+/**
+ * Decode a path segment, rejecting malformed escapes like %E0
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    throw new HttpError(400, 'bad_request', `Malformed path segment: ${segment}`);
+  }
+}
+
+/**
+ * Read ?limit= and ?offset=
+ */
+function getPage(query, options) {
+  const maxPageSize = options.maxPageSize || MAX_PAGE_SIZE;
+  const limit = query.limit === undefined ? (options.pageSize || DEFAULT_PAGE_SIZE) : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+    throw new HttpError(400, 'bad_request', `limit must be an integer from 1 to ${maxPageSize}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, 'bad_request', 'offset must be a non-negative integer');
+  }
+
+  return { limit, offset };
+}
+
+/**
+ * One page of `items` with its pagination block
+ * `next` is the path of the following page, or null on the last page
+ */
+function paginate(ctx, items) {
+  const { limit, offset } = getPage(ctx.query, ctx.options);
+  let next = null;
+
+  if (offset + limit < items.length) {
+    const params = new URLSearchParams(ctx.url.searchParams);
+    params.set('offset', String(offset + limit));
+    params.set('limit', String(limit));
+    next = `${ctx.url.pathname}?${params}`;
+  }
+
+  return {
+    data: items.slice(offset, offset + limit),
+    pagination: { limit, offset, total: items.length, next }
+  };
+}
+
+/**
+ * Turn ?range= into inclusive { from, to } dates
+ * Accepts Nd (the last N days including today), YYYY-MM-DD..YYYY-MM-DD or all
+ */
+function parseSnowRange(range, today) {
+  if (range === 'all') {
+    return { from: '0000-01-01', to: '9999-12-31' };
+  }
+
+  const days = range.match(/^(\d+)d$/);
+  if (days && Number(days[1]) > 0) {
+    return { from: addDays(today, -(Number(days[1]) - 1)), to: today };
+  }
+
+  const span = range.split('..');
+  if (span.length === 2) {
+    const from = requireDate(span[0], 'range start');
+    const to = requireDate(span[1], 'range end');
+    if (from > to) {
+      throw new HttpError(400, 'bad_request', 'range start must not be after range end');
+    }
+    return { from, to };
+  }
+
+  throw new HttpError(400, 'bad_request', 'range must be Nd (e.g. 7d), YYYY-MM-DD..YYYY-MM-DD or all');
+}
+
+/**
+ * Look up a resort from config.json and the database, or throw a 404
+ * `id` is null for a configured resort that has no database rows yet
+ */
+async function findResort(ctx, key) {
+  const configured = (ctx.options.resorts || []).find(r => r.key === key);
+  const id = await getResortId(ctx.db, key);
+
+  if (!configured && !id) {
+    throw new HttpError(404, 'not_found', `Unknown resort: ${key}`);
+  }
+
+  return {
+    key,
+    id,
+    name: configured ? configured.name : key,
+    timezone: (configured && configured.timezone) || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Throw a 404 for a resort with nothing in the database yet
+ */
+function requireResortData(resort) {
+  if (!resort.id) {
+    throw new HttpError(404, 'not_found', `No data for resort: ${resort.key}`);
+  }
+  return resort.id;
+}
+
+/**
+ * GET /resorts
+ */
+async function listResorts(ctx) {
+  const rows = await getResorts(ctx.db);
+  const rowsByKey = new Map(rows.map(row => [row.key, row]));
+  const configured = ctx.options.resorts || [];
+
+  const resorts = configured.map(resort => ({ resort, row: rowsByKey.get(resort.key) }))
+    .concat(rows.filter(row => !configured.some(r => r.key === row.key)).map(row => ({ resort: null, row })))
+    .map(({ resort, row }) => ({
+      key: resort ? resort.key : row.key,
+      name: resort ? resort.name : row.name,
+      timezone: (resort && resort.timezone) || (row && row.timezone) || null,
+      platform: resort ? resort.platform || 'vail' : null,
+      configured: !!resort,
+      latestTerrainDate: row ? row.latest_terrain_date : null,
+      latestSnowDate: row ? row.latest_snow_date : null
+    }));
+
+  return paginate(ctx, resorts);
+}
+
+/**
+ * GET /resorts/:key/terrain
+ */
+async function getTerrain(ctx, key) {
+  const resort = await findResort(ctx, key);
+  const resortId = requireResortData(resort);
+  const type = ctx.query.type;
+
+  if (type !== undefined && type !== 'trail' && type !== 'lift') {
+    throw new HttpError(400, 'bad_request', 'type must be trail or lift');
+  }
+
+  const date = ctx.query.date ? requireDate(ctx.query.date, 'date') : await getLatestTerrainDate(ctx.db, resortId);
+  if (!date) {
+    throw new HttpError(404, 'not_found', `No terrain data for ${key}`);
+  }
+
+  const trails = type === 'lift' ? [] : (await getTrailStatus(ctx.db, resortId, date)).map(formatTrailRow);
+  const lifts = type === 'trail' ? [] : (await getLiftStatus(ctx.db, resortId, date)).map(formatLiftRow);
+
+  if (trails.length === 0 && lifts.length === 0 && !type) {
+    throw new HttpError(404, 'not_found', `No terrain data for ${key} on ${date}`);
+  }
+
+  return { resort: key, date, ...paginate(ctx, trails.concat(lifts)) };
+}
+
+/**
+ * GET /resorts/:key/trails/:slug/history
+ */
+async function getTrailHistory(ctx, key, slug) {
+  const resort = await findResort(ctx, key);
+  const resortId = requireResortData(resort);
+  const item = await getTerrainItemBySlug(ctx.db, resortId, 'trail', slug);
+
+  if (!item) {
+    throw new HttpError(404, 'not_found', `Unknown trail for ${key}: ${slug}`);
+  }
+
+  const since = ctx.query.since ? requireDate(ctx.query.since, 'since') : '0000-01-01';
+  const history = (await getItemHistory(ctx.db, item.id, since)).map(row => {
+    const day = formatTrailRow(row);
+    return {
+      date: row.date,
+      name: day.name,
+      status: day.status,
+      isOpen: day.isOpen,
+      isGroomed: day.isGroomed,
+      groomingType: day.groomingType
+    };
+  });
+  const aliases = await getItemAliases(ctx.db, item.id);
+
+  return {
+    resort: key,
+    trail: {
+      id: item.id,
+      slug: item.slug,
+      name: item.name,
+      area: item.area_name,
+      firstSeen: item.first_seen,
+      lastSeen: item.last_seen,
+      aliases: aliases.map(alias => alias.name)
+    },
+    ...paginate(ctx, history)
+  };
+}
+
+/**
+ * GET /resorts/:key/lifts/waits
+ */
+async function getLiftWaits(ctx, key) {
+  await findResort(ctx, key);
+
+  const from = ctx.query.from ? requireDateOrTimestamp(ctx.query.from, 'from') : undefined;
+  const to = ctx.query.to ? requireDateOrTimestamp(ctx.query.to, 'to') : undefined;
+  const samples = readLiftSamples(key, { from, to, lift: ctx.query.lift, dataDir: ctx.options.dataDir })
+    .map(formatLiftSample);
+
+  return { resort: key, from: from || null, to: to || null, ...paginate(ctx, samples) };
+}
+
+/**
+ * GET /resorts/:key/snow
+ */
+async function getSnow(ctx, key) {
+  const resort = await findResort(ctx, key);
+  const resortId = requireResortData(resort);
+  const today = getResortLocalDate(resort.timezone);
+  const range = parseSnowRange(ctx.query.range || DEFAULT_SNOW_RANGE, today);
+
+  const reports = (await getSnowConditions(ctx.db, resortId, range.from, range.to)).map(row => ({
+    date: row.date,
+    conditions: row.weather_condition,
+    snowfall: {
+      overnight_inches: row.overnight_snowfall_inches,
+      overnight_cm: row.overnight_snowfall_cm,
+      '24hour_inches': row.new_snow_24h_inches,
+      '24hour_cm': row.new_snow_24h_cm,
+      '48hour_inches': row.new_snow_48h_inches,
+      '48hour_cm': row.new_snow_48h_cm,
+      '7day_inches': row.new_snow_7day_inches,
+      '7day_cm': row.new_snow_7day_cm,
+      season_total_inches: row.season_total_inches,
+      season_total_cm: row.season_total_cm
+    },
+    baseDepth: { inches: row.base_depth_inches, cm: row.base_depth_cm }
+  }));
+
+  return { resort: key, range, ...paginate(ctx, reports) };
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Keep draining an oversized body so the 413 can still be sent
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'payload_too_large', `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (e) {
+        reject(new HttpError(400, 'bad_request', 'Request body must be JSON'));
+      }
+    });
+  });
+}
+
+/**
+ * Parse a JSON-encoded query parameter (GraphQL variables / extensions over GET)
+ */
+function parseJsonParam(value, name) {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new HttpError(400, 'bad_request', `${name} must be JSON`);
+  }
+}
+
+/**
+ * POST or GET /graphql
+ * Responds with the GraphQL result ({ data, errors }); persisted-query and
+ * validation errors come back in `errors` with an extensions.code
+ */
+async function graphqlEndpoint(ctx) {
+  let request;
+  if (ctx.req.method === 'POST') {
+    request = await readJsonBody(ctx.req);
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw new HttpError(400, 'bad_request', 'Request body must be a JSON object');
+    }
+  } else {
+    request = {
+      id: ctx.query.id,
+      query: ctx.query.query,
+      operationName: ctx.query.operationName,
+      variables: parseJsonParam(ctx.query.variables, 'variables'),
+      extensions: parseJsonParam(ctx.query.extensions, 'extensions')
+    };
+  }
+
+  const graphqlConfig = ctx.options.graphql || {};
+  return executeGraphQL(ctx.db, request, {
+    resorts: ctx.options.resorts,
+    dataDir: ctx.options.dataDir,
+    persistedQueries: ctx.options.persistedQueries,
+    allowArbitraryQueries: !!graphqlConfig.allowArbitraryQueries
+  });
+}
+
+const ROUTES = [
+  { path: '/resorts', pattern: /^\/resorts\/?$/, handler: listResorts },
+  { path: '/resorts/:key/terrain', pattern: /^\/resorts\/([^/]+)\/terrain\/?$/, handler: getTerrain },
+  { path: '/resorts/:key/trails/:slug/history', pattern: /^\/resorts\/([^/]+)\/trails\/([^/]+)\/history\/?$/, handler: getTrailHistory },
+  { path: '/resorts/:key/lifts/waits', pattern: /^\/resorts\/([^/]+)\/lifts\/waits\/?$/, handler: getLiftWaits },
+  { path: '/resorts/:key/snow', pattern: /^\/resorts\/([^/]+)\/snow\/?$/, handler: getSnow },
+  { path: '/graphql', pattern: /^\/graphql\/?$/, handler: graphqlEndpoint, methods: ['GET', 'HEAD', 'POST'] }
+];
+
+/**
+ * CORS headers sent with every response
+ */
+function getCorsHeaders(options) {
+  const origin = options.corsOrigin || '*';
+  const headers = {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Expose-Headers': 'ETag'
+  };
+  if (origin !== '*') {
+    headers['Vary'] = 'Origin';
+  }
+  return headers;
+}
+
+/**
+ * Send a JSON body with an ETag, answering If-None-Match with a 304
+ */
+function sendJson(req, res, status, payload, options) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    ...getCorsHeaders(options),
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-cache'
+  };
+
+  if (status === 200) {
+    headers['ETag'] = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === headers['ETag'] || tag === '*')) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  }
+
+  headers['Content-Length'] = Buffer.byteLength(body);
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Route one request
+ */
+async function handleRequest(db, options, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      ...getCorsHeaders(options),
+      'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'If-None-Match, Content-Type',
+      'Access-Control-Max-Age': '86400'
+    });
+    res.end();
+    return;
+  }
+
+  try {
+    let params = null;
+    const route = ROUTES.find(r => (params = url.pathname.match(r.pattern)));
+    if (!route) {
+      throw new HttpError(404, 'not_found', `No route for ${url.pathname}`);
+    }
+
+    const methods = route.methods || DEFAULT_METHODS;
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+      throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported on ${route.path}`);
+    }
+
+    const ctx = { db, options, req, url, query: Object.fromEntries(url.searchParams) };
+    const payload = await route.handler(ctx, ...params.slice(1).map(decodePathSegment));
+    sendJson(req, res, 200, payload, options);
+  } catch (err) {
+    const isHttpError = err instanceof HttpError;
+    if (!isHttpError) {
+      console.error(`❌ ${req.method} ${req.url} failed:`, err.message);
+    }
+
+    const status = isHttpError ? err.status : 500;
+    sendJson(req, res, status, {
+      error: {
+        status,
+        code: isHttpError ? err.code : 'internal_error',
+        message: isHttpError ? err.message : 'Internal server error'
+      }
+    }, options);
+  }
+}
+
+/**
+ * Create the API server on an open database connection
+ * `options`: resorts (config.json resorts), corsOrigin, pageSize, maxPageSize, dataDir,
+ * graphql (config.json graphql section)
+ */
+function createServer(db, options = {}) {
+  const graphqlConfig = options.graphql || {};
+  const serverOptions = {
+    ...options,
+    persistedQueries: loadPersistedQueries(graphqlConfig.persistedQueriesDir || DEFAULT_QUERIES_DIR)
+  };
+
+  return http.createServer((req, res) => {
+    handleRequest(db, serverOptions, req, res);
+  });
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const config = loadConfig();
+  const serverConfig = config.server || {};
+  const port = Number(process.env.PORT || serverConfig.port || DEFAULT_PORT);
+  const host = process.env.HOST || serverConfig.host || DEFAULT_HOST;
+
+  const db = await initializeDatabase();
+  const server = createServer(db, { ...serverConfig, resorts: config.resorts, graphql: config.graphql });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.log(`🌐 Ski data API listening on http://${host}:${port}`);
+  ROUTES.forEach(route => console.log(`   ${(route.methods || DEFAULT_METHODS).filter(m => m !== 'HEAD').join('/')} ${route.path}`));
+
+  const shutdown = async () => {
+    console.log('\n👋 Shutting down');
+    server.close();
+    server.closeAllConnections();
+    await closeDatabase(db);
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Server failed to start:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createServer,
+  HttpError,
+  ROUTES
+};
@@ -1,58 +1,85 @@
-// ski-scraper.js - Multi-resort grooming data extractor using Puppeteer
+// ski-scraper.js - Multi-resort grooming data extractor using platform adapters
 // Now with historical data tracking and configurable resorts
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
-const { formatInTimeZone, toZonedTime } = require('date-fns-tz');
 const {
   initializeDatabase,
   getOrCreateResort,
   saveTerrainStatus,
   saveSnowConditions,
+  getTerrainItem,
+  getItemHistory,
+  getItemAliases,
+  saveTerrainSnapshot,
+  sanitizeItemName,
   closeDatabase
 } = require('./database');
-
-// Load configuration
-const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
-const RESORTS = config.resorts.reduce((acc, resort) => {
-  acc[resort.key] = resort;
-  return acc;
-}, {});
-
-// Initialize database connection
-let db = null;
-function getDb() {
-  if (!db) {
-    db = initializeDatabase();
-  }
-  return db;
-}
+const { getAdapter, assertTerrainPayload, assertSnowPayload } = require('./adapters');
+const { getRetryPolicy, withRetry, classifyError, ScrapeError, FAILURE_TYPES } = require('./retry');
+const { assertValid, quarantineOnMismatch } = require('./payload-validation');
+const { getAnomalyOptions, readRecentDays, checkTerrainAnomalies, checkSnowAnomalies } = require('./anomalies');
+const { isCaptureEnabled, getReplayDir, enterReplayWorkspace, createCapture, getReplayResorts, CAPTURE_ROOT } = require('./captures');
+const { configureBrowserPool, getFetchMode, closeBrowserPool } = require('./browser-pool');
+const {
+  diffTerrain,
+  detectNewSnow,
+  getPreviousTerrain,
+  recordChangeEvents,
+  DEFAULT_NEW_SNOW_THRESHOLD_INCHES
+} = require('./change-events');
+const { dispatchNotifications } = require('./notifications');
+const {
+  getResortLocalDate,
+  getResortLocalHour,
+  getResortLocalTime,
+  getResortLocalTimeFormatted,
+  getStorageDate,
+  getSeasonStartDate,
+  isResortInSeason
+} = require('./dates');
+const {
+  getIntradayTimes,
+  listSnapshotTimes,
+  isSnapshotDue,
+  saveSnapshot,
+  readSnapshots,
+  rollUpSnapshots
+} = require('./terrain-snapshots');
+const { loadConfig } = require('./config-validation');
+
+// Configuration, loaded and checked at the start of main() - or handed over by
+// scheduler.js (see useConfig) - so requiring this module never exits
+let config = null;
+let RESORTS = {};
 
 /**
- * Check if we're past the season end date
- * Ski seasons span two calendar years (Nov-May), so we need to check:
- * - If current month >= July: season ends next year
- * - If current month < July: season ends this year
+ * Use a configuration loaded elsewhere (scheduler.js checks config.json once for everything)
  */
-function isSeasonActive() {
-  const now = new Date();
-  const [endMonth, endDay] = config.season.endDate.split('-').map(Number);
+function useConfig(loaded) {
+  config = loaded;
+  RESORTS = loaded.resorts.reduce((acc, resort) => {
+    acc[resort.key] = resort;
+    return acc;
+  }, {});
+}
 
-  // If we're in the second half of the year (July onwards),
-  // the season ends in the next calendar year
-  const seasonEndYear = now.getMonth() >= 6 ? now.getFullYear() + 1 : now.getFullYear();
-  const seasonEndDate = new Date(seasonEndYear, endMonth - 1, endDay);
+// With --capture (or SCRAPE_CAPTURE=1) every page loaded is saved under captures/
+const CAPTURE = isCaptureEnabled();
+// Replays (--replay=) never alert subscribers
+const REPLAY = getReplayDir() !== null;
 
-  return now < seasonEndDate;
+// Database connection, opened and migrated at the start of main()
+let db = null;
+function getDb() {
+  return db;
 }
 
 /**
- * Get today's date in YYYY-MM-DD format
+ * Use a database connection opened elsewhere (scheduler.js keeps one open)
  */
-function getTodayDate() {
-  const now = new Date();
-  return now.toISOString().split('T')[0];
+function useDatabase(handle) {
+  db = handle;
 }
 
 /**
@@ -64,69 +91,6 @@ function ensureDirectoryExists(dirPath) {
   }
 }
 
-/**
- * Get current date in YYYY-MM-DD format for a specific timezone
- */
-function getResortLocalDate(timezone) {
-  const now = new Date();
-  return formatInTimeZone(now, timezone, 'yyyy-MM-dd');
-}
-
-/**
- * Get current hour (0-23) in a specific timezone
- */
-function getResortLocalHour(timezone) {
-  const now = new Date();
-  return parseInt(formatInTimeZone(now, timezone, 'H'));
-}
-
-/**
- * Get current time formatted for display in a specific timezone
- */
-function getResortLocalTimeFormatted(timezone) {
-  const now = new Date();
-  return formatInTimeZone(now, timezone, 'h:mm a zzz');
-}
-
-/**
- * Check if a resort is currently in season
- * Uses resort-specific seasonStart/seasonEnd or falls back to defaults from config
- */
-function isResortInSeason(resort) {
-  const timezone = resort.timezone;
-  const localDate = getResortLocalDate(timezone);
-  const [currentYear, currentMonth, currentDay] = localDate.split('-').map(Number);
-
-  // Get season dates (use resort-specific or defaults)
-  const seasonStart = resort.seasonStart || config.schedule.defaultSeasonStart;
-  const seasonEnd = resort.seasonEnd || config.schedule.defaultSeasonEnd;
-
-  const [startMonth, startDay] = seasonStart.split('-').map(Number);
-  const [endMonth, endDay] = seasonEnd.split('-').map(Number);
-
-  // Ski seasons span two calendar years (e.g., Nov 2024 - May 2025)
-  // Determine which year the season started and ends
-  let seasonStartYear, seasonEndYear;
-
-  if (currentMonth >= startMonth) {
-    // We're in the second half of the year (e.g., Nov-Dec)
-    // Season started this year, ends next year
-    seasonStartYear = currentYear;
-    seasonEndYear = currentYear + 1;
-  } else {
-    // We're in the first half of the year (e.g., Jan-Jun)
-    // Season started last year, ends this year
-    seasonStartYear = currentYear - 1;
-    seasonEndYear = currentYear;
-  }
-
-  const seasonStartDate = new Date(seasonStartYear, startMonth - 1, startDay);
-  const seasonEndDate = new Date(seasonEndYear, endMonth - 1, endDay);
-  const currentDate = new Date(currentYear, currentMonth - 1, currentDay);
-
-  return currentDate >= seasonStartDate && currentDate < seasonEndDate;
-}
-
 /**
  * Check if a resort has already been scraped today
  * Checks in the resort's local timezone
@@ -139,6 +103,22 @@ function hasBeenScrapedToday(resort, dataType = 'terrain') {
   return fs.existsSync(todayFile);
 }
 
+/**
+ * Check if a resort still needs scraping for a data type
+ * Once a day normally; in intraday mode terrain is due again at each snapshot time
+ * Suspect data isn't saved as a daily file or snapshot, so it leaves the scrape due
+ */
+function needsScrape(resort, dataType = 'terrain') {
+  const intradayTimes = dataType === 'terrain' ? getIntradayTimes(resort, config) : null;
+  if (!intradayTimes) {
+    return !hasBeenScrapedToday(resort, dataType);
+  }
+
+  const localDate = getResortLocalDate(resort.timezone);
+  const currentTime = getResortLocalTime(resort.timezone).slice(0, 5);
+  return isSnapshotDue(intradayTimes, listSnapshotTimes(resort.key, localDate), currentTime);
+}
+
 /**
  * Check if current time is within the scraping window for a resort
  */
@@ -160,13 +140,14 @@ function isInScrapingWindow(resort) {
 function shouldScrapeResort(resort, dataType = 'terrain') {
   const currentHour = getResortLocalHour(resort.timezone);
   const targetHour = resort.targetHour !== undefined ? resort.targetHour : config.schedule.targetHour;
-  const hasBeenScraped = hasBeenScrapedToday(resort, dataType);
+  const intraday = dataType === 'terrain' && getIntradayTimes(resort, config) !== null;
 
   const checks = {
-    inSeason: isResortInSeason(resort),
+    inSeason: isResortInSeason(resort, config.schedule),
     hasUrl: dataType === 'terrain' ? !!resort.terrainUrl : !!resort.snowReportUrl,
-    notScraped: !hasBeenScraped,
-    isPastTargetHour: currentHour >= targetHour
+    notScraped: needsScrape(resort, dataType),
+    // Intraday snapshots follow their own times instead of targetHour
+    isPastTargetHour: intraday || currentHour >= targetHour
   };
 
   // Scrape if: in season, has URL, not scraped today, and at/past target hour
@@ -179,9 +160,10 @@ function shouldScrapeResort(resort, dataType = 'terrain') {
  */
 function getResortStatus(resort) {
   const localTime = getResortLocalTimeFormatted(resort.timezone);
-  const inSeason = isResortInSeason(resort);
+  const inSeason = isResortInSeason(resort, config.schedule);
   const inWindow = isInScrapingWindow(resort);
-  const terrainScraped = hasBeenScrapedToday(resort, 'terrain');
+  const intradayTimes = getIntradayTimes(resort, config);
+  const terrainScraped = !needsScrape(resort, 'terrain');
   const snowScraped = hasBeenScrapedToday(resort, 'snow');
   const currentHour = getResortLocalHour(resort.timezone);
   const targetHour = resort.targetHour !== undefined ? resort.targetHour : config.schedule.targetHour;
@@ -193,6 +175,8 @@ function getResortStatus(resort) {
     inWindow,
     terrainScraped,
     snowScraped,
+    intradayTimes,
+    terrainSnapshots: intradayTimes ? listSnapshotTimes(resort.key, getResortLocalDate(resort.timezone)) : null,
     currentHour,
     targetHour,
     windowHours,
@@ -203,170 +187,161 @@ function getResortStatus(resort) {
 
 /**
  * Scrape grooming and lift data from a resort
+ * The resort's platform adapter handles loading and normalizing the data
  */
 async function scrapeGroomingData(resortKey, url) {
+  const resort = RESORTS[resortKey];
+
   console.log(`\n${'='.repeat(50)}`);
-  console.log(`Scraping ${RESORTS[resortKey].name}...`);
+  console.log(`Scraping ${resort.name}...`);
   console.log('='.repeat(50));
 
-  const browser = await puppeteer.launch({
-    headless: 'new', // Use new headless mode
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu'
-    ]
+  return getAdapter(resort).scrapeTerrain(url, {
+    resort,
+    fetchMode: getFetchMode(resort),
+    capture: CAPTURE ? createCapture(resort, 'terrain') : null
   });
-
-  try {
-    const page = await browser.newPage();
-
-    // Set a realistic user agent
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    console.log('Loading page...');
-
-    // Try loading with a more lenient wait strategy
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-    } catch (e) {
-      console.log('Initial load issue:', e.message);
-      // Try to continue anyway
-    }
-
-    // Give the page extra time to settle
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Wait for the script tag or FR object to be available
-    console.log('Waiting for data to load...');
-    await page.waitForFunction(
-      () => typeof FR !== 'undefined' && FR.TerrainStatusFeed,
-      { timeout: 45000 }
-    ).catch(() => console.log('FR.TerrainStatusFeed not found via wait'));
-
-    // Extract the FR.TerrainStatusFeed data (includes both trails and lifts)
-    const data = await page.evaluate(() => {
-      if (typeof FR !== 'undefined' && FR.TerrainStatusFeed) {
-        return FR.TerrainStatusFeed;
-      }
-      return null;
-    });
-
-    return data;
-
-  } finally {
-    await browser.close();
-  }
 }
 
 /**
  * Scrape snow report data from a resort
  */
 async function scrapeSnowReport(resortKey, url) {
+  const resort = RESORTS[resortKey];
+
   console.log(`\n${'='.repeat(50)}`);
-  console.log(`Scraping Snow Report for ${RESORTS[resortKey].name}...`);
+  console.log(`Scraping Snow Report for ${resort.name}...`);
   console.log('='.repeat(50));
 
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu'
-    ]
+  return getAdapter(resort).scrapeSnow(url, {
+    resort,
+    fetchMode: getFetchMode(resort),
+    capture: CAPTURE ? createCapture(resort, 'snow') : null
   });
+}
 
-  try {
-    const page = await browser.newPage();
-
-    // Set a realistic user agent
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    console.log('Loading snow report page...');
-
-    // Try loading with a more lenient wait strategy
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-    } catch (e) {
-      console.log('Initial load issue:', e.message);
-      // Try to continue anyway
-    }
-
-    // Give the page extra time to settle
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Wait for the FR object to be available
-    console.log('Waiting for snow data to load...');
-    await page.waitForFunction(
-      () => typeof FR !== 'undefined' && FR.snowReportData,
-      { timeout: 45000 }
-    ).catch(() => console.log('FR.snowReportData not found via wait'));
+/**
+ * Send any subscribed alerts for a resort's scrape (see notifications.js)
+ * Errors are logged so a broken subscriptions file never fails the scrape
+ * Nothing is sent for a replay
+ */
+async function notifySubscribers(resortId, context) {
+  if (REPLAY) {
+    return;
+  }
 
-    // Extract the snow report data and forecast data
-    const data = await page.evaluate(() => {
-      if (typeof FR !== 'undefined' && FR.snowReportData) {
-        return {
-          snowReport: FR.snowReportData,
-          forecasts: FR.forecasts || null
-        };
-      }
-      return null;
+  const notifications = config.notifications || {};
+  try {
+    await dispatchNotifications(getDb(), resortId, context, {
+      subscriptionsFile: notifications.subscriptionsFile,
+      newSnowThresholdInches: config.changes && config.changes.newSnowThresholdInches
     });
-
-    return data;
-
-  } finally {
-    await browser.close();
+  } catch (err) {
+    console.error('  ⚠️  Notification error:', err.message);
   }
 }
 
+/**
+ * Save data that stayed suspect (see anomalies.js) with its reasons, beside the
+ * daily files rather than as one: data/{resort}/{type}/{date}.suspect.json, or
+ * {date}/{HHmm}.suspect.json for an intraday snapshot. Nothing that reads the
+ * daily files or snapshots picks it up, and the scrape stays due
+ */
+function saveSuspectData(resortKey, dataType, date, data, reasons, snapshotTime = null) {
+  const dir = path.join('data', resortKey, dataType, snapshotTime ? date : '');
+  ensureDirectoryExists(dir);
+
+  const file = path.join(dir, `${snapshotTime ? snapshotTime.replace(':', '') : date}.suspect.json`);
+  fs.writeFileSync(file, JSON.stringify({ suspect: reasons, data }, null, 2));
+  console.log(`  ⚠️  Saved as suspect to ${file}: ${reasons.join('; ')}`);
+  return file;
+}
+
 /**
  * Save data in timestamped format and print summary
+ * Resolves once the database write (and trail data generation) has finished
+ * Suspect data is only kept by saveSuspectData: it is not written to the
+ * database, records no change events or alerts, and is left out of the latest files
  */
-function saveResortData(resortKey, data) {
+async function saveResortData(resortKey, data, { suspect = null } = {}) {
   if (!data) {
-    console.log('✗ Could not find FR.TerrainStatusFeed');
+    console.log(`✗ Could not find ${getAdapter(RESORTS[resortKey]).sourceName}`);
     return null;
   }
 
   const resortName = RESORTS[resortKey].name;
   const resortTimezone = RESORTS[resortKey].timezone || 'America/Denver';
-  const today = getTodayDate();
+  const intradayTimes = getIntradayTimes(RESORTS[resortKey], config);
+  const capturedAt = new Date();
+  const today = getStorageDate(RESORTS[resortKey], capturedAt);
+  const snapshotTime = intradayTimes ? getResortLocalTime(resortTimezone, capturedAt).slice(0, 5) : null;
+
+  if (suspect) {
+    saveSuspectData(resortKey, 'terrain', today, data, suspect, snapshotTime);
+    return { resortKey, date: today, data, suspect };
+  }
 
   // Ensure data directory structure exists
   const terrainDir = path.join('data', resortKey, 'terrain');
   ensureDirectoryExists(terrainDir);
 
-  // Save timestamped file
+  // Diff against the most recent earlier scrape (today's last snapshot, or
+  // the previous day) before today's files are written
+  let previousTerrain = getPreviousTerrain(resortKey, today);
+  let dailyData = data;
+
+  if (intradayTimes) {
+    const earlierSnapshots = readSnapshots(resortKey, today).filter(snapshot => snapshot.time !== snapshotTime);
+    if (earlierSnapshots.length > 0) {
+      previousTerrain = earlierSnapshots[earlierSnapshots.length - 1].data;
+    }
+
+    dailyData = rollUpSnapshots([...earlierSnapshots, { time: snapshotTime, data }]);
+  }
+
+  // Nothing is written unless the day's data still matches the terrain schema
+  quarantineOnMismatch(resortKey, 'terrain-daily', dailyData, () => assertValid('terrain-feed', dailyData, 'Daily terrain data'));
+
+  if (snapshotTime) {
+    const snapshotFile = saveSnapshot(resortKey, today, snapshotTime, data);
+    console.log(`✓ Saved ${snapshotTime} snapshot to ${snapshotFile}`);
+  }
+
+  const changeEvents = diffTerrain(previousTerrain, data);
+
+  // Save timestamped file (in intraday mode, the roll-up of today's snapshots)
   const timestampedFile = path.join(terrainDir, `${today}.json`);
-  fs.writeFileSync(timestampedFile, JSON.stringify(data, null, 2));
-  console.log(`✓ Saved data to ${timestampedFile}`);
+  fs.writeFileSync(timestampedFile, JSON.stringify(dailyData, null, 2));
+  console.log(`✓ Saved ${intradayTimes ? 'daily roll-up' : 'data'} to ${timestampedFile}`);
 
   // Save to database
   const database = getDb();
-  getOrCreateResort(database, resortKey, resortName, resortTimezone, (err, resortId) => {
-    if (err) {
-      console.error('  ⚠️  Database error (resort):', err.message);
-    } else {
-      saveTerrainStatus(database, resortId, today, { FMR: data }, (err, count) => {
-        if (err) {
-          console.error('  ⚠️  Database error (terrain):', err.message);
-        } else if (count > 0) {
-          console.log(`✓ Saved ${count} terrain records to database`);
-        }
-
-        // Generate trail-specific JSON files after saving to database
-        // Only for Vail for now (we'll expand to other resorts later)
-        if (resortKey === 'vail') {
-          generateTrailData(resortKey, resortId, today, data);
-        }
-      });
+  let resortId = null;
+  try {
+    resortId = await getOrCreateResort(database, resortKey, resortName, resortTimezone);
+    if (snapshotTime) {
+      await saveTerrainSnapshot(database, resortId, today, snapshotTime, capturedAt.toISOString(), { FMR: data });
     }
-  });
+    const { terrainCount, liftCount } = await saveTerrainStatus(database, resortId, today, { FMR: dailyData });
+    if (terrainCount > 0) {
+      console.log(`✓ Saved ${terrainCount} terrain records to database`);
+    }
+    if (liftCount > 0) {
+      console.log(`✓ Saved ${liftCount} lift records to database`);
+    }
+  } catch (err) {
+    console.error('  ⚠️  Database error (terrain):', err.message);
+  }
+
+  // Record what changed since the previous scrape (after the catalog is updated)
+  await recordChangeEvents(database, resortId, resortKey, today, changeEvents);
+  await notifySubscribers(resortId, { resortKey, resortName, date: today, terrain: dailyData, events: changeEvents });
+
+  // Generate trail-specific JSON files after saving to database
+  // Only for Vail for now (we'll expand to other resorts later)
+  if (resortKey === 'vail' && resortId) {
+    await generateTrailData(resortKey, resortId, today, dailyData);
+  }
 
   // Print summary
   console.log('\n📊 Data Summary:');
@@ -402,21 +377,24 @@ function saveResortData(resortKey, data) {
     }
   }
 
-  return { resortKey, date: today, data };
+  return { resortKey, date: today, data: dailyData, suspect: null };
 }
 
 /**
- * Save snow report data in clean, structured format
+ * A snowfall or depth from a feed as a number, or null when the feed has none
+ * (a missing value must not read as a real 0)
  */
-function saveSnowData(resortKey, rawData) {
-  if (!rawData || !rawData.snowReport) {
-    console.log('✗ Could not find FR.snowReportData');
-    return null;
-  }
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
 
+/**
+ * Build the clean, structured snow report from an adapter's snow data
+ */
+function buildSnowReport(resortKey, rawData, now = new Date()) {
   const resortName = RESORTS[resortKey].name;
-  const today = getTodayDate();
-  const now = new Date();
+  const today = getStorageDate(RESORTS[resortKey], now);
 
   const snow = rawData.snowReport;
   const forecasts = rawData.forecasts;
@@ -430,20 +408,20 @@ function saveSnowData(resortKey, rawData) {
     lastUpdated: snow.LastUpdatedText || null,
     conditions: snow.OverallSnowConditions || null,
     snowfall: {
-      overnight_inches: parseFloat(snow.OvernightSnowfall?.Inches) || 0,
-      overnight_cm: parseFloat(snow.OvernightSnowfall?.Centimeters) || 0,
-      "24hour_inches": parseFloat(snow.TwentyFourHourSnowfall?.Inches) || 0,
-      "24hour_cm": parseFloat(snow.TwentyFourHourSnowfall?.Centimeters) || 0,
-      "48hour_inches": parseFloat(snow.FortyEightHourSnowfall?.Inches) || 0,
-      "48hour_cm": parseFloat(snow.FortyEightHourSnowfall?.Centimeters) || 0,
-      "7day_inches": parseFloat(snow.SevenDaySnowfall?.Inches) || 0,
-      "7day_cm": parseFloat(snow.SevenDaySnowfall?.Centimeters) || 0,
-      season_total_inches: parseFloat(snow.CurrentSeason?.Inches) || 0,
-      season_total_cm: parseFloat(snow.CurrentSeason?.Centimeters) || 0
+      overnight_inches: parseAmount(snow.OvernightSnowfall?.Inches),
+      overnight_cm: parseAmount(snow.OvernightSnowfall?.Centimeters),
+      "24hour_inches": parseAmount(snow.TwentyFourHourSnowfall?.Inches),
+      "24hour_cm": parseAmount(snow.TwentyFourHourSnowfall?.Centimeters),
+      "48hour_inches": parseAmount(snow.FortyEightHourSnowfall?.Inches),
+      "48hour_cm": parseAmount(snow.FortyEightHourSnowfall?.Centimeters),
+      "7day_inches": parseAmount(snow.SevenDaySnowfall?.Inches),
+      "7day_cm": parseAmount(snow.SevenDaySnowfall?.Centimeters),
+      season_total_inches: parseAmount(snow.CurrentSeason?.Inches),
+      season_total_cm: parseAmount(snow.CurrentSeason?.Centimeters)
     },
     baseDepth: {
-      inches: parseFloat(snow.BaseDepth?.Inches) || 0,
-      cm: parseFloat(snow.BaseDepth?.Centimeters) || 0
+      inches: parseAmount(snow.BaseDepth?.Inches),
+      cm: parseAmount(snow.BaseDepth?.Centimeters)
     },
     forecast: null
   };
@@ -466,8 +444,8 @@ function saveSnowData(resortKey, rawData) {
             description: today.WeatherShortDescription || null,
             wind: today.Wind || null,
             wind_speed: today.WindSpeed || null,
-            snowfall_day_inches: parseFloat(today.SnowFallDayStandard) || 0,
-            snowfall_night_inches: parseFloat(today.SnowFallNightStandard) || 0
+            snowfall_day_inches: parseAmount(today.SnowFallDayStandard),
+            snowfall_night_inches: parseAmount(today.SnowFallNightStandard)
           } : null,
           forecast_days: forecastData.slice(0, 5).map(day => ({
             date: day.Date || null,
@@ -476,14 +454,39 @@ function saveSnowData(resortKey, rawData) {
             low_f: parseInt(day.LowTempStandard) || null,
             low_c: parseInt(day.LowTempMetric) || null,
             description: day.WeatherShortDescription || null,
-            snowfall_day_inches: parseFloat(day.SnowFallDayStandard) || 0,
-            snowfall_night_inches: parseFloat(day.SnowFallNightStandard) || 0
+            snowfall_day_inches: parseAmount(day.SnowFallDayStandard),
+            snowfall_night_inches: parseAmount(day.SnowFallNightStandard)
           }))
         };
       })
     };
   }
 
+  return cleanData;
+}
+
+/**
+ * Save snow report data in clean, structured format
+ * Suspect data is only kept by saveSuspectData, like suspect terrain
+ */
+async function saveSnowData(resortKey, rawData, { suspect = null } = {}) {
+  if (!rawData || !rawData.snowReport) {
+    console.log(`✗ Could not find ${getAdapter(RESORTS[resortKey]).snowSourceName}`);
+    return null;
+  }
+
+  const resortName = RESORTS[resortKey].name;
+  const cleanData = buildSnowReport(resortKey, rawData);
+  const today = cleanData.date;
+
+  // A feed that normalizes into something unexpected is quarantined, not saved
+  quarantineOnMismatch(resortKey, 'snow-report', { feed: rawData, report: cleanData }, () => assertValid('snow-report', cleanData, 'Normalized snow report'));
+
+  if (suspect) {
+    saveSuspectData(resortKey, 'snow', today, cleanData, suspect);
+    return { resortKey, date: today, data: cleanData, suspect };
+  }
+
   // Ensure directory structure exists
   const snowDir = path.join('data', resortKey, 'snow');
   ensureDirectoryExists(snowDir);
@@ -501,29 +504,21 @@ function saveSnowData(resortKey, rawData) {
   // Save to database
   const database = getDb();
   const resortTimezone = RESORTS[resortKey].timezone || 'America/Denver';
-  getOrCreateResort(database, resortKey, resortName, resortTimezone, (err, resortId) => {
-    if (err) {
-      console.error('  ⚠️  Database error (resort):', err.message);
-    } else {
-      const snowDataForDb = {
-        overnightSnowfall: { inches: cleanData.snowfall.overnight_inches },
-        baseDepth: { inches: cleanData.baseDepth.inches },
-        newSnow24Hours: { inches: cleanData.snowfall['24hour_inches'] },
-        newSnow48Hours: { inches: cleanData.snowfall['48hour_inches'] },
-        newSnow7Days: { inches: cleanData.snowfall['7day_inches'] },
-        seasonTotal: { inches: cleanData.snowfall.season_total_inches },
-        currentConditions: { weather: cleanData.conditions }
-      };
-
-      saveSnowConditions(database, resortId, today, snowDataForDb, (err, id) => {
-        if (err) {
-          console.error('  ⚠️  Database error (snow):', err.message);
-        } else if (id) {
-          console.log(`✓ Saved snow conditions to database`);
-        }
-      });
+  let resortId = null;
+  try {
+    resortId = await getOrCreateResort(database, resortKey, resortName, resortTimezone);
+    const saved = await saveSnowConditions(database, resortId, today, cleanData);
+    if (saved) {
+      console.log(`✓ Saved snow conditions to database`);
     }
-  });
+  } catch (err) {
+    console.error('  ⚠️  Database error (snow):', err.message);
+  }
+
+  // Flag a new snow event when the 24-hour total reaches the configured threshold
+  const snowThreshold = (config.changes && config.changes.newSnowThresholdInches) ?? DEFAULT_NEW_SNOW_THRESHOLD_INCHES;
+  await recordChangeEvents(database, resortId, resortKey, today, detectNewSnow(cleanData, snowThreshold));
+  await notifySubscribers(resortId, { resortKey, resortName, date: today, snow: cleanData });
 
   // Print summary
   console.log('\n❄️  Snow Report Summary:');
@@ -543,11 +538,34 @@ function saveSnowData(resortKey, rawData) {
     });
   }
 
-  return { resortKey, date: today, data: cleanData };
+  return { resortKey, date: today, data: cleanData, suspect: null };
+}
+
+/**
+ * Throw a retryable suspect_data ScrapeError (carrying the data and reasons)
+ * when a scrape looks wrong next to the resort's recent days
+ * Returns the data so it can be used inline
+ */
+function assertNotSuspect(resortKey, dataType, data) {
+  const options = getAnomalyOptions(config.anomalies);
+  const today = getStorageDate(RESORTS[resortKey]);
+  const history = readRecentDays(resortKey, dataType, today, options.historyDays);
+  const reasons = dataType === 'terrain'
+    ? checkTerrainAnomalies(data, history, options)
+    : checkSnowAnomalies(buildSnowReport(resortKey, data), history, options);
+
+  if (reasons.length > 0) {
+    const error = new ScrapeError(FAILURE_TYPES.SUSPECT_DATA, `Suspect ${dataType} data: ${reasons.join('; ')}`);
+    error.data = data;
+    error.reasons = reasons;
+    throw error;
+  }
+  return data;
 }
 
 /**
  * Scrape a single resort (terrain and/or snow data)
+ * Data that stays suspect after every retry is still saved, apart from the daily files
  */
 async function scrapeResort(resortKey, options = {}) {
   const resort = RESORTS[resortKey];
@@ -557,7 +575,9 @@ async function scrapeResort(resortKey, options = {}) {
     return null;
   }
 
-  const result = { resortKey, terrain: null, snow: null };
+  const adapter = getAdapter(resort);
+  const retryPolicy = getRetryPolicy(config.schedule.retry);
+  const result = { resortKey, terrain: null, snow: null, outcomes: {} };
 
   // Determine URLs (backward compatibility with old 'url' field)
   const terrainUrl = resort.terrainUrl || resort.url;
@@ -565,35 +585,177 @@ async function scrapeResort(resortKey, options = {}) {
 
   // Scrape terrain data if URL exists and not disabled
   if (terrainUrl && options.terrain !== false) {
-    try {
-      const data = await scrapeGroomingData(resortKey, terrainUrl);
-      result.terrain = saveResortData(resortKey, data);
-    } catch (error) {
-      console.error(`Error scraping terrain for ${resort.name}:`, error.message);
+    const outcome = await withRetry(
+      () => scrapeGroomingData(resortKey, terrainUrl)
+        .then(data => quarantineOnMismatch(resortKey, 'terrain', data, () => assertTerrainPayload(data, adapter)))
+        .then(data => assertNotSuspect(resortKey, 'terrain', data)),
+      retryPolicy
+    );
+    result.outcomes.terrain = summarizeOutcome(outcome);
+    const suspect = outcome.failure === FAILURE_TYPES.SUSPECT_DATA ? outcome.error : null;
+
+    if (outcome.status === 'success' || suspect) {
+      try {
+        result.terrain = await saveResortData(resortKey, suspect ? suspect.data : outcome.data, { suspect: suspect && suspect.reasons });
+      } catch (error) {
+        console.error(`Error saving terrain for ${resort.name}:`, error.message);
+        if (error.quarantined) {
+          result.outcomes.terrain = summarizeOutcome(failedSave(error, outcome));
+        }
+      }
+    } else {
+      console.error(`✗ Terrain scrape failed for ${resort.name} after ${outcome.attempts} attempt(s) [${outcome.failure}]: ${outcome.message}`);
     }
   }
 
   // Scrape snow data if URL exists and not disabled
   if (snowUrl && options.snow !== false) {
-    try {
-      const data = await scrapeSnowReport(resortKey, snowUrl);
-      result.snow = saveSnowData(resortKey, data);
-    } catch (error) {
-      console.error(`Error scraping snow report for ${resort.name}:`, error.message);
+    const outcome = await withRetry(
+      () => scrapeSnowReport(resortKey, snowUrl)
+        .then(data => quarantineOnMismatch(resortKey, 'snow', data, () => assertSnowPayload(data, adapter)))
+        .then(data => assertNotSuspect(resortKey, 'snow', data)),
+      retryPolicy
+    );
+    result.outcomes.snow = summarizeOutcome(outcome);
+    const suspect = outcome.failure === FAILURE_TYPES.SUSPECT_DATA ? outcome.error : null;
+
+    if (outcome.status === 'success' || suspect) {
+      try {
+        result.snow = await saveSnowData(resortKey, suspect ? suspect.data : outcome.data, { suspect: suspect && suspect.reasons });
+      } catch (error) {
+        console.error(`Error saving snow report for ${resort.name}:`, error.message);
+        if (error.quarantined) {
+          result.outcomes.snow = summarizeOutcome(failedSave(error, outcome));
+        }
+      }
+    } else {
+      console.error(`✗ Snow report scrape failed for ${resort.name} after ${outcome.attempts} attempt(s) [${outcome.failure}]: ${outcome.message}`);
     }
   }
 
   return result;
 }
 
+/**
+ * Turn a successful scrape whose data was rejected while saving into a failed outcome
+ */
+function failedSave(error, outcome) {
+  return { status: 'failed', failure: classifyError(error), message: error.message, attempts: outcome.attempts, error };
+}
+
+/**
+ * Reduce a withRetry outcome to what goes in the run report
+ * A payload that failed schema validation carries the path it was quarantined
+ * to; one that stayed suspect is 'suspect' with its reasons
+ */
+function summarizeOutcome(outcome) {
+  if (outcome.status === 'success') {
+    return { status: 'success', attempts: outcome.attempts };
+  }
+  if (outcome.failure === FAILURE_TYPES.SUSPECT_DATA) {
+    return { status: 'suspect', reasons: outcome.error.reasons, attempts: outcome.attempts };
+  }
+  const summary = {
+    status: 'failed',
+    failure: outcome.failure,
+    message: outcome.message,
+    attempts: outcome.attempts
+  };
+  if (outcome.error && outcome.error.quarantined) {
+    summary.quarantined = outcome.error.quarantined;
+  }
+  return summary;
+}
+
+/**
+ * Write the per-resort outcomes of this run to data/runs/
+ * Each run is appended to data/runs/{date}.ndjson and the most recent
+ * run is kept in data/runs/latest.json for catch-up runs
+ * Catch-up and scheduler runs (`merge`) only re-run some resorts, so their
+ * outcomes are merged into the previous latest.json, per data type, instead
+ * of replacing it; a catch-up's `catchUpOf` is when the run it catches up on started
+ */
+function saveRunReport(report, { merge = false } = {}) {
+  const runsDir = path.join('data', 'runs');
+  ensureDirectoryExists(runsDir);
+
+  const runDate = report.startedAt.split('T')[0];
+  fs.appendFileSync(path.join(runsDir, `${runDate}.ndjson`), JSON.stringify(report) + '\n', 'utf8');
+
+  const latestFile = path.join(runsDir, 'latest.json');
+  if (merge && fs.existsSync(latestFile)) {
+    const previous = JSON.parse(fs.readFileSync(latestFile, 'utf8'));
+    const resorts = { ...previous.resorts };
+    Object.entries(report.resorts).forEach(([resortKey, outcomes]) => {
+      resorts[resortKey] = { ...resorts[resortKey], ...outcomes };
+    });
+
+    const merged = { ...report, resorts };
+    if (report.mode === 'failed') {
+      merged.catchUpOf = previous.catchUpOf || previous.startedAt;
+    }
+    fs.writeFileSync(latestFile, JSON.stringify(merged, null, 2));
+    console.log('✓ Merged run report into data/runs/latest.json');
+    return;
+  }
+
+  fs.writeFileSync(latestFile, JSON.stringify(report, null, 2));
+  console.log('✓ Saved run report to data/runs/latest.json');
+}
+
+/**
+ * Get the resorts and data types that failed (or stayed suspect) in the most recent run
+ * Returns { resortKey: { terrain: bool, snow: bool } }
+ */
+function getFailedFromLatestRun() {
+  const latestFile = path.join('data', 'runs', 'latest.json');
+  if (!fs.existsSync(latestFile)) {
+    return {};
+  }
+
+  const report = JSON.parse(fs.readFileSync(latestFile, 'utf8'));
+  const failed = {};
+
+  Object.entries(report.resorts || {}).forEach(([resortKey, outcomes]) => {
+    const terrainFailed = outcomes.terrain && ['failed', 'suspect'].includes(outcomes.terrain.status);
+    const snowFailed = outcomes.snow && ['failed', 'suspect'].includes(outcomes.snow.status);
+    if (terrainFailed || snowFailed) {
+      failed[resortKey] = { terrain: !!terrainFailed, snow: !!snowFailed };
+    }
+  });
+
+  return failed;
+}
+
+/**
+ * Read an aggregate file to merge new results into, or {} when it is missing
+ * Entries for resorts no longer in config.json are dropped
+ */
+function readAggregateFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(entries).filter(([resortKey]) => RESORTS[resortKey]));
+}
+
 /**
  * Generate latest.json with most recent terrain data from all resorts
+ * Resorts not saved in this run (skipped, failed or quarantined) or saved as suspect keep their previous entry;
+ * resorts removed from config.json are dropped
  */
 function generateLatestFile(scrapedData) {
-  const latest = {};
+  const latest = readAggregateFile('data/latest.json');
 
   scrapedData.forEach(result => {
-    if (result && result.terrain && result.terrain.data) {
+    if (result && result.terrain && result.terrain.data && !result.terrain.suspect) {
       latest[result.resortKey] = {
         date: result.terrain.date,
         name: RESORTS[result.resortKey].name,
@@ -609,12 +771,14 @@ function generateLatestFile(scrapedData) {
 
 /**
  * Generate latest-snow.json with most recent snow data from all resorts
+ * Resorts not saved in this run (skipped, failed or quarantined) or saved as suspect keep their previous entry;
+ * resorts removed from config.json are dropped
  */
 function generateLatestSnowFile(scrapedData) {
-  const latest = {};
+  const latest = readAggregateFile('data/latest-snow.json');
 
   scrapedData.forEach(result => {
-    if (result && result.snow && result.snow.data) {
+    if (result && result.snow && result.snow.data && !result.snow.suspect) {
       latest[result.resortKey] = {
         date: result.snow.date,
         name: RESORTS[result.resortKey].name,
@@ -623,7 +787,8 @@ function generateLatestSnowFile(scrapedData) {
     }
   });
 
-  if (Object.keys(latest).length > 0) {
+  // Rewritten when it exists even if empty, so removed resorts drop out
+  if (Object.keys(latest).length > 0 || fs.existsSync('data/latest-snow.json')) {
     ensureDirectoryExists('data');
     fs.writeFileSync('data/latest-snow.json', JSON.stringify(latest, null, 2));
     console.log('✓ Generated data/latest-snow.json (aggregated snow data)');
@@ -648,8 +813,10 @@ function generateIndexFile() {
   Object.keys(RESORTS).forEach(resortKey => {
     const terrainDir = path.join(dataDir, resortKey, 'terrain');
     if (fs.existsSync(terrainDir)) {
+      // Daily files only: {date}.suspect.json and intraday snapshot
+      // directories are not days the frontend should load
       const files = fs.readdirSync(terrainDir)
-        .filter(f => f.endsWith('.json'))
+        .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
         .sort()
         .reverse(); // Most recent first
 
@@ -666,58 +833,6 @@ function generateIndexFile() {
   console.log('✓ Generated data/index.json (file manifest)');
 }
 
-/**
- * Convert trail name to URL-safe slug
- */
-function slugifyTrailName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-')      // Replace spaces with hyphens
-    .replace(/--+/g, '-')      // Replace multiple hyphens with single
-    .trim();
-}
-
-/**
- * Sanitize trail name by removing pagination text and other artifacts
- * Fixes issues like "Black Forest 0   5073\t Items per page : 20 1 - 20 of 54"
- */
-function sanitizeTrailName(name) {
-  return name
-    // Remove pagination text pattern: "0   5073\t Items per page : 20 1 - 20 of 54"
-    .replace(/\s*\d+\s+\d+\s*\t\s*Items per page\s*:\s*\d+\s+\d+\s*-\s*\d+\s+of\s+\d+.*$/i, '')
-    .trim();
-}
-
-/**
- * Get the start date of the current ski season for a resort
- */
-function getSeasonStartDate(resort) {
-  const timezone = resort.timezone || 'America/Denver';
-  const localDate = getResortLocalDate(timezone);
-  const [currentYear, currentMonth] = localDate.split('-').map(Number);
-
-  const seasonStart = resort.seasonStart || config.schedule.defaultSeasonStart;
-  const [startMonth, startDay] = seasonStart.split('-').map(Number);
-
-  // Determine which year the season started
-  let seasonStartYear;
-  if (currentMonth >= startMonth) {
-    // We're in the second half of the year (e.g., Nov-Dec)
-    seasonStartYear = currentYear;
-  } else {
-    // We're in the first half of the year (e.g., Jan-Jun)
-    // Season started last year
-    seasonStartYear = currentYear - 1;
-  }
-
-  const year = String(seasonStartYear);
-  const month = String(startMonth).padStart(2, '0');
-  const day = String(startDay).padStart(2, '0');
-
-  return `${year}-${month}-${day}`;
-}
-
 /**
  * Calculate grooming streak for a trail
  * Returns { currentStreak, longestStreak, lastGroomedDate }
@@ -792,13 +907,13 @@ function calculateDayOfWeekStats(records) {
 /**
  * Generate trail-specific JSON files with historical data and statistics
  */
-function generateTrailData(resortKey, resortId, date, terrainData) {
+async function generateTrailData(resortKey, resortId, date, terrainData) {
   if (!terrainData || !terrainData.GroomingAreas) {
     return;
   }
 
   const resort = RESORTS[resortKey];
-  const seasonStartDate = getSeasonStartDate(resort);
+  const seasonStartDate = getSeasonStartDate(resort, config.schedule);
   const database = getDb();
 
   console.log(`\n📄 Generating trail data files for ${resort.name}...`);
@@ -811,98 +926,94 @@ function generateTrailData(resortKey, resortId, date, terrainData) {
   let trailCount = 0;
 
   // Process each grooming area and trail
-  terrainData.GroomingAreas.forEach(area => {
-    if (!area.Trails) return;
-
-    area.Trails.forEach(trail => {
-      const trailName = sanitizeTrailName(trail.Name);
-      const trailSlug = slugifyTrailName(trailName);
-
-      // Query database for historical data for this trail (current season only)
-      database.all(
-        `SELECT date, status, grooming_status, grooming_type, raw_data
-         FROM terrain_status
-         WHERE resort_id = ? AND item_name = ? AND item_type = 'trail' AND date >= ?
-         ORDER BY date DESC`,
-        [resortId, trailName, seasonStartDate],
-        (err, rows) => {
-          if (err) {
-            console.error(`  ⚠️  Error querying trail data for ${trailName}:`, err.message);
-            return;
-          }
-
-          // Calculate statistics
-          const daysTracked = rows.length;
-          const daysGroomed = rows.filter(r => r.grooming_status).length;
-          const groomingPercentage = daysTracked > 0 ? Math.round((daysGroomed / daysTracked) * 100) : 0;
-
-          const streaks = calculateGroomingStreaks(rows);
-          const dayOfWeekStats = calculateDayOfWeekStats(rows);
-
-          // Build historical records array (last 90 days max for reasonable file size)
-          const historicalRecords = rows.slice(0, 90).map(row => ({
-            date: row.date,
-            isOpen: row.status === 'Open',
-            isGroomed: !!row.grooming_status,
-            groomingStatus: row.grooming_status || null,
-            groomingType: row.grooming_type || null
-          }));
-
-          // Create trail data object
-          const trailData = {
-            trailName: trailName,
-            trailSlug: trailSlug,
-            resort: resortKey,
-            resortName: resort.name,
-            area: area.Name,
-            difficulty: trail.Difficulty || 'Unknown',
-            trailType: trail.TrailType || 'Skiing',
-
-            // Current status (from today's scrape)
-            currentStatus: {
-              date: date,
-              isOpen: trail.IsOpen,
-              isGroomed: trail.IsGroomed,
-              groomingStatus: trail.GroomingStatus || null,
-              status: trail.Status || null
-            },
-
-            // Statistics
-            stats: {
-              seasonStartDate: seasonStartDate,
-              daysTracked: daysTracked,
-              daysGroomed: daysGroomed,
-              groomingPercentage: groomingPercentage,
-              currentStreak: streaks.currentStreak,
-              longestStreak: streaks.longestStreak,
-              lastGroomed: streaks.lastGroomedDate,
-              dayOfWeek: dayOfWeekStats
-            },
-
-            // Historical data (last 90 days)
-            history: historicalRecords,
-
-            // Metadata
-            generated: new Date().toISOString()
-          };
-
-          // Save trail JSON file
-          const trailFile = path.join(trailsDataDir, `${trailSlug}.json`);
-          fs.writeFileSync(trailFile, JSON.stringify(trailData, null, 2));
-
-          trailCount++;
-        }
-      );
-    });
-  });
+  for (const area of terrainData.GroomingAreas) {
+    if (!area.Trails) continue;
+
+    for (const trail of area.Trails) {
+      const trailName = sanitizeItemName(trail.Name);
+
+      // Query database for historical data for this trail (current season only),
+      // following it across renames by its catalog entry
+      let item, rows, aliases;
+      try {
+        item = await getTerrainItem(database, resortId, 'trail', trail);
+        if (!item) continue;
+        rows = await getItemHistory(database, item.id, seasonStartDate);
+        aliases = await getItemAliases(database, item.id);
+      } catch (err) {
+        console.error(`  ⚠️  Error querying trail data for ${trailName}:`, err.message);
+        continue;
+      }
+
+      // Calculate statistics
+      const daysTracked = rows.length;
+      const daysGroomed = rows.filter(r => r.grooming_status).length;
+      const groomingPercentage = daysTracked > 0 ? Math.round((daysGroomed / daysTracked) * 100) : 0;
+
+      const streaks = calculateGroomingStreaks(rows);
+      const dayOfWeekStats = calculateDayOfWeekStats(rows);
+
+      // Build historical records array (last 90 days max for reasonable file size)
+      const historicalRecords = rows.slice(0, 90).map(row => ({
+        date: row.date,
+        isOpen: row.status === 'Open',
+        isGroomed: !!row.grooming_status,
+        groomingStatus: row.grooming_status || null,
+        groomingType: row.grooming_type || null
+      }));
+
+      // Create trail data object
+      const trailData = {
+        trailId: item.id,
+        trailName: trailName,
+        trailSlug: item.slug,
+        aliases: aliases.map(alias => sanitizeItemName(alias.name)),
+        resort: resortKey,
+        resortName: resort.name,
+        area: area.Name,
+        difficulty: trail.Difficulty || 'Unknown',
+        trailType: trail.TrailType || 'Skiing',
+
+        // Current status (from today's scrape)
+        currentStatus: {
+          date: date,
+          isOpen: trail.IsOpen,
+          isGroomed: trail.IsGroomed,
+          groomingStatus: trail.GroomingStatus || null,
+          status: trail.Status || null
+        },
+
+        // Statistics
+        stats: {
+          seasonStartDate: seasonStartDate,
+          daysTracked: daysTracked,
+          daysGroomed: daysGroomed,
+          groomingPercentage: groomingPercentage,
+          currentStreak: streaks.currentStreak,
+          longestStreak: streaks.longestStreak,
+          lastGroomed: streaks.lastGroomedDate,
+          dayOfWeek: dayOfWeekStats
+        },
+
+        // Historical data (last 90 days)
+        history: historicalRecords,
+
+        // Metadata
+        generated: new Date().toISOString()
+      };
+
+      // Save trail JSON file
+      const trailFile = path.join(trailsDataDir, `${item.slug}.json`);
+      fs.writeFileSync(trailFile, JSON.stringify(trailData, null, 2));
+
+      trailCount++;
+    }
+  }
 
-  // Give database queries time to complete, then print summary
-  setTimeout(() => {
-    console.log(`✓ Generated ${trailCount} trail data files`);
+  console.log(`✓ Generated ${trailCount} trail data files`);
 
-    // Also generate a trails index file
-    generateTrailsIndex(resortKey);
-  }, 1000);
+  // Also generate a trails index file, now that every trail file is written
+  generateTrailsIndex(resortKey);
 }
 
 /**
@@ -957,10 +1068,50 @@ function generateTrailsIndex(resortKey) {
   console.log(`✓ Generated trails/index.json for ${RESORTS[resortKey].name}`);
 }
 
+/**
+ * Scrape chosen data types for a set of resorts and refresh the aggregate files
+ * Used by scheduler.js, which decides what is due; the database must already be
+ * open (see useDatabase). `targets`: { resortKey: { terrain: bool, snow: bool } }
+ * Returns the run report ({ resorts: { resortKey: { terrain, snow } } } outcomes)
+ */
+async function runScrapeJobs(targets) {
+  const scrapedData = [];
+  const runReport = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    mode: 'scheduler',
+    resorts: {}
+  };
+
+  for (const [resortKey, options] of Object.entries(targets)) {
+    const result = await scrapeResort(resortKey, options);
+    if (result) {
+      scrapedData.push(result);
+      runReport.resorts[resortKey] = result.outcomes;
+    }
+  }
+
+  runReport.finishedAt = new Date().toISOString();
+  // Only the due resorts ran, so keep the last full run's other outcomes for
+  // `node ski-scraper.js failed`
+  saveRunReport(runReport, { merge: true });
+
+  if (scrapedData.length > 0) {
+    generateLatestFile(scrapedData);
+    generateLatestSnowFile(scrapedData);
+    generateIndexFile();
+  }
+
+  return runReport;
+}
+
 /**
  * Main execution function
  */
 async function main() {
+  useConfig(loadConfig());
+  configureBrowserPool(config.browser);
+
   console.log('🎿 Ski Run Scraper (Timezone-Aware)');
   console.log('='.repeat(80));
   console.log(`Run time: ${new Date().toISOString()}`);
@@ -968,13 +1119,45 @@ async function main() {
   console.log(`Target scraping time: ${config.schedule.targetHour}:00 local (${config.schedule.scrapingWindowHours} hour window)`);
   console.log('='.repeat(80));
 
-  // Get resort from command line argument, default to all
-  const args = process.argv.slice(2);
+  // Get resort from command line argument, default to all (--flags aside)
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
   const resortArg = args[0];
+  let replayDir = getReplayDir();
+  let dbPath;
 
   let resortsToCheck = [];
+  let catchUpTargets = null;
+  let replayTargets = null;
 
-  if (resortArg && resortArg !== 'all') {
+  if (CAPTURE) {
+    console.log(`\n📸 Capture mode: saving each page loaded to ${CAPTURE_ROOT}/{date}/{resort}/`);
+  }
+
+  if (replayDir) {
+    // Replay: load each captured resort's saved pages instead of the live site,
+    // saving into a scratch directory and database rather than data/
+    const workspace = enterReplayWorkspace(replayDir);
+    replayDir = workspace.captureDir;
+    dbPath = workspace.dbPath;
+    console.log(`\n🧪 Replay output goes to ${workspace.workDir} (data/ and the database are left alone)`);
+
+    replayTargets = {};
+    getReplayResorts(replayDir, Object.values(RESORTS))
+      .filter(resort => !resortArg || resortArg === 'all' || resort.key === resortArg)
+      .forEach(resort => {
+        RESORTS[resort.key] = resort;
+        replayTargets[resort.key] = { terrain: !!resort.terrainUrl, snow: !!resort.snowReportUrl };
+      });
+    resortsToCheck = Object.keys(replayTargets).map(resortKey => RESORTS[resortKey]);
+    console.log(`\n⏪ Replaying ${resortsToCheck.length} captured resort(s) from ${replayDir}`);
+  } else if (resortArg === 'failed') {
+    // Catch-up run: only the resorts and data types that failed last run
+    catchUpTargets = getFailedFromLatestRun();
+    resortsToCheck = Object.keys(catchUpTargets)
+      .filter(resortKey => RESORTS[resortKey])
+      .map(resortKey => RESORTS[resortKey]);
+    console.log(`\n↻ Catch-up run for ${resortsToCheck.length} resort(s) that failed or were suspect in the last run`);
+  } else if (resortArg && resortArg !== 'all') {
     // Check single resort
     if (RESORTS[resortArg]) {
       resortsToCheck = [RESORTS[resortArg]];
@@ -988,10 +1171,24 @@ async function main() {
     resortsToCheck = Object.values(RESORTS);
   }
 
+  // Open the database and apply any pending schema migrations before scraping
+  try {
+    db = await initializeDatabase(dbPath);
+  } catch (err) {
+    console.error(`\n❌ Database migration failed: ${err.message}\n`);
+    process.exit(1);
+  }
+
   console.log(`\n📋 Checking ${resortsToCheck.length} resort(s)...\n`);
 
   // Analyze each resort and determine what to scrape
   const scrapedData = [];
+  const runReport = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    mode: replayTargets ? 'replay' : catchUpTargets ? 'failed' : (resortArg || 'all'),
+    resorts: {}
+  };
   let scrapedCount = 0;
   let skippedCount = 0;
 
@@ -1002,12 +1199,19 @@ async function main() {
     console.log(`  🕐 Local time: ${status.localTime}`);
     console.log(`  📅 Season: ${status.inSeason ? '✓ Active' : '✗ Out of season'}`);
     console.log(`  ⏰ Window: ${status.inWindow ? `✓ In range (${status.targetHour}:00-${status.targetHour + status.windowHours}:00)` : `✗ Outside range (current: ${status.currentHour}:00, target: ${status.targetHour}:00-${status.targetHour + status.windowHours}:00)`}`);
-    console.log(`  🎿 Terrain: ${status.terrainScraped ? '✗ Already scraped today' : '○ Not scraped yet'}`);
+    if (status.intradayTimes) {
+      console.log(`  🎿 Terrain: ${status.terrainSnapshots.length} snapshot(s) today (times: ${status.intradayTimes.join(', ')}) - ${status.terrainScraped ? '✗ none due' : '○ snapshot due'}`);
+    } else {
+      console.log(`  🎿 Terrain: ${status.terrainScraped ? '✗ Already scraped today' : '○ Not scraped yet'}`);
+    }
     console.log(`  ❄️  Snow: ${status.snowScraped ? '✗ Already scraped today' : '○ Not scraped yet'}`);
 
-    // Determine what to scrape
-    const shouldScrapeTerrain = status.shouldScrapeTerrain;
-    const shouldScrapeSnow = status.shouldScrapeSnow;
+    // Determine what to scrape (catch-up runs only retry what failed; replays
+    // take whatever was captured, whatever the time)
+    const shouldScrapeTerrain = replayTargets ? replayTargets[resort.key].terrain
+      : status.shouldScrapeTerrain && (!catchUpTargets || catchUpTargets[resort.key].terrain);
+    const shouldScrapeSnow = replayTargets ? replayTargets[resort.key].snow
+      : status.shouldScrapeSnow && (!catchUpTargets || catchUpTargets[resort.key].snow);
 
     if (shouldScrapeTerrain || shouldScrapeSnow) {
       console.log(`  → ACTION: Scraping ${shouldScrapeTerrain ? 'terrain' : ''}${shouldScrapeTerrain && shouldScrapeSnow ? ' & ' : ''}${shouldScrapeSnow ? 'snow' : ''}`);
@@ -1018,7 +1222,10 @@ async function main() {
       };
 
       const result = await scrapeResort(resort.key, options);
-      if (result) scrapedData.push(result);
+      if (result) {
+        scrapedData.push(result);
+        runReport.resorts[resort.key] = result.outcomes;
+      }
       scrapedCount++;
     } else {
       let reason = '';
@@ -1038,10 +1245,33 @@ async function main() {
   }
 
   // Summary
+  const failures = [];
+  const suspects = [];
+  Object.entries(runReport.resorts).forEach(([resortKey, outcomes]) => {
+    Object.entries(outcomes).forEach(([dataType, outcome]) => {
+      if (outcome.status === 'suspect') {
+        suspects.push(`${RESORTS[resortKey].name} ${dataType}: ${outcome.reasons.join('; ')}`);
+      } else if (outcome.status === 'failed') {
+        failures.push(`${RESORTS[resortKey].name} ${dataType}: ${outcome.failure} (${outcome.message})` +
+          (outcome.quarantined ? ` - quarantined to ${outcome.quarantined}` : ''));
+      }
+    });
+  });
+
   console.log('='.repeat(80));
-  console.log(`📊 Summary: ${scrapedCount} resort(s) scraped, ${skippedCount} skipped`);
+  console.log(`📊 Summary: ${scrapedCount} resort(s) scraped, ${skippedCount} skipped, ${failures.length} failed scrape(s)`);
+  failures.forEach(failure => console.log(`   ✗ ${failure}`));
+  if (failures.length > 0) {
+    console.log('   Run `node ski-scraper.js failed` to retry only these');
+  }
+  suspects.forEach(suspect => console.log(`   ⚠️  Suspect (kept out of latest files) ${suspect}`));
   console.log('='.repeat(80));
 
+  if (scrapedCount > 0) {
+    runReport.finishedAt = new Date().toISOString();
+    saveRunReport(runReport, { merge: !!catchUpTargets });
+  }
+
   // Generate aggregated files
   if (scrapedData.length > 0) {
     console.log('\n' + '='.repeat(80));
@@ -1054,11 +1284,24 @@ async function main() {
 
   console.log('\n✅ Scraping complete!\n');
 
+  // Shut down the shared browser
+  await closeBrowserPool();
+
   // Close database connection
   if (db) {
-    closeDatabase(db);
+    await closeDatabase(db);
     console.log('🔒 Database connection closed\n');
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  useConfig,
+  useDatabase,
+  needsScrape,
+  runScrapeJobs,
+  generateIndexFile
+};
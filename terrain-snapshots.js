@@ -0,0 +1,135 @@
+// terrain-snapshots.js - Intraday terrain snapshots (schedule.intraday in config.json)
+//
+// In intraday mode ski-scraper.js scrapes terrain at several resort-local times a
+// day instead of once. Each scrape is kept as data/{resort}/terrain/{date}/{HHmm}.json
+// and data/{resort}/terrain/{date}.json becomes the day's roll-up of them, so
+// everything that reads the daily files keeps working.
+
+const fs = require('fs');
+const path = require('path');
+const { getFeedKey } = require('./database');
+
+const SNAPSHOT_FILE_PATTERN = /^(\d{2})(\d{2})\.json$/;
+
+/**
+ * Local HH:mm snapshot times for a resort, sorted, or null when intraday mode is off
+ * A resort's own intradayTimes overrides schedule.intraday.times (an empty list turns it off)
+ */
+function getIntradayTimes(resort, config) {
+  const intraday = (config.schedule && config.schedule.intraday) || {};
+  const times = resort.intradayTimes || (intraday.enabled ? intraday.times : null);
+  return times && times.length > 0 ? [...times].sort() : null;
+}
+
+/**
+ * Directory holding a day's snapshots
+ */
+function getSnapshotDir(resortKey, date, dataDir = 'data') {
+  return path.join(dataDir, resortKey, 'terrain', date);
+}
+
+/**
+ * HH:mm times of a day's saved snapshots, oldest first
+ */
+function listSnapshotTimes(resortKey, date, dataDir = 'data') {
+  const dir = getSnapshotDir(resortKey, date, dataDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(f => f.match(SNAPSHOT_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([, hours, minutes]) => `${hours}:${minutes}`)
+    .sort();
+}
+
+/**
+ * Whether a snapshot is due at `currentTime` (HH:mm): the latest scheduled time
+ * that has passed has no snapshot taken at or after it. Missed earlier times
+ * aren't made up - one catch-up snapshot covers them
+ */
+function isSnapshotDue(times, takenTimes, currentTime) {
+  const passed = times.filter(time => time <= currentTime);
+  if (passed.length === 0) {
+    return false;
+  }
+
+  const slot = passed[passed.length - 1];
+  return !takenTimes.some(time => time >= slot);
+}
+
+/**
+ * Save one scrape as a snapshot, returning its path
+ */
+function saveSnapshot(resortKey, date, time, data, dataDir = 'data') {
+  const dir = getSnapshotDir(resortKey, date, dataDir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, `${time.replace(':', '')}.json`);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+/**
+ * A day's snapshots as [{ time, data }], oldest first
+ * Unreadable files are skipped
+ */
+function readSnapshots(resortKey, date, dataDir = 'data') {
+  const dir = getSnapshotDir(resortKey, date, dataDir);
+
+  return listSnapshotTimes(resortKey, date, dataDir)
+    .map(time => {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, `${time.replace(':', '')}.json`), 'utf8'));
+        return { time, data };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Combine a day's snapshots into its canonical terrain data
+ * Statuses come from the latest snapshot (so afternoon openings count); a trail
+ * groomed in any snapshot that day stays groomed, since a feed may drop the
+ * flag once the morning's grooming report rolls over
+ */
+function rollUpSnapshots(snapshots) {
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  const groomed = new Set();
+  snapshots.forEach(({ data }) => {
+    (data.GroomingAreas || []).forEach(area => {
+      (area.Trails || []).forEach(trail => {
+        if (trail.IsGroomed) {
+          groomed.add(getFeedKey(trail));
+        }
+      });
+    });
+  });
+
+  const rolledUp = JSON.parse(JSON.stringify(snapshots[snapshots.length - 1].data));
+  (rolledUp.GroomingAreas || []).forEach(area => {
+    (area.Trails || []).forEach(trail => {
+      if (!trail.IsGroomed && groomed.has(getFeedKey(trail))) {
+        trail.IsGroomed = true;
+      }
+    });
+  });
+
+  return rolledUp;
+}
+
+module.exports = {
+  getIntradayTimes,
+  getSnapshotDir,
+  listSnapshotTimes,
+  isSnapshotDue,
+  saveSnapshot,
+  readSnapshots,
+  rollUpSnapshots
+};